@@ -0,0 +1,154 @@
+// admin-auth.js — OmanX admin credentials + scopes
+// Goals:
+// - Named credentials, stored only as hashes, each limited to the scopes it needs
+// - Keys travel in a header only (Authorization: Bearer <key> or x-admin-key), never in bodies or URLs
+// - Constant-time comparison against every credential
+// - Open admin routes only with an explicit ADMIN_INSECURE_DEV=true, and never in production
+// - Every admin action is logged with the credential that made it
+//
+// ADMIN_CREDENTIALS (JSON array):
+// [
+//   { "name": "content-team", "hash": "sha256:<64 hex>", "scopes": ["knowledge:read", "knowledge:publish", "feedback"] },
+//   { "name": "ops", "hash": "sha256:<64 hex>", "scopes": ["cache", "audit"] }
+// ]
+//
+// Keys are random 32-byte tokens (admin-key.js prints one with its entry), so a plain SHA-256
+// is enough: a slow password hash protects guessable secrets, and these aren't guessable.
+
+import crypto from "crypto";
+
+export const ADMIN_SCOPES = ["cache", "knowledge:read", "knowledge:publish", "feedback", "audit"];
+
+const NAME_RE = /^[a-z0-9]+(?:[-_.][a-z0-9]+)*$/;
+const HASH_RE = /^sha256:[0-9a-f]{64}$/;
+const INSECURE_DEV_CREDENTIAL = { name: "insecure-dev", scopes: ADMIN_SCOPES };
+
+export class AdminAuthConfigError extends Error {
+  constructor(errors) {
+    super(`Admin auth configuration is invalid (${errors.length} error${errors.length === 1 ? "" : "s"})`);
+    this.name = "AdminAuthConfigError";
+    this.errors = errors;
+  }
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest();
+
+export const hashAdminKey = (key) => `sha256:${sha256(key).toString("hex")}`;
+
+export const generateAdminKey = () => `omx_${crypto.randomBytes(32).toString("base64url")}`;
+
+/**
+ * parseAdminCredentials
+ * Accepts the ADMIN_CREDENTIALS JSON string (or an already-parsed array). Empty input means
+ * no credentials. Throws AdminAuthConfigError listing every problem.
+ */
+export function parseAdminCredentials(input) {
+  if (input === undefined || input === null || input === "") return [];
+
+  let list = input;
+  if (typeof input === "string") {
+    try {
+      list = JSON.parse(input);
+    } catch (e) {
+      throw new AdminAuthConfigError([{ path: "$", message: `invalid JSON: ${e.message}` }]);
+    }
+  }
+  if (!Array.isArray(list)) throw new AdminAuthConfigError([{ path: "$", message: "must be an array" }]);
+
+  const errors = [];
+  const names = new Set();
+  list.forEach((c, i) => {
+    const at = `$[${i}]`;
+    if (!c || typeof c !== "object" || Array.isArray(c)) return errors.push({ path: at, message: "must be an object" });
+
+    if (typeof c.name !== "string" || !NAME_RE.test(c.name)) errors.push({ path: `${at}.name`, message: "must be a lowercase name" });
+    else if (names.has(c.name)) errors.push({ path: `${at}.name`, message: `duplicate name "${c.name}"` });
+    names.add(c.name);
+
+    if (typeof c.hash !== "string" || !HASH_RE.test(c.hash)) {
+      errors.push({ path: `${at}.hash`, message: 'must be "sha256:" followed by 64 hex characters' });
+    }
+    if (!Array.isArray(c.scopes) || !c.scopes.length || c.scopes.some((s) => !ADMIN_SCOPES.includes(s))) {
+      errors.push({ path: `${at}.scopes`, message: `must be a non-empty array of ${ADMIN_SCOPES.join(", ")}` });
+    }
+  });
+  if (errors.length) throw new AdminAuthConfigError(errors);
+
+  return list.map((c) => ({ name: c.name, hash: c.hash, scopes: [...new Set(c.scopes)] }));
+}
+
+function presentedKey(req) {
+  const auth = req.headers.authorization || "";
+  const bearer = auth.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  const header = req.headers["x-admin-key"];
+  return typeof header === "string" && header ? header : null;
+}
+
+/**
+ * createAdminAuth
+ * Returns { requireScope(scope) -> Express middleware, status() }. requireScope() without a
+ * scope admits any valid credential. 401 = no/unknown key, 403 = known key without the scope. Throws AdminAuthConfigError when
+ * the insecure dev mode is requested in production.
+ */
+export function createAdminAuth({ credentials = [], insecureDev = false, isProd = false, logger } = {}) {
+  if (insecureDev && isProd) {
+    throw new AdminAuthConfigError([{ path: "ADMIN_INSECURE_DEV", message: "cannot be enabled in production" }]);
+  }
+  if (insecureDev) logger?.warn("ADMIN_INSECURE_DEV is on: admin endpoints accept requests without a key");
+  else if (!credentials.length) logger?.warn("No ADMIN_CREDENTIALS configured: admin endpoints are locked");
+
+  const stored = credentials.map((c) => ({ ...c, digest: Buffer.from(c.hash.slice("sha256:".length), "hex") }));
+
+  // Compares against every credential (no early exit), so timing doesn't reveal which one matched.
+  function identify(key) {
+    const digest = sha256(key);
+    let match = null;
+    for (const c of stored) {
+      if (crypto.timingSafeEqual(digest, c.digest) && !match) match = c;
+    }
+    return match;
+  }
+
+  function requireScope(scope) {
+    if (scope !== undefined && !ADMIN_SCOPES.includes(scope)) throw new Error(`Unknown admin scope "${scope}"`);
+
+    return (req, res, next) => {
+      const requestId = req.requestId;
+      const deny = (status, reason, extra = {}) => {
+        logger?.warn("Admin request denied", { requestId, ip: req.ip, method: req.method, path: req.path, scope, reason, ...extra });
+        res.status(status).json({ error: status === 401 ? "Unauthorized" : "Forbidden", requestId });
+      };
+
+      let credential = insecureDev ? INSECURE_DEV_CREDENTIAL : null;
+      if (!credential) {
+        const key = presentedKey(req);
+        if (!key) return deny(401, "missing key");
+        credential = identify(key);
+        if (!credential) return deny(401, "unknown key");
+      }
+      if (scope && !credential.scopes.includes(scope)) return deny(403, "missing scope", { credential: credential.name });
+
+      req.admin = { name: credential.name, scopes: credential.scopes, scope: scope || null };
+      res.on("finish", () => {
+        logger?.info("Admin action", {
+          requestId,
+          credential: credential.name,
+          scope: scope || null,
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+        });
+      });
+      next();
+    };
+  }
+
+  return {
+    requireScope,
+    status: () => ({
+      insecureDev,
+      credentials: stored.map((c) => ({ name: c.name, scopes: c.scopes })),
+    }),
+  };
+}
@@ -0,0 +1,528 @@
+// admin-console.js — OmanX admin console (frontend for admin.html)
+// Goals:
+// - Sign in with an admin key; the key lives in sessionStorage (this tab only) and is only
+//   ever sent in the Authorization header
+// - One status view from /admin/status: knowledge, community knowledge, classifier, flows (with validation errors),
+//   cache, server, audit and recent error counts
+// - Model usage and estimated spend by day + lane from /admin/usage (keys with the audit scope)
+// - Feedback review queue from /admin/feedback: set a status and link knowledge items per entry
+//   (keys with the feedback scope)
+// - Reload + cache-clear buttons, enabled only for the scopes the key holds
+// - No automatic polling: admin routes are rate limited, so the page refreshes on request
+
+const KEY_STORAGE_KEY = "omanx.adminKey";
+
+const signInSection = document.getElementById("signInSection");
+const signInForm = document.getElementById("signInForm");
+const adminKeyInput = document.getElementById("adminKey");
+const signInNote = document.getElementById("signInNote");
+const consoleEl = document.getElementById("console");
+const whoEl = document.getElementById("adminWho");
+const refreshBtn = document.getElementById("refreshBtn");
+const signOutBtn = document.getElementById("signOutBtn");
+const actionNote = document.getElementById("actionNote");
+const statusGrid = document.getElementById("statusGrid");
+const statusUpdated = document.getElementById("statusUpdated");
+const errorCounts = document.getElementById("errorCounts");
+const errorTable = document.getElementById("errorTable");
+const usageNote = document.getElementById("usageNote");
+const usageTable = document.getElementById("usageTable");
+const feedbackFilter = document.getElementById("feedbackFilter");
+const feedbackNote = document.getElementById("feedbackNote");
+const feedbackTable = document.getElementById("feedbackTable");
+const yearEl = document.getElementById("year");
+
+if (yearEl) yearEl.textContent = new Date().getFullYear();
+
+// Reload/clear endpoints behind each action button
+const ACTIONS = {
+  knowledge: { path: "/admin/knowledge/reload", label: "Knowledge" },
+  community: { path: "/admin/community/reload", label: "Community knowledge" },
+  classifier: { path: "/admin/classifier/reload", label: "Classifier" },
+  flows: { path: "/admin/flows/reload", label: "Flows" },
+  campuses: { path: "/admin/campuses/reload", label: "Campus profiles" },
+  cache: { path: "/admin/cache/clear", label: "Response cache", confirm: "Clear every cached answer?" },
+};
+
+// -----------------------------
+// Key + requests
+// -----------------------------
+function getKey() {
+  try {
+    return sessionStorage.getItem(KEY_STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+function setKey(key) {
+  try {
+    if (key) sessionStorage.setItem(KEY_STORAGE_KEY, key);
+    else sessionStorage.removeItem(KEY_STORAGE_KEY);
+  } catch {
+    // storage unavailable (private mode): the key just won't survive a reload
+  }
+  memoryKey = key;
+}
+
+let memoryKey = getKey();
+
+class AdminRequestError extends Error {
+  constructor(status, body) {
+    super(body?.error || `HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function adminFetch(path, { method = "GET", body } = {}) {
+  const r = await fetch(path, {
+    method,
+    headers: {
+      authorization: `Bearer ${memoryKey}`,
+      ...(body === undefined ? {} : { "content-type": "application/json" }),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) throw new AdminRequestError(r.status, data);
+  return data;
+}
+
+function describeError(e) {
+  if (!(e instanceof AdminRequestError)) return "Couldn't reach the OmanX service.";
+  if (e.status === 401) return "That key was not accepted.";
+  if (e.status === 403) return "This key is not allowed to do that.";
+  if (e.status === 429) return "Too many admin requests. Wait a few minutes and try again.";
+  return e.message;
+}
+
+function showNote(el, text, { error = false } = {}) {
+  el.textContent = text;
+  el.classList.toggle("error", error);
+  el.hidden = !text;
+}
+
+// -----------------------------
+// Sign in / out
+// -----------------------------
+function showConsole(signedIn) {
+  signInSection.hidden = signedIn;
+  consoleEl.hidden = !signedIn;
+  whoEl.hidden = !signedIn;
+  refreshBtn.hidden = !signedIn;
+  signOutBtn.hidden = !signedIn;
+}
+
+function signOut(message = "") {
+  setKey("");
+  showConsole(false);
+  showNote(signInNote, message, { error: true });
+  adminKeyInput.focus();
+}
+
+signInForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  setKey(adminKeyInput.value.trim());
+  adminKeyInput.value = "";
+  await refresh();
+});
+
+signOutBtn.addEventListener("click", () => signOut());
+refreshBtn.addEventListener("click", () => refresh());
+
+// -----------------------------
+// Status rendering
+// -----------------------------
+const formatBytes = (n) => `${(n / (1024 * 1024)).toFixed(1)} MB`;
+
+function formatUptime(seconds) {
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return [d && `${d}d`, (d || h) && `${h}h`, `${m}m`].filter(Boolean).join(" ");
+}
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+// One card: title, state tag, key/value rows and an optional list of { path, message } problems
+function renderCard({ title, ok, state, rows, problems = [], problemsLabel = "Errors" }) {
+  const card = document.createElement("article");
+  card.className = "admin-card";
+
+  const head = document.createElement("div");
+  head.className = "admin-card-head";
+  const h = document.createElement("h3");
+  h.textContent = title;
+  const tag = document.createElement("span");
+  tag.className = `tag ${ok ? "official" : "advisory"}`;
+  tag.textContent = state;
+  head.append(h, tag);
+  card.appendChild(head);
+
+  const dl = document.createElement("dl");
+  dl.className = "admin-kv";
+  for (const [label, value] of rows) {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value ?? "—";
+    dl.append(dt, dd);
+  }
+  card.appendChild(dl);
+
+  if (problems.length) {
+    const p = document.createElement("p");
+    p.className = "admin-problems-title";
+    p.textContent = `${problemsLabel} (${problems.length})`;
+    const ul = document.createElement("ul");
+    ul.className = "admin-problems";
+    for (const problem of problems) {
+      const li = document.createElement("li");
+      const code = document.createElement("code");
+      code.textContent = problem.path || "$";
+      li.append(code, ` ${problem.message}`);
+      ul.appendChild(li);
+    }
+    card.append(p, ul);
+  }
+  return card;
+}
+
+// Loaded + last rejection (a rejected reload keeps serving the last good copy)
+function loadState(loaded, rejected) {
+  if (!loaded) return { ok: false, state: "Not loaded" };
+  if (rejected) return { ok: false, state: "Last reload rejected" };
+  return { ok: true, state: "Loaded" };
+}
+
+function renderStatus(s) {
+  const k = s.knowledge;
+  const kRejected = k.validation?.rejected;
+  const cm = s.community;
+  const cmRejected = cm.validation?.rejected;
+  const cls = s.classifier;
+  const fl = s.flows;
+  const cp = s.campuses;
+  const cache = s.cache;
+
+  const cards = [
+    renderCard({
+      title: "Knowledge",
+      ...loadState(k.loaded, kRejected),
+      rows: [
+        ["Version", k.version],
+        ["Items", k.items],
+        ["Warnings", k.validation?.warnings?.length ?? 0],
+        ["Last rejected", kRejected ? formatTime(kRejected.at) : "—"],
+      ],
+      problems: kRejected?.errors || [],
+    }),
+    renderCard({
+      title: "Community knowledge",
+      ...loadState(cm.loaded, cmRejected),
+      rows: [
+        ["Version", cm.version],
+        ["Items", cm.items],
+        ["Warnings", cm.validation?.warnings?.length ?? 0],
+        ["Last rejected", cmRejected ? formatTime(cmRejected.at) : "—"],
+      ],
+      problems: cmRejected?.errors || [],
+    }),
+    renderCard({
+      title: "Classifier",
+      ...loadState(cls.loaded, cls.rejected),
+      rows: [
+        ["Version", cls.version],
+        ["Rules", cls.rules],
+        ["Last rejected", cls.rejected ? formatTime(cls.rejected.at) : "—"],
+      ],
+      problems: cls.rejected?.errors || [],
+    }),
+    renderCard({
+      title: "Onboarding flows",
+      ...loadState(fl.loaded, fl.rejected),
+      rows: [
+        ["Version", fl.version],
+        ["Flows", fl.flows],
+        ["Warnings", fl.warnings?.length ?? 0],
+        ["Last rejected", fl.rejected ? formatTime(fl.rejected.at) : "—"],
+      ],
+      problems: fl.rejected?.errors || fl.warnings || [],
+      problemsLabel: fl.rejected ? "Errors" : "Warnings",
+    }),
+    renderCard({
+      title: "Campus profiles",
+      ...loadState(cp.loaded, cp.rejected),
+      rows: [
+        ["Version", cp.version],
+        ["Campuses", cp.campuses],
+        ["Warnings", cp.warnings?.length ?? 0],
+        ["Last rejected", cp.rejected ? formatTime(cp.rejected.at) : "—"],
+      ],
+      problems: cp.rejected?.errors || cp.warnings || [],
+      problemsLabel: cp.rejected ? "Errors" : "Warnings",
+    }),
+    renderCard({
+      title: "Response cache",
+      ok: true,
+      state: cache.store === "file" ? "File store" : "Memory store",
+      rows: [
+        ["Entries", `${cache.size} / ${cache.maxEntries}`],
+        ["Hit rate", cache.hitRate === null ? "—" : `${Math.round(cache.hitRate * 100)}%`],
+        ["Hits / misses", `${cache.hits} / ${cache.misses}`],
+        [
+          "Last invalidation",
+          cache.lastInvalidation
+            ? `${formatTime(cache.lastInvalidation.at)} (${cache.lastInvalidation.removed} removed)`
+            : "—",
+        ],
+      ],
+    }),
+    renderCard({
+      title: "Feedback",
+      ok: !s.feedback.byStatus.open,
+      state: s.feedback.byStatus.open ? `${s.feedback.byStatus.open} open` : "Queue clear",
+      rows: [
+        ["Open / triaged", `${s.feedback.byStatus.open} / ${s.feedback.byStatus.triaged}`],
+        ["Helpful / not helpful", `${s.feedback.ratings.up} / ${s.feedback.ratings.down}`],
+        ["Issue reports", s.feedback.reports],
+      ],
+    }),
+    renderCard({
+      title: "Server",
+      ok: s.provider.configured,
+      state: s.provider.configured ? "Running" : "Provider not configured",
+      rows: [
+        ["Environment", s.server.env],
+        ["Uptime", formatUptime(s.server.uptime_s)],
+        ["Memory (RSS)", formatBytes(s.server.memory.rss)],
+        ["Heap used", formatBytes(s.server.memory.heapUsed)],
+        ["Model", `${s.provider.name} · ${s.provider.model}`],
+        ["Audit records", s.audit.records],
+      ],
+    }),
+  ];
+
+  statusGrid.replaceChildren(...cards);
+  statusUpdated.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+}
+
+function renderErrors(errors) {
+  const counts = [
+    ["Last 15 minutes", errors.last15m],
+    ["Last hour", errors.lastHour],
+    ["Last 24 hours", errors.last24h],
+  ].map(([label, n]) => {
+    const box = document.createElement("div");
+    box.className = `admin-count${n ? " has-errors" : ""}`;
+    const value = document.createElement("strong");
+    value.textContent = n;
+    const caption = document.createElement("span");
+    caption.textContent = label;
+    box.append(value, caption);
+    return box;
+  });
+  errorCounts.replaceChildren(...counts);
+
+  const rows = errors.byMessage.map((m) => {
+    const tr = document.createElement("tr");
+    for (const text of [m.message, m.count, formatTime(m.lastAt)]) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    return tr;
+  });
+  errorTable.tBodies[0].replaceChildren(...rows);
+  errorTable.hidden = !rows.length;
+}
+
+const formatNumber = (n) => Number(n).toLocaleString();
+const formatUsd = (n) => `$${Number(n).toFixed(n < 1 ? 4 : 2)}`; // pilot days often cost under a cent
+
+// One row per day (all lanes), followed by a row per lane
+function renderUsage(u) {
+  const budget = (n) => (n ? `${formatNumber(n)} tokens` : "no limit");
+  showNote(
+    usageNote,
+    `Daily budgets: ${budget(u.budgets.clientDailyTokens)} per client, ${budget(u.budgets.globalDailyTokens)} in total. ` +
+      `Today: ${formatNumber(u.today.tokens)} tokens used; resets ${formatTime(u.today.resetsAt)}.`
+  );
+
+  const row = (cells, className = "") => {
+    const tr = document.createElement("tr");
+    if (className) tr.className = className;
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    return tr;
+  };
+  const calls = (x) => (x.estimatedCalls ? `${x.calls} (${x.estimatedCalls} estimated)` : String(x.calls));
+
+  const rows = u.days.flatMap((d) => [
+    row([d.date, "All", calls(d), formatNumber(d.inputTokens), formatNumber(d.outputTokens), formatUsd(d.costUsd), d.clients], "admin-total"),
+    ...Object.entries(d.byLane).map(([lane, l]) =>
+      row(["", lane, calls(l), formatNumber(l.inputTokens), formatNumber(l.outputTokens), formatUsd(l.costUsd), ""])
+    ),
+  ]);
+  usageTable.tBodies[0].replaceChildren(...rows);
+  usageTable.hidden = !rows.length;
+}
+
+async function refreshUsage(admin) {
+  if (!admin.scopes.includes("audit")) {
+    usageTable.hidden = true;
+    return showNote(usageNote, 'Usage needs a key with the "audit" scope.');
+  }
+  try {
+    renderUsage(await adminFetch("/admin/usage"));
+  } catch (e) {
+    showNote(usageNote, describeError(e), { error: true });
+  }
+}
+
+// -----------------------------
+// Feedback review
+// -----------------------------
+const FEEDBACK_STATUSES = ["open", "triaged", "resolved", "dismissed"];
+const REASON_LABELS = { wrong: "Incorrect", outdated: "Out of date", unhelpful: "Didn't answer", other: "Other" };
+
+let currentAdmin = null; // from the last /admin/status, for refreshes the page starts itself
+
+function describeFeedback(entry) {
+  const parts = [];
+  if (entry.rating) parts.push(entry.rating === "up" ? "👍 Helpful" : "👎 Not helpful");
+  if (entry.reason) parts.push(`Report: ${REASON_LABELS[entry.reason] || entry.reason}`);
+  return parts.join(" · ");
+}
+
+// One row per entry; status + linked items are edited in place and saved with the row's button
+function feedbackRow(entry) {
+  const tr = document.createElement("tr");
+  const built = entry.knowledgeItems.length ? `${entry.knowledgeVersion} (${entry.knowledgeItems.join(", ")})` : entry.knowledgeVersion;
+  for (const text of [formatTime(entry.createdAt), entry.lane, describeFeedback(entry), entry.comment || "—", built || "—"]) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+  }
+
+  const status = document.createElement("select");
+  status.setAttribute("aria-label", "Status");
+  for (const value of FEEDBACK_STATUSES) status.add(new Option(value, value, false, value === entry.status));
+
+  const linked = document.createElement("input");
+  linked.type = "text";
+  linked.value = entry.linkedItems.join(", ");
+  linked.placeholder = "item ids, comma-separated";
+  linked.setAttribute("aria-label", "Linked knowledge items");
+
+  const save = document.createElement("button");
+  save.type = "button";
+  save.className = "ghost";
+  save.textContent = "Save";
+  save.addEventListener("click", async () => {
+    save.disabled = true;
+    const linkedItems = linked.value.split(",").map((id) => id.trim()).filter(Boolean);
+    try {
+      await adminFetch(`/admin/feedback/${encodeURIComponent(entry.id)}`, { method: "PATCH", body: { status: status.value, linkedItems } });
+      showNote(feedbackNote, `Saved (${status.value}).`);
+      await refreshFeedback(currentAdmin, { keepNote: true });
+    } catch (e) {
+      const problems = e.body?.errors?.map((p) => p.message).join("; ");
+      showNote(feedbackNote, problems ? `${describeError(e)} ${problems}` : describeError(e), { error: true });
+      save.disabled = false;
+    }
+  });
+
+  for (const control of [status, linked, save]) {
+    const td = document.createElement("td");
+    td.appendChild(control);
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+async function refreshFeedback(admin, { keepNote = false } = {}) {
+  if (!admin.scopes.includes("feedback")) {
+    feedbackTable.hidden = true;
+    feedbackFilter.disabled = true;
+    return showNote(feedbackNote, 'Feedback review needs a key with the "feedback" scope.');
+  }
+  feedbackFilter.disabled = false;
+  try {
+    const data = await adminFetch(`/admin/feedback?status=${encodeURIComponent(feedbackFilter.value)}`);
+    const rows = data.entries.map(feedbackRow);
+    feedbackTable.tBodies[0].replaceChildren(...rows);
+    feedbackTable.hidden = !rows.length;
+    if (!keepNote) showNote(feedbackNote, rows.length ? "" : "Nothing to show for this filter.");
+  } catch (e) {
+    showNote(feedbackNote, describeError(e), { error: true });
+  }
+}
+
+feedbackFilter.addEventListener("change", () => currentAdmin && refreshFeedback(currentAdmin));
+
+function applyScopes(admin) {
+  currentAdmin = admin;
+  whoEl.textContent = `Signed in as ${admin.name}`;
+  whoEl.title = `Scopes: ${admin.scopes.join(", ")}`;
+  for (const btn of document.querySelectorAll("[data-action]")) {
+    const allowed = admin.scopes.includes(btn.dataset.scope);
+    btn.disabled = !allowed;
+    btn.title = allowed ? "" : `Needs the "${btn.dataset.scope}" scope`;
+  }
+}
+
+async function refresh() {
+  if (!memoryKey) return showConsole(false);
+  try {
+    const status = await adminFetch("/admin/status");
+    showNote(signInNote, "");
+    showConsole(true);
+    applyScopes(status.admin);
+    renderStatus(status);
+    renderErrors(status.errors);
+    await refreshUsage(status.admin);
+    await refreshFeedback(status.admin);
+  } catch (e) {
+    if (e instanceof AdminRequestError && e.status === 401) return signOut(describeError(e));
+    if (consoleEl.hidden) return showNote(signInNote, describeError(e), { error: true });
+    showNote(actionNote, describeError(e), { error: true });
+  }
+}
+
+// -----------------------------
+// Actions
+// -----------------------------
+function describeResult(action, data) {
+  if (action === "cache") return "Response cache cleared.";
+  const version = data.version || data.classifier?.version || data.flows?.version || data.campuses?.version;
+  const what = ACTIONS[action].label;
+  return data.updated ? `${what} reloaded (version ${version}).` : `${what} is already current (version ${version}).`;
+}
+
+for (const btn of document.querySelectorAll("[data-action]")) {
+  btn.addEventListener("click", async () => {
+    const action = ACTIONS[btn.dataset.action];
+    if (action.confirm && !window.confirm(action.confirm)) return;
+
+    btn.disabled = true;
+    showNote(actionNote, `${action.label}: working…`);
+    try {
+      const data = await adminFetch(action.path, { method: "POST", body: {} });
+      showNote(actionNote, describeResult(btn.dataset.action, data));
+    } catch (e) {
+      const problems = e.body?.errors?.length ? ` (${e.body.errors.length} validation error(s); see below)` : "";
+      showNote(actionNote, `${action.label}: ${describeError(e)}${problems}`, { error: true });
+      if (e.status === 401) return signOut(describeError(e));
+    } finally {
+      btn.disabled = false;
+    }
+    await refresh();
+  });
+}
+
+refresh();
@@ -0,0 +1,25 @@
+// admin-key.js — create an admin credential
+// Usage: npm run admin-key -- <name> <scope>[,<scope>...]
+//   e.g. npm run admin-key -- content-team knowledge:read,knowledge:publish
+//
+// Prints the key (hand it to whoever needs it; it is not stored anywhere) and the entry to
+// add to ADMIN_CREDENTIALS (only its hash, so the config never holds a usable secret).
+
+import { ADMIN_SCOPES, AdminAuthConfigError, generateAdminKey, hashAdminKey, parseAdminCredentials } from "./admin-auth.js";
+
+const [name, scopeList = ""] = process.argv.slice(2);
+const key = generateAdminKey();
+const entry = { name, hash: hashAdminKey(key), scopes: scopeList.split(",").map((s) => s.trim()).filter(Boolean) };
+
+try {
+  parseAdminCredentials([entry]);
+} catch (e) {
+  if (!(e instanceof AdminAuthConfigError)) throw e;
+  console.error("Usage: npm run admin-key -- <name> <scope>[,<scope>...]");
+  console.error(`Scopes: ${ADMIN_SCOPES.join(", ")}`);
+  for (const err of e.errors) console.error(`  ${err.path.replace("$[0]", "credential")}: ${err.message}`);
+  process.exit(1);
+}
+
+console.log(`Key (shown once): ${key}`);
+console.log(`ADMIN_CREDENTIALS entry: ${JSON.stringify(entry)}`);
@@ -1,13 +1,24 @@
 // app.js — OmanX MVP (frontend)
 // Goals:
 // - Deterministic assistant UI with structured responses
-// - Checklist flow completion tracking
+// - Onboarding flows rendered from /api/flows, with completion tracking
+// - Checklist progress saved on this device only (localStorage), exportable as a printable report / JSON
+// - Personal timeline from /api/timeline (dates kept in memory only) with .ics calendar export
 // - Health check + graceful offline banner
+// - English/Arabic UI with RTL layout (static strings tagged with data-i18n)
+// - Multi-turn context kept in this tab only (sessionStorage), sent with each request
+// - Answers stream over SSE with a Stop control (stopped answers are marked incomplete)
+// - Shows the server's privacy notice when identifiers were redacted from a message
+// - Thumbs up/down and "Report an issue" on every answer, sent to /feedback with its requestId
+// - Campus picker from /api/campuses (remembered on this device), sent as `campus` with each question
+// - Answers under the Community policy carry a "not official" badge; the server's policy notice says
+//   when a governed question asked in Community Mode was answered as Official
 
 const chatEl = document.getElementById("chat");
 const formEl = document.getElementById("form");
 const inputEl = document.getElementById("input");
 const sendBtn = document.getElementById("send");
+const stopBtn = document.getElementById("stop");
 const clearBtn = document.getElementById("clearBtn");
 const statusPill = document.getElementById("statusPill");
 const statusBanner = document.getElementById("statusBanner");
@@ -17,19 +28,213 @@ const yearEl = document.getElementById("year");
 // Optional mode toggles (if present in your HTML)
 const modeOfficialBtn = document.getElementById("modeOfficial");
 const modeCommunityBtn = document.getElementById("modeCommunity");
+const langToggle = document.getElementById("langToggle");
 
-const DEMO_ERROR = "Sorry, I couldn't reach the OmanX service. Please try again.";
-const DEFAULT_OFFLINE_MESSAGE =
-  "Service unavailable. We will not guess—please contact the relevant office.";
-const API_BASE_ERROR_MESSAGE =
-  "Service unavailable. API endpoint not found. Set the API base or contact the relevant office.";
+// -----------------------------
+// i18n
+// - `en` holds only strings set from JS; static English lives in index.html
+// - `ar` covers both, keyed by the elements' data-i18n attributes
+// -----------------------------
+const I18N = {
+  en: {
+    "status.online": "Online",
+    "status.offline": "Offline",
+    "status.busy": "Thinking",
+    "send.idle": "Send",
+    "send.busy": "Sending…",
+    "error.demo": "Sorry, I couldn't reach the OmanX service. Please try again.",
+    "error.http": "Sorry — the service returned an error.",
+    "error.empty": "I couldn't generate a response right now.",
+    "banner.offline": "Service unavailable. We will not guess—please contact the relevant office.",
+    "banner.apiBase": "Service unavailable. API endpoint not found. Set the API base or contact the relevant office.",
+    "flow.complete": "complete",
+    "flow.notStarted": "Not started",
+    "flow.inProgress": "In progress",
+    "flow.done": "Complete",
+    "flow.use": "Use this flow in the assistant",
+    "flows.loading": "Loading onboarding flows…",
+    "flows.unavailable": "Onboarding flows are unavailable right now. Please try again later.",
+    "tag.official": "Official",
+    "tag.advisory": "Advisory",
+    "progress.local": "Progress is saved on this device only.",
+    "progress.print": "Print progress report",
+    "progress.download": "Download JSON",
+    "flow.reset": "Reset",
+    "flow.resetConfirm": "Clear your progress for this flow?",
+    "report.title": "OmanX onboarding progress",
+    "report.generated": "Generated",
+    "report.versions": "Flows version / knowledge version",
+    "report.disclaimer": "Self-reported by the scholar. Verify every requirement with your DSO and sponsor.",
+    "report.step": "Step",
+    "report.category": "Category",
+    "report.status": "Status",
+    "report.authorities": "Authorities",
+    "report.completed": "Completed",
+    "report.outstanding": "Outstanding",
+    "timeline.loading": "Building your timeline…",
+    "timeline.private": "Your dates were not stored. Add the plan to your calendar to keep it.",
+    "timeline.invalid": "Check your dates: the program must start within a year of your arrival.",
+    "timeline.unavailable": "The timeline is unavailable right now. Please try again later.",
+    "section.whatToDo": "What you should do",
+    "section.whyThisMatters": "Why this matters",
+    "section.sourceAuthority": "Source / Authority",
+    "section.whenToEscalate": "When to escalate",
+    "avatar.me": "You",
+    "answer.incomplete": "Stopped — this answer is incomplete. Do not rely on it.",
+    "policy.community": "Community · not official guidance",
+    "feedback.helpful": "Helpful",
+    "feedback.notHelpful": "Not helpful",
+    "feedback.report": "Report an issue",
+    "feedback.reason": "What's wrong?",
+    "feedback.reason.wrong": "Incorrect information",
+    "feedback.reason.outdated": "Out of date",
+    "feedback.reason.unhelpful": "Didn't answer my question",
+    "feedback.reason.other": "Something else",
+    "feedback.comment": "Details (optional). Don't include personal information.",
+    "feedback.send": "Send report",
+    "feedback.cancel": "Cancel",
+    "feedback.thanks": "Thanks for the feedback.",
+    "feedback.reported": "Thanks — an editor will review this answer.",
+    "feedback.failed": "Couldn't send feedback. Please try again.",
+    "campus.none": "No campus selected",
+    "lang.switch": "العربية",
+  },
+  ar: {
+    "status.online": "متصل",
+    "status.offline": "غير متصل",
+    "status.busy": "جارٍ التفكير",
+    "send.idle": "إرسال",
+    "send.busy": "جارٍ الإرسال…",
+    "error.demo": "عذرًا، تعذّر الوصول إلى خدمة OmanX. يرجى المحاولة مرة أخرى.",
+    "error.http": "عذرًا — أعادت الخدمة خطأ.",
+    "error.empty": "تعذّر إنشاء رد في الوقت الحالي.",
+    "banner.offline": "الخدمة غير متاحة. لن نخمّن — يرجى التواصل مع الجهة المختصة.",
+    "banner.apiBase": "الخدمة غير متاحة. لم يتم العثور على واجهة البرمجة. اضبط عنوان الخدمة أو تواصل مع الجهة المختصة.",
+    "flow.complete": "مكتمل",
+    "flow.notStarted": "لم يبدأ",
+    "flow.inProgress": "قيد التنفيذ",
+    "flow.done": "مكتمل",
+    "section.whatToDo": "ماذا يجب أن تفعل",
+    "section.whyThisMatters": "لماذا هذا مهم",
+    "section.sourceAuthority": "المصدر / الجهة",
+    "section.whenToEscalate": "متى يجب التصعيد",
+    "avatar.me": "أنت",
+    "answer.incomplete": "تم الإيقاف — هذه الإجابة غير مكتملة. لا تعتمد عليها.",
+    "policy.community": "مجتمعي · ليس إرشادًا رسميًا",
+    "feedback.helpful": "مفيدة",
+    "feedback.notHelpful": "غير مفيدة",
+    "feedback.report": "الإبلاغ عن مشكلة",
+    "feedback.reason": "ما المشكلة؟",
+    "feedback.reason.wrong": "معلومات غير صحيحة",
+    "feedback.reason.outdated": "معلومات قديمة",
+    "feedback.reason.unhelpful": "لم تُجب عن سؤالي",
+    "feedback.reason.other": "سبب آخر",
+    "feedback.comment": "تفاصيل (اختياري). لا تضمّن معلومات شخصية.",
+    "feedback.send": "إرسال البلاغ",
+    "feedback.cancel": "إلغاء",
+    "feedback.thanks": "شكرًا على ملاحظتك.",
+    "feedback.reported": "شكرًا — سيراجع أحد المحررين هذه الإجابة.",
+    "feedback.failed": "تعذّر إرسال الملاحظة. يرجى المحاولة مرة أخرى.",
+    "campus.label": "الجامعة",
+    "campus.none": "لم يتم اختيار جامعة",
+    "lang.switch": "English",
+
+    "brand.tagline": "إرشاد حكومي المستوى للدارسين العمانيين في الولايات المتحدة.",
+    "mode.official": "الوضع الرسمي",
+    "mode.community": "وضع المجتمع",
+    "hero.mission":
+      "يقدّم OmanX إرشادًا منظمًا ومقيّدًا بالمصادر وقابلًا للتدقيق للدارسين العمانيين في الخارج — للحد من الالتباس والمخاطر والعبء المؤسسي.",
+    "pillar.clarity": "الوضوح",
+    "pillar.clarityText": "خطوات قائمة على قوائم مرجعية متوافقة مع المصادر الرسمية ونقاط تصعيد محددة.",
+    "pillar.compliance": "الامتثال",
+    "pillar.complianceText": "الإرشاد مقيّد بالمعرفة المعتمدة والمتطلبات التنظيمية غير القابلة للتفاوض.",
+    "pillar.continuity": "الاستمرارية",
+    "pillar.continuityText": "استقرار متسق عبر الوزارات والسفارات والجامعات — دون الاحتفاظ بالبيانات.",
+    "how.title": "كيف يعمل",
+    "how.step1": "اختر مسارًا (الوصول، أو الامتثال، أو الإعداد الأكاديمي).",
+    "how.step2": "أكمل القائمة المرجعية مع تصنيف المصدر لكل خطوة.",
+    "how.step3": "اسأل المساعد للحصول على إرشاد مقيّد أو تصعيد.",
+    "flows.title": "مسارات الاستقرار (نطاق أساسي)",
+    "flows.subtitle": "كل خطوة مصنّفة كرسمية أو استشارية ولها حالة إنجاز واضحة.",
+    "flow.use": "استخدم هذا المسار مع المساعد",
+    "flows.loading": "جارٍ تحميل مسارات الاستقرار…",
+    "flows.unavailable": "مسارات الاستقرار غير متاحة حاليًا. يرجى المحاولة لاحقًا.",
+    "tag.official": "رسمي",
+    "tag.advisory": "استشاري",
+    "progress.local": "يُحفظ التقدم على هذا الجهاز فقط.",
+    "progress.print": "طباعة تقرير التقدم",
+    "progress.download": "تنزيل JSON",
+    "flow.reset": "إعادة تعيين",
+    "flow.resetConfirm": "هل تريد مسح تقدمك في هذا المسار؟",
+    "report.title": "تقدم الاستقرار في OmanX",
+    "report.generated": "تاريخ الإنشاء",
+    "report.versions": "إصدار المسارات / إصدار المعرفة",
+    "report.disclaimer": "بيانات أدخلها الدارس بنفسه. تحقق من كل متطلب مع المسؤول المعين (DSO) والجهة الراعية.",
+    "report.step": "الخطوة",
+    "report.category": "التصنيف",
+    "report.status": "الحالة",
+    "report.authorities": "الجهات",
+    "report.completed": "مكتملة",
+    "report.outstanding": "غير مكتملة",
+    "timeline.title": "خطتك الزمنية للاستقرار",
+    "timeline.subtitle": "أدخل تواريخك لتحصل على خطة مؤرخة. تُستخدم لهذا الطلب فقط ولا تُحفظ أبدًا.",
+    "timeline.arrival": "تاريخ الوصول",
+    "timeline.start": "تاريخ بدء البرنامج",
+    "timeline.visa": "نوع التأشيرة",
+    "timeline.build": "إنشاء الخطة",
+    "timeline.ics": "إضافة إلى التقويم (.ics)",
+    "timeline.loading": "جارٍ إنشاء خطتك…",
+    "timeline.private": "لم تُحفظ تواريخك. أضف الخطة إلى تقويمك للاحتفاظ بها.",
+    "timeline.invalid": "تحقق من التواريخ: يجب أن يبدأ البرنامج خلال سنة من تاريخ وصولك.",
+    "timeline.unavailable": "الخطة الزمنية غير متاحة حاليًا. يرجى المحاولة لاحقًا.",
+    "assistant.title": "مساعد مقيّد",
+    "assistant.subtitle": "الردود منظمة ومرتبطة بالمصادر. إذا كانت الثقة منخفضة، يقوم OmanX بالتصعيد.",
+    "spec.title": "صيغة الرد",
+    "spec.whatToDo": "خطوات عملية متسلسلة.",
+    "spec.whyThisMatters": "المبرر التنظيمي أو مبرر الامتثال.",
+    "spec.sourceAuthority": "تصنيف المصدر: رسمي أو استشاري.",
+    "spec.whenToEscalate": "الجهة التي يجب التواصل معها عند ارتفاع المخاطر.",
+    "spec.modes":
+      "الوضع الرسمي متوافق مع وزارة التعليم العالي ومقيّد بالمصادر. وضع المجتمع غير رسمي ويجب التحقق منه لدى الجهات الرسمية. أسئلة الهجرة والمسائل القانونية والطبية والبعثة يُجاب عنها دائمًا في الوضع الرسمي.",
+    "spec.privacy": "لا يجمع OmanX البيانات الشخصية الحساسة ولا يخزنها. النسخة التجريبية لا تحتفظ بالحالة وتقلل السجلات.",
+    "chat.title": "مساعد OmanX",
+    "chat.subtitle": "خطوات واضحة. مراجع. محفزات التصعيد.",
+    "chat.clear": "مسح",
+    "chat.disclaimer":
+      "إخلاء مسؤولية: إرشاد معلوماتي فقط. في مسائل الهجرة أو المسائل القانونية أو الطبية، اتبع التعليمات الرسمية وتواصل مع الجهة المختصة.",
+    "composer.label": "اسأل عن الوصول أو الامتثال أو الإعداد الأكاديمي",
+    "composer.placeholder": "مثال: ماذا يجب أن أفعل في أول 48 ساعة لأبقى ملتزمًا بالأنظمة؟",
+    "composer.send": "إرسال",
+    "composer.newline": "سطر جديد",
+    "composer.stop": "إيقاف",
+    "gov.title": "طبقة الحوكمة والثقة",
+    "gov.subtitle": "ضوابط واضحة تركّز على قابلية التدقيق والتشغيل الآمن وفق متطلبات الوزارة.",
+    "gov.modes": "ضوابط الأوضاع",
+    "gov.modesText": "الوضع الرسمي يقتصر على المحتوى المعتمد من الوزارة. وضع المجتمع إرشاد غير رسمي ومُعلَّم بوضوح.",
+    "gov.data": "تقليل البيانات",
+    "gov.dataText": "لا حسابات مستخدمين، ولا سجل محادثات مخزّن، ولا جمع للبيانات الشخصية الحساسة.",
+    "gov.audit": "جاهز للتدقيق",
+    "gov.auditText": "ردود منظمة، وتصنيفات مصادر، وقواعد تصعيد، ودون تخزين النصوص الأصلية.",
+    "footer.product": "OmanX · منصة استقرار حكومية المستوى (نسخة تجريبية)",
+    "footer.notice": "يجب التحقق من الإرشادات القانونية ومسائل الهجرة والطبية لدى الجهات الرسمية.",
+    "footer.pitch": "موجز المستثمرين والوزارة",
+  },
+};
+
+const LANG_STORAGE_KEY = "omanx.lang";
+let lang = "en";
+
+const t = (key) => I18N[lang]?.[key] ?? I18N.en[key] ?? key;
 
 if (yearEl) yearEl.textContent = new Date().getFullYear();
 
+let statusState = "online";
+
 const setStatus = (state, text) => {
   if (!statusPill) return;
+  statusState = state;
   const el = statusPill.querySelector(".pill-text");
-  if (el) el.textContent = text;
+  if (el) el.textContent = text || t(`status.${state}`);
   statusPill.dataset.state = state;
 
   if (statusBanner) {
@@ -47,17 +252,68 @@ const scrollToBottom = () => {
   chatEl.scrollTop = chatEl.scrollHeight;
 };
 
-const createMessage = (role, text) => {
+// -----------------------------
+// Structured answers (the four mandated blocks)
+// -----------------------------
+const SECTION_KEYS = ["whatToDo", "whyThisMatters", "sourceAuthority", "whenToEscalate"];
+
+// Headings follow the answer's language (from the server), not the current UI language.
+const createSectionCard = (key, lines, sectionLang) => {
+  const card = document.createElement("section");
+  card.className = `answer-card ${key === "whenToEscalate" ? "escalation" : ""}`.trim();
+
+  const h = document.createElement("h4");
+  h.textContent = I18N[sectionLang]?.[`section.${key}`] ?? t(`section.${key}`);
+  card.appendChild(h);
+
+  if (key === "sourceAuthority") {
+    const chips = document.createElement("div");
+    chips.className = "authority-chips";
+    lines.forEach((line) => {
+      const chip = document.createElement("span");
+      chip.className = `tag ${/advisory|community|استشاري|مجتمعي/i.test(line) ? "advisory" : "official"}`;
+      chip.textContent = line;
+      chips.appendChild(chip);
+    });
+    card.appendChild(chips);
+    return card;
+  }
+
+  const list = document.createElement("ul");
+  lines.forEach((line) => {
+    const li = document.createElement("li");
+    li.textContent = line;
+    list.appendChild(li);
+  });
+  card.appendChild(list);
+  return card;
+};
+
+const renderSections = (bubble, sections, sectionLang = lang) => {
+  bubble.classList.add("structured");
+  bubble.textContent = "";
+  SECTION_KEYS.forEach((key) => {
+    const lines = sections?.[key];
+    if (Array.isArray(lines) && lines.length) bubble.appendChild(createSectionCard(key, lines, sectionLang));
+  });
+};
+
+const createMessage = (role, text, sections = null, sectionLang = lang) => {
   const wrapper = document.createElement("div");
   wrapper.className = `msg ${role}`;
 
   const avatar = document.createElement("div");
   avatar.className = "avatar";
-  avatar.textContent = role === "me" ? "You" : "OmanX";
+  avatar.textContent = role === "me" ? t("avatar.me") : "OmanX";
 
   const bubble = document.createElement("div");
   bubble.className = "bubble";
-  bubble.textContent = text;
+  bubble.dir = "auto";
+  if (sections) {
+    renderSections(bubble, sections, sectionLang);
+  } else {
+    bubble.textContent = text;
+  }
 
   wrapper.appendChild(avatar);
   wrapper.appendChild(bubble);
@@ -65,17 +321,21 @@ const createMessage = (role, text) => {
   return wrapper;
 };
 
-const addMessage = (role, text) => {
-  if (!chatEl) return;
-  chatEl.appendChild(createMessage(role, text));
+// Returns the bubble so streaming can keep writing into it.
+const addMessage = (role, text, sections = null, sectionLang = lang) => {
+  if (!chatEl) return null;
+  const wrapper = createMessage(role, text, sections, sectionLang);
+  chatEl.appendChild(wrapper);
   scrollToBottom();
+  return wrapper.querySelector(".bubble");
 };
 
 const setLoading = (isLoading) => {
+  if (stopBtn) stopBtn.hidden = !isLoading;
   if (!sendBtn) return;
   sendBtn.disabled = isLoading;
-  const t = sendBtn.querySelector(".send-text");
-  if (t) t.textContent = isLoading ? "Sending…" : "Send";
+  const label = sendBtn.querySelector(".send-text");
+  if (label) label.textContent = t(isLoading ? "send.busy" : "send.idle");
 };
 
 // -----------------------------
@@ -101,6 +361,18 @@ function getApiBase() {
 const API_BASE = getApiBase();
 const apiUrl = (p) => `${API_BASE}${p.startsWith("/") ? p : `/${p}`}`;
 
+// Saves a Blob through a temporary <a download> (progress JSON, timeline .ics)
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // -----------------------------
 // Mode selection (official/community)
 // -----------------------------
@@ -127,6 +399,71 @@ function setMode(next) {
 modeOfficialBtn?.addEventListener("click", () => setMode("official"));
 modeCommunityBtn?.addEventListener("click", () => setMode("community"));
 
+// -----------------------------
+// Campus profile
+// - Options come from /api/campuses; the choice is kept in localStorage and sent with each question
+// - The server uses it for local routing, the campus DSO office / insurance rules and community tips
+// -----------------------------
+const campusSelect = document.getElementById("campusSelect");
+const CAMPUS_STORAGE_KEY = "omanx.campus";
+let campusOptions = [];
+let campus = "";
+
+try {
+  campus = localStorage.getItem(CAMPUS_STORAGE_KEY) || "";
+} catch {}
+
+function saveCampus() {
+  try {
+    if (campus) localStorage.setItem(CAMPUS_STORAGE_KEY, campus);
+    else localStorage.removeItem(CAMPUS_STORAGE_KEY);
+  } catch {}
+}
+
+function renderCampuses() {
+  if (!campusSelect) return;
+  campusSelect.textContent = "";
+
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = t("campus.none");
+  campusSelect.appendChild(none);
+
+  campusOptions.forEach((c) => {
+    const option = document.createElement("option");
+    option.value = c.id;
+    option.textContent =
+      lang === "ar" ? `${c.universityAr || c.university} — ${c.cityAr || c.city}` : `${c.university} — ${c.city}`;
+    campusSelect.appendChild(option);
+  });
+
+  campusSelect.value = campus;
+  campusSelect.disabled = !campusOptions.length;
+}
+
+async function loadCampuses() {
+  try {
+    const r = await fetch(apiUrl("/api/campuses"), { method: "GET" });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const data = await r.json();
+    campusOptions = Array.isArray(data?.campuses) ? data.campuses : [];
+    // A profile removed from campuses.json is forgotten rather than sent (the server would reject it)
+    if (campus && !campusOptions.some((c) => c.id === campus)) {
+      campus = "";
+      saveCampus();
+    }
+  } catch (error) {
+    console.error(error);
+    campusOptions = [];
+  }
+  renderCampuses();
+}
+
+campusSelect?.addEventListener("change", () => {
+  campus = campusSelect.value;
+  saveCampus();
+});
+
 // -----------------------------
 // Connectivity check
 // -----------------------------
@@ -134,68 +471,397 @@ async function checkHealth() {
   try {
     const r = await fetch(apiUrl("/health"), { method: "GET" });
     if (!r.ok) {
-      setStatusBanner(r.status === 404 ? API_BASE_ERROR_MESSAGE : DEFAULT_OFFLINE_MESSAGE);
+      setStatusBanner(t(r.status === 404 ? "banner.apiBase" : "banner.offline"));
       throw new Error(`health ${r.status}`);
     }
-    setStatus("online", "Online");
+    setStatus("online");
     return true;
   } catch {
-    setStatusBanner(DEFAULT_OFFLINE_MESSAGE);
-    setStatus("offline", "Offline");
+    setStatusBanner(t("banner.offline"));
+    setStatus("offline");
     return false;
   }
 }
 
 // -----------------------------
-// Send message
+// Conversation history
+// - Lives in sessionStorage for this tab only; the server never stores it
+// - Only { role, content } is sent; sections/lang/requestId/feedback are kept for re-rendering
+// -----------------------------
+const HISTORY_STORAGE_KEY = "omanx.history";
+const HISTORY_MAX_TURNS = 20;
+
+function loadConversation() {
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((turn) => turn && typeof turn.content === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+let conversation = loadConversation();
+
+function saveConversation() {
+  try {
+    sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(conversation));
+  } catch {}
+}
+
+function recordExchange(userTurn, botTurn) {
+  conversation = [...conversation, userTurn, botTurn].slice(-HISTORY_MAX_TURNS);
+  saveConversation();
+}
+
+function clearConversation() {
+  conversation = [];
+  try {
+    sessionStorage.removeItem(HISTORY_STORAGE_KEY);
+  } catch {}
+}
+
+// -----------------------------
+// SSE reader
+// - The server frames every event as `data: {json}\n\n`
+// -----------------------------
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let idx;
+    while ((idx = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      const data = frame
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (!data) continue;
+
+      let event = null;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      onEvent(event);
+    }
+  }
+}
+
+const appendNote = (bubble, className, text) => {
+  if (!bubble || !text) return;
+  const note = document.createElement("span");
+  note.className = className;
+  note.textContent = text;
+  bubble.appendChild(note);
+};
+
+const markIncomplete = (bubble) => {
+  if (!bubble) return;
+  bubble.classList.remove("streaming");
+  bubble.classList.add("incomplete");
+  appendNote(bubble, "incomplete-note", t("answer.incomplete"));
+};
+
+// Server-localized: says which identifiers were removed before the question was processed
+const showRedactionNotice = (bubble, redaction) => {
+  if (redaction?.applied) appendNote(bubble, "redaction-note", redaction.notice);
+};
+
+// The effective policy the server applied: Community answers get a badge above the blocks,
+// and the server's notice (non-authoritative, or answered as Official) goes below them
+const showPolicy = (bubble, policy) => {
+  if (!bubble || !policy) return;
+  if (!policy.authoritative) {
+    bubble.classList.add("community");
+    const badge = document.createElement("span");
+    badge.className = "policy-badge";
+    badge.textContent = t("policy.community");
+    bubble.prepend(badge);
+  }
+  appendNote(bubble, "policy-note", policy.notice);
+};
+
+// -----------------------------
+// Answer feedback
+// - Sent with the answer's requestId; the server looks up what the answer was built from
+// - A report carries a reason and an optional comment (redacted server-side before storage)
+// - What was sent is remembered on the conversation turn, so restored answers show it
+// -----------------------------
+const FEEDBACK_REASONS = ["wrong", "outdated", "unhelpful", "other"];
+
+async function sendFeedback(body) {
+  const response = await fetch(apiUrl("/feedback"), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) throw new Error(`Feedback failed: HTTP ${response.status}`);
+}
+
+function rememberFeedback(requestId, update) {
+  const turn = conversation.find((t) => t.requestId === requestId);
+  if (!turn) return;
+  turn.feedback = { ...turn.feedback, ...update };
+  saveConversation();
+}
+
+const createButton = (className, text, type = "button") => {
+  const btn = document.createElement("button");
+  btn.type = type;
+  btn.className = className;
+  btn.textContent = text;
+  return btn;
+};
+
+const attachFeedback = (bubble, requestId, state = {}) => {
+  if (!bubble || !requestId) return;
+  const bar = document.createElement("div");
+  bar.className = "feedback-bar";
+
+  const up = createButton("feedback-btn", "👍");
+  const down = createButton("feedback-btn", "👎");
+  up.title = t("feedback.helpful");
+  down.title = t("feedback.notHelpful");
+  up.setAttribute("aria-label", up.title);
+  down.setAttribute("aria-label", down.title);
+  const report = createButton("feedback-link", t("feedback.report"));
+  report.disabled = !!state.reported;
+
+  const note = document.createElement("span");
+  note.className = "feedback-status";
+  note.setAttribute("role", "status");
+  const showStatus = (key, error = false) => {
+    note.textContent = t(key);
+    note.classList.toggle("error", error);
+  };
+
+  // A rating is final (the server won't replace it); a report can still follow it
+  const markRating = (rating) => {
+    up.setAttribute("aria-pressed", String(rating === "up"));
+    down.setAttribute("aria-pressed", String(rating === "down"));
+    up.disabled = down.disabled = !!rating;
+  };
+  markRating(state.rating);
+
+  for (const [btn, rating] of [
+    [up, "up"],
+    [down, "down"],
+  ]) {
+    btn.addEventListener("click", async () => {
+      up.disabled = down.disabled = true;
+      try {
+        await sendFeedback({ requestId, rating });
+        markRating(rating);
+        rememberFeedback(requestId, { rating });
+        showStatus("feedback.thanks");
+      } catch (error) {
+        console.error(error);
+        showStatus("feedback.failed", true);
+        up.disabled = down.disabled = false;
+      }
+    });
+  }
+
+  // Report form: reason + optional comment
+  const form = document.createElement("form");
+  form.className = "feedback-form";
+  form.hidden = true;
+
+  const reasonLabel = document.createElement("label");
+  const reasonText = document.createElement("span");
+  reasonText.textContent = t("feedback.reason");
+  const reasonSelect = document.createElement("select");
+  FEEDBACK_REASONS.forEach((reason) => {
+    const option = document.createElement("option");
+    option.value = reason;
+    option.textContent = t(`feedback.reason.${reason}`);
+    reasonSelect.appendChild(option);
+  });
+  reasonLabel.append(reasonText, reasonSelect);
+
+  const comment = document.createElement("textarea");
+  comment.rows = 2;
+  comment.maxLength = 500;
+  comment.placeholder = t("feedback.comment");
+  comment.setAttribute("aria-label", t("feedback.comment"));
+
+  const actions = document.createElement("div");
+  actions.className = "feedback-actions";
+  const send = createButton("primary", t("feedback.send"), "submit");
+  const cancel = createButton("ghost", t("feedback.cancel"));
+  actions.append(send, cancel);
+  form.append(reasonLabel, comment, actions);
+
+  report.addEventListener("click", () => {
+    form.hidden = !form.hidden;
+    if (!form.hidden) reasonSelect.focus();
+  });
+  cancel.addEventListener("click", () => {
+    form.hidden = true;
+  });
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    send.disabled = true;
+    try {
+      await sendFeedback({ requestId, reason: reasonSelect.value, comment: comment.value.trim() || undefined });
+      form.hidden = true;
+      report.disabled = true;
+      rememberFeedback(requestId, { reported: true });
+      showStatus("feedback.reported");
+    } catch (error) {
+      console.error(error);
+      showStatus("feedback.failed", true);
+    } finally {
+      send.disabled = false;
+    }
+  });
+
+  bar.append(up, down, report, note, form);
+  bubble.appendChild(bar);
+};
+
+// -----------------------------
+// Send message (streaming)
 // -----------------------------
+let activeController = null;
+
 const sendMessage = async (message) => {
+  const history = conversation.map(({ role, content }) => ({ role, content }));
   addMessage("me", message);
   setLoading(true);
-  setStatus("busy", "Thinking");
+  setStatus("busy");
+
+  const controller = new AbortController();
+  activeController = controller;
+  let bubble = null;
+  let streamed = "";
 
   try {
     const response = await fetch(apiUrl("/chat"), {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message, mode }),
+      body: JSON.stringify({ message, mode, lang, history, stream: true, ...(campus ? { campus } : {}) }),
+      signal: controller.signal,
     });
 
-    let payload = null;
-    try {
-      payload = await response.json();
-    } catch {
-      payload = null;
+    const isStream = (response.headers.get("content-type") || "").includes("text/event-stream");
+
+    // Validation, rate-limit and setup errors come back as plain JSON
+    if (!response.ok || !isStream) {
+      let payload = null;
+      try {
+        payload = await response.json();
+      } catch {
+        payload = null;
+      }
+
+      if (!response.ok) {
+        setStatusBanner(t(response.status === 404 ? "banner.apiBase" : "banner.offline"));
+        const errMsg = payload?.error
+          ? `${payload.error} (HTTP ${response.status})`
+          : `Request failed: HTTP ${response.status}`;
+        throw new Error(errMsg);
+      }
+
+      const text = payload?.text || t("error.empty");
+      const answer = addMessage("bot", text, payload?.sections || null, payload?.lang || lang);
+      showPolicy(answer, payload?.policy);
+      showRedactionNotice(answer, payload?.redaction);
+      attachFeedback(answer, payload?.requestId);
+      recordExchange(
+        { role: "user", content: message },
+        {
+          role: "assistant",
+          content: text,
+          sections: payload?.sections || null,
+          lang: payload?.lang || lang,
+          requestId: payload?.requestId || null,
+          policy: payload?.policy || null,
+        }
+      );
+      setStatus("online");
+      return;
     }
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        setStatusBanner(API_BASE_ERROR_MESSAGE);
-      } else {
-        setStatusBanner(DEFAULT_OFFLINE_MESSAGE);
+    bubble = addMessage("bot", "");
+    bubble?.classList.add("streaming");
+    let final = null;
+
+    await readEventStream(response, (event) => {
+      if (event.delta && bubble) {
+        streamed += event.delta;
+        bubble.textContent = streamed;
+        scrollToBottom();
       }
-      const errMsg = payload?.error
-        ? `${payload.error} (HTTP ${response.status})`
-        : `Request failed: HTTP ${response.status}`;
-      throw new Error(errMsg);
+      if (event.done) final = event;
+    });
+
+    bubble?.classList.remove("streaming");
+
+    if (!final) throw new Error("Stream ended before completion.");
+    if (final.error) throw new Error(`${final.error} (HTTP ${response.status})`);
+
+    // The server may replace an unverifiable answer with the escalation response
+    const text = final.replacement || streamed || t("error.empty");
+    const answerLang = final.lang || lang;
+    if (bubble) {
+      if (final.sections) renderSections(bubble, final.sections, answerLang);
+      else bubble.textContent = text;
+      showPolicy(bubble, final.policy);
+      showRedactionNotice(bubble, final.redaction);
+      attachFeedback(bubble, final.requestId);
     }
+    scrollToBottom();
 
-    addMessage("bot", payload?.text || "I couldn't generate a response right now.");
-    setStatus("online", "Online");
+    recordExchange(
+      { role: "user", content: message },
+      {
+        role: "assistant",
+        content: text,
+        sections: final.sections || null,
+        lang: answerLang,
+        requestId: final.requestId || null,
+        policy: final.policy || null,
+      }
+    );
+    setStatus("online");
   } catch (error) {
+    // Stopped by the user: keep what arrived, flag it, and leave it out of the history
+    if (controller.signal.aborted) {
+      if (bubble && streamed) markIncomplete(bubble);
+      else bubble?.closest(".msg")?.remove();
+      setStatus("online");
+      return;
+    }
+
     console.error(error);
-    const msg = error?.message?.includes("HTTP")
-      ? `Sorry — the service returned an error. ${error.message}`
-      : DEMO_ERROR;
+    const msg = error?.message?.includes("HTTP") ? `${t("error.http")} ${error.message}` : t("error.demo");
 
+    if (bubble && !streamed) bubble.closest(".msg")?.remove();
+    else bubble?.classList.remove("streaming");
     addMessage("bot", msg);
-    setStatusBanner(DEFAULT_OFFLINE_MESSAGE);
-    setStatus("offline", "Offline");
+    setStatusBanner(t("banner.offline"));
+    setStatus("offline");
   } finally {
+    activeController = null;
     setLoading(false);
   }
 };
 
+stopBtn?.addEventListener("click", () => {
+  activeController?.abort();
+});
+
 // -----------------------------
 // Event handlers
 // -----------------------------
@@ -220,56 +886,489 @@ if (formEl && inputEl) {
 if (clearBtn && chatEl) {
   clearBtn.addEventListener("click", () => {
     chatEl.innerHTML = "";
+    clearConversation();
   });
 }
 
-const promptButtons = document.querySelectorAll(".flow-action[data-prompt]");
-promptButtons.forEach((button) => {
-  button.addEventListener("click", () => {
-    if (!inputEl) return;
-    inputEl.value = button.dataset.prompt || "";
-    inputEl.focus();
+// -----------------------------
+// Checklist progress
+// - localStorage, keyed by flow ID then step ID, so editing or reordering flows.json keeps it
+// - { [flowId]: { [stepId]: completedAt ISO string } }; never sent to the server
+// -----------------------------
+const PROGRESS_STORAGE_KEY = "omanx.progress";
+
+function loadProgress() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY) || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+let progress = loadProgress();
+
+function saveProgress() {
+  try {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+  } catch {}
+}
+
+const isStepDone = (flowId, stepId) => !!progress[flowId]?.[stepId];
+
+function setStepDone(flowId, stepId, done) {
+  if (done) {
+    progress[flowId] = { ...(progress[flowId] || {}), [stepId]: new Date().toISOString() };
+  } else if (progress[flowId]) {
+    delete progress[flowId][stepId];
+    if (!Object.keys(progress[flowId]).length) delete progress[flowId];
+  }
+  saveProgress();
+}
+
+function resetFlowProgress(flowId) {
+  delete progress[flowId];
+  saveProgress();
+}
+
+// -----------------------------
+// Onboarding flows
+// - Served by /api/flows (flows.json); nothing about the checklists lives in index.html
+// - Each step carries its Official/Advisory tag and the knowledge item it comes from
+// -----------------------------
+const flowGrid = document.getElementById("flowGrid");
+const printProgressBtn = document.getElementById("printProgress");
+const downloadProgressBtn = document.getElementById("downloadProgress");
+let flowData = [];
+let flowMeta = { version: null, knowledgeVersion: null };
+let flowsState = "loading"; // loading | ready | error
+
+const localized = (obj, field) => (lang === "ar" && obj?.[`${field}Ar`]) || obj?.[field] || "";
+
+const updateFlowStatus = (article) => {
+  const statusEl = article.querySelector("[data-flow-status]");
+  const stateEl = article.querySelector("[data-flow-state]");
+  const inputs = Array.from(article.querySelectorAll("input[type='checkbox']"));
+  if (!statusEl || !stateEl) return;
+
+  const total = inputs.length;
+  const done = inputs.filter((i) => i.checked).length;
+  statusEl.textContent = `${done}/${total} ${t("flow.complete")}`;
+
+  if (done === 0) {
+    stateEl.textContent = t("flow.notStarted");
+  } else if (done === total) {
+    stateEl.textContent = t("flow.done");
+  } else {
+    stateEl.textContent = t("flow.inProgress");
+  }
+};
+
+const createFlow = (flow) => {
+  const article = document.createElement("article");
+  article.className = "flow";
+  article.dataset.flow = flow.id;
+
+  const header = document.createElement("header");
+  const title = document.createElement("h3");
+  title.textContent = localized(flow, "title");
+  const meta = document.createElement("div");
+  meta.className = "flow-meta";
+  const status = document.createElement("span");
+  status.className = "flow-status";
+  status.dataset.flowStatus = "";
+  const state = document.createElement("span");
+  state.className = "flow-state";
+  state.dataset.flowState = "";
+  meta.append(status, state);
+  header.append(title, meta);
+
+  const list = document.createElement("ul");
+  list.className = "checklist";
+  list.dataset.flowList = "";
+  (flow.steps || []).forEach((step) => {
+    const li = document.createElement("li");
+    li.dataset.step = step.id;
+    if (step.knowledgeId) li.dataset.knowledgeId = step.knowledgeId;
+
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = isStepDone(flow.id, step.id);
+    const text = document.createElement("span");
+    text.textContent = localized(step, "text");
+    label.append(input, text);
+
+    const advisory = step.category === "Advisory";
+    const tag = document.createElement("span");
+    tag.className = `tag ${advisory ? "advisory" : "official"}`;
+    tag.textContent = t(advisory ? "tag.advisory" : "tag.official");
+    if (step.knowledgeId) tag.title = step.knowledgeId;
+
+    li.append(label, tag);
+    list.appendChild(li);
   });
+
+  const action = document.createElement("button");
+  action.type = "button";
+  action.className = "ghost flow-action";
+  action.dataset.prompt = localized(flow, "prompt");
+  action.textContent = t("flow.use");
+
+  const reset = document.createElement("button");
+  reset.type = "button";
+  reset.className = "ghost flow-reset";
+  reset.dataset.flowReset = "";
+  reset.textContent = t("flow.reset");
+
+  const footer = document.createElement("div");
+  footer.className = "flow-footer";
+  footer.append(action, reset);
+
+  article.append(header, list, footer);
+  updateFlowStatus(article);
+  return article;
+};
+
+function renderFlows() {
+  if (printProgressBtn) printProgressBtn.disabled = !flowData.length;
+  if (downloadProgressBtn) downloadProgressBtn.disabled = !flowData.length;
+  if (!flowGrid) return;
+  flowGrid.textContent = "";
+
+  if (!flowData.length) {
+    const note = document.createElement("p");
+    note.className = "muted flow-note";
+    note.textContent = t(flowsState === "error" ? "flows.unavailable" : "flows.loading");
+    flowGrid.appendChild(note);
+    return;
+  }
+
+  flowData.forEach((flow) => flowGrid.appendChild(createFlow(flow)));
+}
+
+async function loadFlows() {
+  try {
+    const r = await fetch(apiUrl("/api/flows"), { method: "GET" });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const data = await r.json();
+    flowData = Array.isArray(data?.flows) ? data.flows : [];
+    flowMeta = { version: data?.version || null, knowledgeVersion: data?.knowledgeVersion || null };
+    flowsState = "ready";
+  } catch (error) {
+    console.error(error);
+    flowData = [];
+    flowsState = "error";
+  }
+  renderFlows();
+}
+
+flowGrid?.addEventListener("change", (event) => {
+  const input = event.target.closest("input[type='checkbox']");
+  const article = input?.closest("[data-flow]");
+  const step = input?.closest("[data-step]");
+  if (!article || !step) return;
+
+  setStepDone(article.dataset.flow, step.dataset.step, input.checked);
+  updateFlowStatus(article);
+});
+
+flowGrid?.addEventListener("click", (event) => {
+  const reset = event.target.closest("[data-flow-reset]");
+  if (reset) {
+    const flowId = reset.closest("[data-flow]")?.dataset.flow;
+    if (!flowId || !window.confirm(t("flow.resetConfirm"))) return;
+    resetFlowProgress(flowId);
+    renderFlows();
+    return;
+  }
+
+  const button = event.target.closest(".flow-action[data-prompt]");
+  if (!button || !inputEl) return;
+  inputEl.value = button.dataset.prompt || "";
+  inputEl.focus();
 });
 
 // -----------------------------
-// Checklist tracking
+// Progress report (print + JSON)
+// - Built from the flows on screen + local progress, in the current UI language
+// - Authorities come from each step's linked knowledge item
 // -----------------------------
-const flows = document.querySelectorAll("[data-flow]");
-flows.forEach((flow) => {
-  const list = flow.querySelector("[data-flow-list]");
-  const statusEl = flow.querySelector("[data-flow-status]");
-  const stateEl = flow.querySelector("[data-flow-state]");
-  if (!list || !statusEl || !stateEl) return;
+function buildProgressReport() {
+  return {
+    generatedAt: new Date().toISOString(),
+    lang,
+    flowsVersion: flowMeta.version,
+    knowledgeVersion: flowMeta.knowledgeVersion,
+    flows: flowData.map((flow) => {
+      const steps = (flow.steps || []).map((step) => ({
+        id: step.id,
+        text: localized(step, "text"),
+        category: step.category,
+        status: isStepDone(flow.id, step.id) ? "completed" : "outstanding",
+        completedAt: progress[flow.id]?.[step.id] || null,
+        knowledgeId: step.knowledgeId || null,
+        authorities: step.authorities || [],
+      }));
+      return {
+        id: flow.id,
+        title: localized(flow, "title"),
+        completed: steps.filter((s) => s.status === "completed").length,
+        total: steps.length,
+        steps,
+      };
+    }),
+  };
+}
 
-  const inputs = Array.from(list.querySelectorAll("input[type='checkbox']"));
+function renderProgressReport(el, report) {
+  el.textContent = "";
+  el.dir = lang === "ar" ? "rtl" : "ltr";
 
-  const updateStatus = () => {
-    const total = inputs.length;
-    const done = inputs.filter((i) => i.checked).length;
-    statusEl.textContent = `${done}/${total} complete`;
+  const h1 = document.createElement("h1");
+  h1.textContent = t("report.title");
+  const meta = document.createElement("p");
+  meta.textContent = `${t("report.generated")}: ${new Date(report.generatedAt).toLocaleString(lang)} · ${t(
+    "report.versions"
+  )}: ${report.flowsVersion || "—"} / ${report.knowledgeVersion || "—"}`;
+  const disclaimer = document.createElement("p");
+  disclaimer.textContent = t("report.disclaimer");
+  el.append(h1, meta, disclaimer);
 
-    if (done === 0) {
-      stateEl.textContent = "Not started";
-    } else if (done === total) {
-      stateEl.textContent = "Complete";
+  report.flows.forEach((flow) => {
+    const h2 = document.createElement("h2");
+    h2.textContent = `${flow.title} — ${flow.completed}/${flow.total} ${t("flow.complete")}`;
+
+    const table = document.createElement("table");
+    const head = table.insertRow();
+    ["report.step", "report.category", "report.status", "report.authorities"].forEach((key) => {
+      const th = document.createElement("th");
+      th.textContent = t(key);
+      head.appendChild(th);
+    });
+
+    flow.steps.forEach((step) => {
+      const row = table.insertRow();
+      const status =
+        step.status === "completed"
+          ? `${t("report.completed")} (${new Date(step.completedAt).toLocaleDateString(lang)})`
+          : t("report.outstanding");
+      [
+        step.text,
+        t(step.category === "Advisory" ? "tag.advisory" : "tag.official"),
+        status,
+        step.authorities.map((a) => (a.url ? `${a.name} (${a.url})` : a.name)).join("; ") || "—",
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+    });
+
+    el.append(h2, table);
+  });
+}
+
+printProgressBtn?.addEventListener("click", () => {
+  const el = document.getElementById("progressReport");
+  if (!el || !flowData.length) return;
+  renderProgressReport(el, buildProgressReport());
+  window.print();
+});
+
+downloadProgressBtn?.addEventListener("click", () => {
+  if (!flowData.length) return;
+  const report = buildProgressReport();
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+  downloadFile(blob, `omanx-progress-${report.generatedAt.slice(0, 10)}.json`);
+});
+
+// -----------------------------
+// Onboarding timeline
+// - Dates are posted to /api/timeline and only kept in memory (never in storage)
+// - Re-requested on language switch so step text follows the UI language
+// -----------------------------
+const timelineForm = document.getElementById("timelineForm");
+const timelineList = document.getElementById("timelineList");
+const timelineNote = document.getElementById("timelineNote");
+const downloadIcsBtn = document.getElementById("downloadIcs");
+let timelineRequest = null; // { arrivalDate, programStartDate, visaType }
+let timelineData = null;
+
+const setTimelineNote = (key, isError = false) => {
+  if (!timelineNote) return;
+  timelineNote.hidden = !key;
+  timelineNote.textContent = key ? t(key) : "";
+  timelineNote.classList.toggle("error", isError);
+};
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(lang, {
+    timeZone: "UTC",
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+function renderTimeline() {
+  if (downloadIcsBtn) downloadIcsBtn.disabled = !timelineData?.entries?.length;
+  if (!timelineList) return;
+  timelineList.textContent = "";
+  if (!timelineData) return;
+
+  const days = new Map();
+  for (const entry of timelineData.entries) {
+    if (!days.has(entry.dueDate)) days.set(entry.dueDate, []);
+    days.get(entry.dueDate).push(entry);
+  }
+
+  days.forEach((entries, day) => {
+    const li = document.createElement("li");
+    li.className = "timeline-day";
+
+    const time = document.createElement("time");
+    time.dateTime = day;
+    time.textContent = formatDay(day);
+
+    const list = document.createElement("ul");
+    entries.forEach((entry) => {
+      const item = document.createElement("li");
+      item.dataset.timelineStep = `${entry.flowId}:${entry.stepId}`;
+
+      const body = document.createElement("div");
+      const text = document.createElement("div");
+      text.textContent = entry.text;
+      const flow = document.createElement("div");
+      flow.className = "timeline-flow";
+      flow.textContent = entry.flowTitle;
+      body.append(text, flow);
+
+      const tag = document.createElement("span");
+      tag.className = `tag ${entry.category === "Advisory" ? "advisory" : "official"}`;
+      tag.textContent = t(entry.category === "Advisory" ? "tag.advisory" : "tag.official");
+
+      item.append(body, tag);
+      list.appendChild(item);
+    });
+
+    li.append(time, list);
+    timelineList.appendChild(li);
+  });
+}
+
+const postTimeline = (path) =>
+  fetch(apiUrl(path), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...timelineRequest, lang }),
+  });
+
+async function loadTimeline() {
+  if (!timelineRequest) return;
+  setTimelineNote("timeline.loading");
+  try {
+    const r = await postTimeline("/api/timeline");
+    if (r.status === 400) {
+      timelineData = null;
+      setTimelineNote("timeline.invalid", true);
     } else {
-      stateEl.textContent = "In progress";
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      timelineData = await r.json();
+      setTimelineNote("timeline.private");
     }
+  } catch (error) {
+    console.error(error);
+    timelineData = null;
+    setTimelineNote("timeline.unavailable", true);
+  }
+  renderTimeline();
+}
+
+timelineForm?.addEventListener("submit", (event) => {
+  event.preventDefault();
+  timelineRequest = {
+    arrivalDate: document.getElementById("arrivalDate")?.value || "",
+    programStartDate: document.getElementById("programStartDate")?.value || "",
+    visaType: document.getElementById("visaType")?.value || "F-1",
   };
+  loadTimeline();
+});
+
+downloadIcsBtn?.addEventListener("click", async () => {
+  if (!timelineRequest) return;
+  try {
+    const r = await postTimeline("/api/timeline.ics");
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    downloadFile(await r.blob(), "omanx-timeline.ics");
+  } catch (error) {
+    console.error(error);
+    setTimelineNote("timeline.unavailable", true);
+  }
+});
 
-  inputs.forEach((input) => {
-    input.addEventListener("change", updateStatus);
+// -----------------------------
+// Language switch (English <-> Arabic, RTL)
+// -----------------------------
+function applyLanguage(next) {
+  lang = I18N[next] ? next : "en";
+  document.documentElement.lang = lang;
+  document.documentElement.dir = lang === "ar" ? "rtl" : "ltr";
+
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    if (el.dataset.i18nEn === undefined) el.dataset.i18nEn = el.textContent.trim();
+    el.textContent = lang === "en" ? el.dataset.i18nEn : I18N.ar[el.dataset.i18n] ?? el.dataset.i18nEn;
   });
 
-  updateStatus();
-});
+  document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+    if (el.dataset.i18nEnPlaceholder === undefined) el.dataset.i18nEnPlaceholder = el.placeholder;
+    el.placeholder =
+      lang === "en" ? el.dataset.i18nEnPlaceholder : I18N.ar[el.dataset.i18nPlaceholder] ?? el.dataset.i18nEnPlaceholder;
+  });
+
+  document.querySelectorAll("[data-i18n-prompt]").forEach((el) => {
+    if (el.dataset.i18nEnPrompt === undefined) el.dataset.i18nEnPrompt = el.dataset.prompt || "";
+    el.dataset.prompt = lang === "en" ? el.dataset.i18nEnPrompt : I18N.ar[el.dataset.i18nPrompt] ?? el.dataset.i18nEnPrompt;
+  });
+
+  if (langToggle) {
+    langToggle.textContent = t("lang.switch");
+    langToggle.lang = lang === "ar" ? "en" : "ar";
+  }
+
+  setStatus(statusState);
+  setLoading(sendBtn?.disabled || false);
+  renderFlows();
+  renderCampuses();
+  if (timelineRequest) loadTimeline();
+
+  try {
+    localStorage.setItem(LANG_STORAGE_KEY, lang);
+  } catch {}
+}
+
+langToggle?.addEventListener("click", () => applyLanguage(lang === "ar" ? "en" : "ar"));
+
+function initialLanguage() {
+  try {
+    const saved = localStorage.getItem(LANG_STORAGE_KEY);
+    if (saved) return saved;
+  } catch {}
+  return (navigator.language || "").toLowerCase().startsWith("ar") ? "ar" : "en";
+}
 
 // -----------------------------
 // Boot
 // -----------------------------
+applyLanguage(initialLanguage());
 setMode("official");
+conversation.forEach((turn) => {
+  const bubble = addMessage(turn.role === "user" ? "me" : "bot", turn.content, turn.sections || null, turn.lang || lang);
+  if (turn.role !== "assistant") return;
+  showPolicy(bubble, turn.policy);
+  attachFeedback(bubble, turn.requestId, turn.feedback);
+});
 checkHealth();
+loadFlows();
+loadCampuses();
 
 if (API_BASE) {
   console.log("[OmanX] Using API base:", API_BASE);
@@ -0,0 +1,203 @@
+// audit.js — OmanX tamper-evident audit trail
+// Goals:
+// - One append-only JSONL record per /chat decision (never the message itself: a salted hash)
+// - Hash-chained: each record commits to the previous one, so editing, deleting or
+//   reordering any line breaks verification from that point on
+// - Exports are self-verifying: a date range carries the prevHash it chains from
+//
+// Record shape (keys in this order; `hash` is always last):
+// { seq, ts, requestId, ...decision fields, prevHash, hash }
+// hash = sha256(prevHash + "\n" + JSON.stringify(record without hash))
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export const GENESIS_HASH = "0".repeat(64);
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+export const hashText = (text = "") => sha256(String(text));
+
+export function hashRecord(record) {
+  const { hash: _hash, ...rest } = record;
+  return sha256(`${rest.prevHash}\n${JSON.stringify(rest)}`);
+}
+
+/**
+ * verifyAuditRecords
+ * Walks records in order. Returns { ok, records, lastHash, brokenAt } where brokenAt is
+ * { index, seq, reason } for the first record that doesn't chain, or null.
+ */
+export function verifyAuditRecords(records, { prevHash = GENESIS_HASH } = {}) {
+  let expectedPrev = prevHash;
+  let expectedSeq = records[0]?.seq;
+
+  for (const [index, rec] of records.entries()) {
+    const broken = (reason) => ({ ok: false, records: records.length, lastHash: expectedPrev, brokenAt: { index, seq: rec?.seq ?? null, reason } });
+
+    if (!rec || typeof rec !== "object") return broken("not a record");
+    if (rec.seq !== expectedSeq) return broken(`expected seq ${expectedSeq}`);
+    if (rec.prevHash !== expectedPrev) return broken("prevHash does not match the previous record");
+    if (rec.hash !== hashRecord(rec)) return broken("hash does not match the record contents");
+
+    expectedPrev = rec.hash;
+    expectedSeq = rec.seq + 1;
+  }
+
+  return { ok: true, records: records.length, lastHash: expectedPrev, brokenAt: null };
+}
+
+function parseLines(raw) {
+  return raw
+    .split("\n")
+    .filter((l) => l.trim())
+    .map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    });
+}
+
+/**
+ * AuditLog
+ * Appends are serialized through one promise chain, so records land in call order even
+ * when requests finish concurrently. Nothing touches the disk until the first call.
+ * The latest `maxIndexed` records are also kept in memory by requestId, so looking up
+ * an answer (POST /feedback) never re-reads the file.
+ */
+export class AuditLog {
+  constructor(filePath, { salt, logger, maxIndexed = 10000 } = {}) {
+    this.filePath = filePath;
+    this.salt = salt || crypto.randomBytes(16).toString("hex");
+    this.saltProvided = !!salt;
+    this.logger = logger;
+    this.lastHash = null; // null until the tail of the file has been read
+    this.nextSeq = 0;
+    this.queue = Promise.resolve();
+    this.maxIndexed = maxIndexed;
+    this.unreadableTail = 0; // lines after the last record that parses, found by init()
+    this.needsNewline = false; // a truncated last line has no "\n"; the next append starts one
+    this.byRequestId = new Map(); // requestId -> latest record, oldest first
+  }
+
+  index(record) {
+    if (!record?.requestId) return;
+    this.byRequestId.delete(record.requestId); // a repeated id moves to the newest end
+    this.byRequestId.set(record.requestId, record);
+    if (this.byRequestId.size > this.maxIndexed) this.byRequestId.delete(this.byRequestId.keys().next().value);
+  }
+
+  // Salted so identical questions can be correlated inside one deployment, not reversed.
+  hashMessage(message = "") {
+    return crypto.createHmac("sha256", this.salt).update(String(message)).digest("hex");
+  }
+
+  async readRaw() {
+    try {
+      return await fs.readFile(this.filePath, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return "";
+      throw e;
+    }
+  }
+
+  async readAll() {
+    return parseLines(await this.readRaw());
+  }
+
+  async init() {
+    if (this.lastHash !== null) return;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const raw = await this.readRaw();
+    const records = parseLines(raw);
+    for (const rec of records.slice(-this.maxIndexed)) this.index(rec);
+
+    // A crash mid-append can leave a truncated last line. Chain on from the last record that
+    // parses rather than from genesis (which would start a second chain); verify() still
+    // reports the damaged line.
+    const lastGood = records.findLastIndex((r) => typeof r?.hash === "string" && Number.isInteger(r.seq));
+    const last = records[lastGood];
+    this.unreadableTail = records.length - 1 - lastGood;
+    this.needsNewline = raw.length > 0 && !raw.endsWith("\n");
+    if (this.unreadableTail) {
+      this.logger?.warn("Audit log has unreadable trailing lines; continuing the chain from the last good record", {
+        path: this.filePath,
+        lines: this.unreadableTail,
+        seq: last?.seq ?? null,
+      });
+    }
+
+    this.lastHash = last?.hash || GENESIS_HASH;
+    this.nextSeq = last ? last.seq + 1 : 0;
+  }
+
+  append(fields) {
+    const write = async () => {
+      await this.init();
+      const record = { seq: this.nextSeq, ts: new Date().toISOString(), ...fields, prevHash: this.lastHash };
+      record.hash = hashRecord(record);
+      await fs.appendFile(this.filePath, `${this.needsNewline ? "\n" : ""}${JSON.stringify(record)}\n`, "utf8");
+      this.needsNewline = false;
+      this.lastHash = record.hash;
+      this.nextSeq += 1;
+      this.index(record);
+      return record;
+    };
+
+    const p = this.queue.then(write);
+    this.queue = p.catch(() => {});
+    return p;
+  }
+
+  // Waits for queued appends so reads see every record written so far.
+  async flush() {
+    await this.queue;
+  }
+
+  async verify() {
+    await this.flush();
+    return verifyAuditRecords(await this.readAll());
+  }
+
+  /**
+   * export
+   * Records with from <= ts-date <= to (YYYY-MM-DD, both optional), plus the hash the first
+   * exported record chains from so the range can be verified on its own.
+   */
+  async export({ from, to } = {}) {
+    await this.flush();
+    const all = await this.readAll();
+    const day = (r) => String(r?.ts || "").slice(0, 10);
+    const first = all.findIndex((r) => (!from || day(r) >= from) && (!to || day(r) <= to));
+    const records = first === -1 ? [] : all.slice(first).filter((r) => !to || day(r) <= to);
+
+    return {
+      from: from || null,
+      to: to || null,
+      prevHash: first > 0 ? all[first - 1]?.hash ?? null : GENESIS_HASH,
+      records,
+    };
+  }
+
+  // The latest decision recorded for a requestId (ids can repeat when clients send X-Request-ID), or
+  // null — also for answers older than the in-memory index.
+  async findByRequestId(requestId) {
+    const ready = this.queue.then(() => this.init()); // on the append chain, so the tail is read once
+    this.queue = ready.catch(() => {});
+    await ready;
+    return this.byRequestId.get(requestId) || null;
+  }
+
+  status() {
+    return {
+      path: this.filePath,
+      records: this.nextSeq,
+      lastHash: this.lastHash,
+      unreadableTailLines: this.unreadableTail,
+      saltConfigured: this.saltProvided,
+    };
+  }
+}
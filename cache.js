@@ -0,0 +1,269 @@
+// cache.js — OmanX response cache
+// Goals:
+// - Keys cover everything an answer depends on: model, policy hash, knowledge version + content
+//   hash, mode, lane, language, history and the (normalized) message
+// - Entries remember the knowledge + policy they were built on, so a reload prunes exactly the stale ones
+// - Pluggable storage: in-memory (default) or a JSON file that survives restarts
+// - Hit/miss counters per lane
+//
+// Store shape (synchronous; persistence is the store's own business):
+// {
+//   name: "memory" | "file",
+//   get(key) -> entry | undefined, set(key, entry), delete(key), clear(),
+//   keys() -> iterable (least recently used first), size,
+//   load() -> Promise, flush() -> Promise
+// }
+// entry: { ts, value, meta: { lane, policyHash, knowledgeVersion, knowledgeHash } }
+
+import fs from "fs/promises";
+import crypto from "crypto";
+
+import { JsonFileWriter } from "./files.js";
+
+export const CACHE_STORES = ["memory", "file"];
+const FILE_FORMAT_VERSION = 1;
+
+export class CacheConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CacheConfigError";
+  }
+}
+
+/**
+ * normalizeMessage
+ * Questions that differ only by case, spacing, Unicode form or Arabic diacritics share an entry.
+ */
+export function normalizeMessage(message = "") {
+  return String(message)
+    .normalize("NFKC")
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, "") // tashkeel + tatweel
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+// -----------------------------
+// Stores
+// -----------------------------
+export class MemoryCacheStore {
+  constructor() {
+    this.name = "memory";
+    this.map = new Map();
+  }
+
+  get(key) {
+    return this.map.get(key);
+  }
+
+  // Re-inserting moves the key to the end, which keeps Map order = recency order
+  set(key, entry) {
+    this.map.delete(key);
+    this.map.set(key, entry);
+  }
+
+  delete(key) {
+    this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  keys() {
+    return this.map.keys();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  async load() {}
+
+  async flush() {}
+}
+
+/**
+ * FileCacheStore
+ * The memory store plus a JSON snapshot on disk. Changes are written (atomically) at most
+ * once per `writeDelayMs`; flush() writes immediately (the entrypoint calls it on shutdown).
+ * A missing or unreadable file starts an empty cache rather than failing the app.
+ */
+export class FileCacheStore extends MemoryCacheStore {
+  constructor(filePath, { writeDelayMs = 1000, logger } = {}) {
+    super();
+    this.name = "file";
+    this.filePath = filePath;
+    this.logger = logger;
+    this.writer = new JsonFileWriter(filePath, () => ({ version: FILE_FORMAT_VERSION, entries: [...this.map] }), {
+      delayMs: writeDelayMs,
+      logger,
+      label: "Response cache",
+    });
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+
+    try {
+      const json = JSON.parse(raw);
+      if (json?.version !== FILE_FORMAT_VERSION || !Array.isArray(json.entries)) throw new Error("unknown format");
+      for (const [key, entry] of json.entries) super.set(key, entry);
+      this.logger?.info("Response cache loaded", { path: this.filePath, entries: this.map.size });
+    } catch (e) {
+      this.logger?.warn("Response cache file ignored", { path: this.filePath, error: e?.message || String(e) });
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleWrite();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleWrite();
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    this.writer.schedule();
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+}
+
+/**
+ * createCacheStore
+ * Picks the store from configuration. Throws CacheConfigError for an unknown name.
+ */
+export function createCacheStore({ name = "memory", filePath, logger } = {}) {
+  if (name === "memory") return new MemoryCacheStore();
+  if (name === "file") return new FileCacheStore(filePath, { logger });
+  throw new CacheConfigError(`Unknown CACHE_STORE "${name}" (expected one of ${CACHE_STORES.join(", ")}).`);
+}
+
+// -----------------------------
+// Response cache (TTL + LRU over a store)
+// -----------------------------
+export class ResponseCache {
+  constructor({ ttlMs, maxEntries, store = new MemoryCacheStore() }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.store = store;
+    this.counters = {}; // lane -> { hits, misses }
+    this.lastInvalidation = null;
+  }
+
+  // History is part of the key: the same follow-up means different things in different threads.
+  // So is the campus profile (its id + file hash): "where do I get insurance?" differs by university.
+  // communityHash pins community.json, which Community-policy (local lane) answers are built on.
+  keyFor({ model, policyHash, knowledgeVersion, knowledgeHash, communityHash = null, message, mode, lane, lang, campus = null, history = [] }) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([
+          model,
+          policyHash || "",
+          knowledgeVersion || "",
+          knowledgeHash || "",
+          communityHash || "",
+          mode || "",
+          lane || "",
+          lang || "",
+          campus || "",
+          history,
+          normalizeMessage(message),
+        ])
+      )
+      .digest("hex");
+  }
+
+  count(lane, outcome) {
+    const c = (this.counters[lane || "unknown"] ||= { hits: 0, misses: 0 });
+    c[outcome] += 1;
+  }
+
+  get(key, { lane } = {}) {
+    const entry = this.store.get(key);
+    if (!entry || Date.now() - entry.ts > this.ttlMs) {
+      if (entry) this.store.delete(key);
+      this.count(lane, "misses");
+      return null;
+    }
+
+    // refresh recency
+    this.store.set(key, entry);
+    this.count(lane, "hits");
+    return entry.value;
+  }
+
+  // meta: { lane, policyHash, knowledgeVersion, knowledgeHash } — what the answer was built on
+  set(key, value, meta = {}) {
+    this.store.set(key, { ts: Date.now(), value, meta });
+
+    while (this.store.size > this.maxEntries) {
+      const oldestKey = this.store.keys().next().value;
+      if (oldestKey === undefined) break;
+      this.store.delete(oldestKey);
+    }
+  }
+
+  /**
+   * prune
+   * Drops every entry whose meta fails `isCurrent(meta)` (e.g. built on knowledge that has
+   * since been reloaded). Current entries survive, so a restart with a file store keeps them.
+   */
+  prune(isCurrent, reason) {
+    let removed = 0;
+    for (const key of [...this.store.keys()]) {
+      if (!isCurrent(this.store.get(key)?.meta || {})) {
+        this.store.delete(key);
+        removed += 1;
+      }
+    }
+    this.lastInvalidation = { at: new Date().toISOString(), reason, removed };
+    return removed;
+  }
+
+  clear() {
+    this.store.clear();
+  }
+
+  load() {
+    return this.store.load();
+  }
+
+  flush() {
+    return this.store.flush();
+  }
+
+  stats() {
+    const byLane = structuredClone(this.counters);
+    const hits = Object.values(byLane).reduce((n, c) => n + c.hits, 0);
+    const misses = Object.values(byLane).reduce((n, c) => n + c.misses, 0);
+    return {
+      store: this.store.name,
+      size: this.store.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits,
+      misses,
+      hitRate: hits + misses ? Number((hits / (hits + misses)).toFixed(4)) : null,
+      byLane,
+      lastInvalidation: this.lastInvalidation,
+    };
+  }
+}
@@ -0,0 +1,273 @@
+// campuses-schema.js — OmanX campus profiles (campuses.json) schema + validation
+// Goals:
+// - Scholars study at many universities: each profile carries its city and neighbourhood terms,
+//   DSO office contact, insurance requirements and community tips
+// - A selected profile overlays the base knowledge: its office + insurance become Official items,
+//   its tips an Advisory item, all citable and auditable like any knowledge.json item
+// - Neighbourhood terms feed local-lane routing (no city is hardcoded in classifier.json)
+// - Same reporting style as knowledge-schema.js (every problem at once, path + message)
+//
+// v1 shape:
+// {
+//   "schema_version": 1,
+//   "version": "2026.10.1",
+//   "campuses": [
+//     {
+//       "id": "drexel",                                   // unique, lowercase slug
+//       "university": "...", "university_ar": "...",
+//       "city": "Philadelphia, PA", "city_ar": "...",
+//       "local_terms": ["philly", "university city"],     // routes to the local lane
+//       "dso": { "office": "...", "office_ar": "...", "url": "https://...", "email": "...", "phone": "..." },
+//       "insurance": ["..."], "insurance_ar": ["..."],    // requirements, as the university states them
+//       "local_tips": ["..."], "local_tips_ar": ["..."],  // advisory only
+//       "effective_from": "YYYY-MM-DD", "review_by": "YYYY-MM-DD", "reviewed_by": "..."
+//     }
+//   ]
+// }
+//
+// Generated item ids: campus-<id>-dso, campus-<id>-insurance (Official), campus-<id>-local (Advisory).
+
+export const CAMPUSES_SCHEMA_VERSION = 1;
+export const COMMUNITY_AUTHORITY = "OmanX scholar community";
+
+const ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TOP_LEVEL_KEYS = new Set(["schema_version", "version", "updated_at", "campuses"]);
+const CAMPUS_KEYS = new Set([
+  "id",
+  "university",
+  "university_ar",
+  "city",
+  "city_ar",
+  "local_terms",
+  "dso",
+  "insurance",
+  "insurance_ar",
+  "local_tips",
+  "local_tips_ar",
+  "effective_from",
+  "review_by",
+  "reviewed_by",
+]);
+const DSO_KEYS = new Set(["office", "office_ar", "url", "email", "phone"]);
+
+export class CampusesValidationError extends Error {
+  constructor(errors) {
+    super(`campuses.json failed validation (${errors.length} error${errors.length === 1 ? "" : "s"})`);
+    this.name = "CampusesValidationError";
+    this.errors = errors;
+  }
+}
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+const isStringList = (v) => Array.isArray(v) && v.length > 0 && v.every(isNonEmptyString);
+
+function checkKeys(obj, allowed, at, errors) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.has(key)) errors.push({ path: `${at}.${key}`, message: "unknown field" });
+  }
+}
+
+function isValidDate(v) {
+  if (typeof v !== "string" || !DATE_RE.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+function isHttpsUrl(v) {
+  try {
+    return new URL(v).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+export const campusItemIds = (id) => [`campus-${id}-dso`, `campus-${id}-insurance`, `campus-${id}-local`];
+
+function validateCampus(campus, at, errors) {
+  const err = (field, message) => errors.push({ path: `${at}.${field}`, message });
+  checkKeys(campus, CAMPUS_KEYS, at, errors);
+
+  if (!isNonEmptyString(campus.id) || !ID_RE.test(campus.id)) err("id", "must be a lowercase slug");
+  for (const key of ["university", "city", "reviewed_by"]) {
+    if (!isNonEmptyString(campus[key])) err(key, "must be a non-empty string");
+  }
+  for (const key of ["university_ar", "city_ar"]) {
+    if (campus[key] !== undefined && !isNonEmptyString(campus[key])) err(key, "must be a non-empty string when present");
+  }
+
+  for (const key of ["local_terms", "insurance", "local_tips"]) {
+    if (!isStringList(campus[key])) err(key, "must be a non-empty array of strings");
+  }
+  for (const key of ["insurance_ar", "local_tips_ar"]) {
+    if (campus[key] !== undefined && !isStringList(campus[key])) err(key, "must be a non-empty array of strings when present");
+  }
+
+  const dso = campus.dso;
+  if (!dso || typeof dso !== "object" || Array.isArray(dso)) {
+    err("dso", "must be an object { office, url, email?, phone? }");
+  } else {
+    checkKeys(dso, DSO_KEYS, `${at}.dso`, errors);
+    if (!isNonEmptyString(dso.office)) err("dso.office", "must be a non-empty string");
+    if (dso.office_ar !== undefined && !isNonEmptyString(dso.office_ar)) err("dso.office_ar", "must be a non-empty string when present");
+    if (!isHttpsUrl(dso.url)) err("dso.url", "must be an https URL");
+    if (dso.email !== undefined && (typeof dso.email !== "string" || !EMAIL_RE.test(dso.email))) err("dso.email", "must be an email address");
+    if (dso.phone !== undefined && !isNonEmptyString(dso.phone)) err("dso.phone", "must be a non-empty string");
+  }
+
+  if (!isValidDate(campus.effective_from)) err("effective_from", "must be a YYYY-MM-DD date");
+  if (!isValidDate(campus.review_by)) err("review_by", "must be a YYYY-MM-DD date");
+  if (isValidDate(campus.effective_from) && isValidDate(campus.review_by) && campus.review_by <= campus.effective_from) {
+    err("review_by", "must be after effective_from");
+  }
+}
+
+/**
+ * validateCampuses
+ * Returns { ok, errors, warnings } without throwing.
+ * `knowledgeIds` (when given) is the set of loaded knowledge item ids; a generated item id
+ * that is already taken is a warning (the profile's item shadows it while that campus is selected).
+ */
+export function validateCampuses(json, { knowledgeIds = null, now = new Date() } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }], warnings };
+  }
+  checkKeys(json, TOP_LEVEL_KEYS, "$", errors);
+
+  if (json.schema_version !== CAMPUSES_SCHEMA_VERSION) {
+    errors.push({ path: "$.schema_version", message: `must be ${CAMPUSES_SCHEMA_VERSION}` });
+  }
+  if (!isNonEmptyString(json.version)) errors.push({ path: "$.version", message: "must be a non-empty string" });
+
+  if (!Array.isArray(json.campuses) || !json.campuses.length) {
+    errors.push({ path: "$.campuses", message: "must be a non-empty array" });
+    return { ok: false, errors, warnings };
+  }
+
+  const today = now.toISOString().slice(0, 10);
+  const ids = new Set();
+  json.campuses.forEach((campus, i) => {
+    const at = `$.campuses[${i}]`;
+    if (!campus || typeof campus !== "object" || Array.isArray(campus)) {
+      errors.push({ path: at, message: "must be an object" });
+      return;
+    }
+    validateCampus(campus, at, errors);
+
+    if (isNonEmptyString(campus.id)) {
+      if (ids.has(campus.id)) errors.push({ path: `${at}.id`, message: `duplicate id "${campus.id}"` });
+      ids.add(campus.id);
+      for (const itemId of knowledgeIds ? campusItemIds(campus.id) : []) {
+        if (knowledgeIds.has(itemId)) warnings.push({ path: `${at}.id`, message: `"${itemId}" shadows a knowledge item` });
+      }
+    }
+    if (isValidDate(campus.review_by) && campus.review_by < today) {
+      warnings.push({ path: `${at}.review_by`, message: `"${campus.id}" is overdue for review (${campus.review_by})` });
+    }
+  });
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+/**
+ * campusKnowledgeItems
+ * The profile as knowledge.json v2 items: { official: [dso, insurance], advisory: local tips }.
+ * Rendered, retrieved and cited exactly like items from knowledge.json.
+ */
+export function campusKnowledgeItems(campus) {
+  const [dsoId, insuranceId, localId] = campusItemIds(campus.id);
+  const university = campus.university;
+  const universityAr = campus.university_ar || university;
+  const office = campus.dso.office;
+  const officeAr = campus.dso.office_ar || office;
+  const common = {
+    version: 1,
+    effective_from: campus.effective_from,
+    review_by: campus.review_by,
+    reviewed_by: campus.reviewed_by,
+  };
+  const contacts = [
+    campus.dso.email && `Email: ${campus.dso.email}`,
+    campus.dso.phone && `Phone: ${campus.dso.phone}`,
+  ].filter(Boolean);
+  const contactsAr = [
+    campus.dso.email && `البريد الإلكتروني: ${campus.dso.email}`,
+    campus.dso.phone && `الهاتف: ${campus.dso.phone}`,
+  ].filter(Boolean);
+
+  return {
+    official: [
+      {
+        id: dsoId,
+        ...common,
+        title: `${university} international student office (DSO)`,
+        category: "Official",
+        summary: `The Designated School Officials (DSOs) for ${university} are in ${office}; your I-20/DS-2019, SEVIS record and enrollment questions go there.`,
+        bullets: [
+          `Check in with ${office} after arrival and before any change to your enrollment, address, travel or employment.`,
+          ...contacts,
+        ],
+        authorities: [{ name: office, url: campus.dso.url }],
+        applicability: ["campus", "dso"],
+        title_ar: `مكتب الطلاب الدوليين في ${universityAr} (DSO)`,
+        summary_ar: `المسؤولون المعينون (DSO) في ${universityAr} يعملون في ${officeAr}؛ وتُوجَّه إليهم أسئلة نموذج I-20/DS-2019 وسجل SEVIS والتسجيل الدراسي.`,
+        bullets_ar: [
+          `سجّل حضورك لدى ${officeAr} بعد الوصول وقبل أي تغيير في تسجيلك الدراسي أو عنوانك أو سفرك أو عملك.`,
+          ...contactsAr,
+        ],
+      },
+      {
+        id: insuranceId,
+        ...common,
+        title: `${university} health insurance requirements`,
+        category: "Official",
+        summary: `Health insurance requirements ${university} sets for international students.`,
+        bullets: campus.insurance,
+        authorities: [{ name: university }],
+        applicability: ["campus", "health-insurance"],
+        title_ar: `متطلبات التأمين الصحي في ${universityAr}`,
+        summary_ar: `متطلبات التأمين الصحي التي تضعها ${universityAr} للطلاب الدوليين.`,
+        ...(campus.insurance_ar ? { bullets_ar: campus.insurance_ar } : {}),
+      },
+    ],
+    advisory: {
+      id: localId,
+      ...common,
+      title: `Community tips in ${campus.city}`,
+      category: "Advisory",
+      summary: `Shared by Omani scholars at ${university}; not official guidance. Verify details locally.`,
+      bullets: campus.local_tips,
+      authorities: [{ name: COMMUNITY_AUTHORITY }],
+      applicability: ["campus", "local"],
+      title_ar: `نصائح مجتمعية في ${campus.city_ar || campus.city}`,
+      summary_ar: `يشاركها الدارسون العمانيون في ${universityAr}؛ وليست إرشادات رسمية. تحقق من التفاصيل محليًا.`,
+      ...(campus.local_tips_ar ? { bullets_ar: campus.local_tips_ar } : {}),
+    },
+  };
+}
+
+/**
+ * toApiCampuses
+ * camelCase shape served by /api/campuses (what the UI needs to offer a choice).
+ */
+export function toApiCampuses(json) {
+  return json.campuses.map((c) => ({
+    id: c.id,
+    university: c.university,
+    universityAr: c.university_ar || null,
+    city: c.city,
+    cityAr: c.city_ar || null,
+    dso: {
+      office: c.dso.office,
+      officeAr: c.dso.office_ar || null,
+      url: c.dso.url,
+      email: c.dso.email || null,
+      phone: c.dso.phone || null,
+    },
+  }));
+}
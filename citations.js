@@ -0,0 +1,129 @@
+// citations.js — OmanX post-generation citation verification
+// Goals:
+// - Parse the "Source / Authority" block the policies mandate
+// - Match every citation to a real knowledge item or authority
+// - Strip any URL that is not an approved authority URL in knowledge.json
+//
+// verifyCitations() never throws; it returns a result the caller decides on.
+
+import { parseSections } from "./sections.js";
+
+const URL_RE = /\bhttps?:\/\/[^\s<>()"'\]]+/gi;
+
+// Lines that only name the category ("Official", "Advisory — approved knowledge") carry no authority to check
+const CATEGORY_ONLY = new Set([
+  "official",
+  "advisory",
+  "category",
+  "source",
+  "approved",
+  "knowledge",
+  "sources",
+  "رسمي",
+  "استشاري",
+]);
+
+const GENERIC_TOKENS = new Set(["of", "the", "and", "u", "s", "for", "university", "office", "official", "advisory"]);
+
+function normalizeUrl(u) {
+  try {
+    const url = new URL(u.replace(/[.,;:]+$/, ""));
+    return `${url.protocol}//${url.host.toLowerCase()}${url.pathname.replace(/\/+$/, "")}`;
+  } catch {
+    return null;
+  }
+}
+
+function words(text = "") {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * parseSourceBlock
+ * Returns the citation lines under "Source / Authority:" (bullets stripped),
+ * or null when the block is missing.
+ */
+export function parseSourceBlock(text = "") {
+  return parseSections(text).sourceAuthority;
+}
+
+/**
+ * buildCitationIndex
+ * Flattens knowledge items into matchable authorities + the approved URL set.
+ */
+export function buildCitationIndex(items = []) {
+  const authorities = [];
+  const urls = new Set();
+
+  for (const item of items) {
+    for (const a of item.authorities || []) {
+      const acronyms = [...String(a.name).matchAll(/\(([A-Za-z][A-Za-z-]{1,})\)/g)].map((m) => m[1].toLowerCase());
+      authorities.push({
+        itemId: item.id,
+        name: a.name,
+        url: a.url || null,
+        tokens: words(a.name).filter((t) => !GENERIC_TOKENS.has(t)),
+        acronyms,
+      });
+      if (a.url) urls.add(normalizeUrl(a.url));
+    }
+  }
+
+  return { items, authorities, urls };
+}
+
+function matchCitation(line, index) {
+  const lineWords = new Set(words(line));
+  const lower = line.toLowerCase();
+
+  for (const item of index.items) {
+    if (item.id && lower.includes(item.id)) return { itemId: item.id, authority: null };
+  }
+
+  let best = null;
+  for (const a of index.authorities) {
+    if (a.acronyms.some((x) => lineWords.has(x))) return { itemId: a.itemId, authority: a.name };
+    if (!a.tokens.length) continue;
+    const hits = a.tokens.filter((t) => lineWords.has(t)).length;
+    const ratio = hits / a.tokens.length;
+    if (ratio >= 0.5 && (!best || ratio > best.ratio)) best = { ratio, itemId: a.itemId, authority: a.name };
+  }
+
+  return best ? { itemId: best.itemId, authority: best.authority } : null;
+}
+
+/**
+ * verifyCitations
+ * Result shape:
+ *   { status: "verified" | "unverified" | "missing", text, citations, unmatched, strippedUrls }
+ * `text` is the answer with unapproved URLs removed.
+ */
+export function verifyCitations(answer, index) {
+  const strippedUrls = [];
+  const text = String(answer || "").replace(URL_RE, (u) => {
+    const norm = normalizeUrl(u);
+    if (norm && index.urls.has(norm)) return u;
+    strippedUrls.push(u);
+    return "[link removed]";
+  });
+
+  const lines = parseSourceBlock(text);
+  if (!lines || !lines.length) {
+    return { status: "missing", text, citations: [], unmatched: [], strippedUrls };
+  }
+
+  const citations = [];
+  const unmatched = [];
+  for (const line of lines) {
+    if (words(line).every((w) => CATEGORY_ONLY.has(w))) continue;
+    const m = matchCitation(line, index);
+    if (m) citations.push({ text: line, ...m });
+    else unmatched.push(line);
+  }
+
+  const status = citations.length && !unmatched.length ? "verified" : "unverified";
+  return { status, text, citations, unmatched, strippedUrls };
+}
@@ -0,0 +1,238 @@
+// classifier.js — OmanX rules-driven risk classifier
+// Goals:
+// - Replace hardcoded substring lists with word-boundary terms / regex rules from classifier.json
+// - Weighted rules across risk tiers: emergency, governed (high-stakes), scholar, local
+// - Explainable: every decision lists the rules that fired
+// - Arabic terms match with or without the article/prefixes (و، ب، ف، ك، ل + ال)
+// - Callers can add compiled rules per request (campus neighbourhood terms, campuses.json)
+// - The risk tier and the student's mode (Official / Community) decide the effective policy
+//   through one explicit matrix (POLICY_MATRIX); the mode never overrides a governed topic
+//
+// classifier.json shape:
+// {
+//   "version": "2026.10.1",
+//   "thresholds": { "emergency": 1, "governed": 1, "local": 1 },
+//   "rules": [
+//     { "id": "work-authorization", "tier": "governed", "weight": 3, "terms": ["opt", "cpt"] },
+//     { "id": "status-change", "tier": "governed", "weight": 2, "pattern": "\\bout of status\\b" }
+//   ]
+// }
+
+import { normalizeArabic } from "./language.js";
+
+export const RISK_TIERS = ["emergency", "governed", "scholar", "local"];
+export const CHAT_MODES = ["official", "community"];
+
+const RULE_KEYS = new Set(["id", "tier", "weight", "terms", "pattern", "description"]);
+const ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export class ClassifierConfigError extends Error {
+  constructor(errors) {
+    super(`classifier.json failed validation (${errors.length} error${errors.length === 1 ? "" : "s"})`);
+    this.name = "ClassifierConfigError";
+    this.errors = errors;
+  }
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const ARABIC_RE = /[\u0600-\u06FF]/u;
+const ARABIC_PREFIX = "(?:[وبفكل]?(?:ال|لل)?)";
+
+// Letters/digits on either side mean we're inside a larger word ("opt" in "option", "bar" in "barcode").
+function termsToRegex(terms) {
+  const alts = terms.map((t) => {
+    const term = normalizeArabic(t.trim());
+    const body = escapeRegex(term).replace(/\s+/g, "\\s+");
+    return ARABIC_RE.test(term) ? `${ARABIC_PREFIX}${body}` : body;
+  });
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alts.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+}
+
+/**
+ * validateClassifierConfig
+ * Returns { ok, errors } without throwing.
+ */
+export function validateClassifierConfig(json) {
+  const errors = [];
+  const err = (p, message) => errors.push({ path: p, message });
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }] };
+  }
+  if (typeof json.version !== "string" || !json.version.trim()) err("$.version", "must be a non-empty string");
+
+  if (json.thresholds !== undefined) {
+    if (!json.thresholds || typeof json.thresholds !== "object") {
+      err("$.thresholds", "must be an object");
+    } else {
+      for (const [tier, v] of Object.entries(json.thresholds)) {
+        if (!RISK_TIERS.includes(tier)) err(`$.thresholds.${tier}`, "unknown tier");
+        else if (typeof v !== "number" || v <= 0) err(`$.thresholds.${tier}`, "must be a positive number");
+      }
+    }
+  }
+
+  if (!Array.isArray(json.rules) || !json.rules.length) {
+    err("$.rules", "must be a non-empty array");
+    return { ok: false, errors };
+  }
+
+  const ids = new Set();
+  json.rules.forEach((rule, i) => {
+    const at = `$.rules[${i}]`;
+    if (!rule || typeof rule !== "object") return err(at, "must be an object");
+
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.has(key)) err(`${at}.${key}`, "unknown field");
+    }
+
+    if (typeof rule.id !== "string" || !ID_RE.test(rule.id)) err(`${at}.id`, "must be a lowercase slug");
+    else if (ids.has(rule.id)) err(`${at}.id`, `duplicate id "${rule.id}"`);
+    ids.add(rule.id);
+
+    if (!RISK_TIERS.includes(rule.tier)) err(`${at}.tier`, `must be one of ${RISK_TIERS.join(", ")}`);
+    if (typeof rule.weight !== "number" || rule.weight <= 0) err(`${at}.weight`, "must be a positive number");
+
+    const hasTerms = rule.terms !== undefined;
+    const hasPattern = rule.pattern !== undefined;
+    if (hasTerms === hasPattern) err(at, "must define exactly one of `terms` or `pattern`");
+
+    if (hasTerms) {
+      if (!Array.isArray(rule.terms) || !rule.terms.length || rule.terms.some((t) => typeof t !== "string" || !t.trim())) {
+        err(`${at}.terms`, "must be a non-empty array of strings");
+      }
+    }
+    if (hasPattern) {
+      try {
+        new RegExp(rule.pattern, "iu");
+      } catch (e) {
+        err(`${at}.pattern`, `invalid regex: ${e.message}`);
+      }
+    }
+  });
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * compileRule
+ * One validated rule ({ id, tier, weight, terms | pattern }) -> { id, tier, weight, regex }.
+ */
+export function compileRule(r) {
+  return {
+    id: r.id,
+    tier: r.tier,
+    weight: r.weight,
+    regex: r.terms ? termsToRegex(r.terms) : new RegExp(r.pattern, "giu"),
+  };
+}
+
+/**
+ * compileClassifier
+ * Turns a validated config into { version, thresholds, rules: [{ ..., regex }] }.
+ */
+export function compileClassifier(json) {
+  return {
+    version: json.version,
+    thresholds: { emergency: 1, governed: 1, local: 1, ...(json.thresholds || {}) },
+    rules: json.rules.map(compileRule),
+  };
+}
+
+/**
+ * classify
+ * Scores a message against every rule and picks a tier:
+ *   emergency >= threshold  -> "emergency"
+ *   governed  >= threshold  -> "governed"
+ *   local     >= threshold and local > scholar -> "local"
+ *   otherwise               -> "scholar"
+ * Only the "local" tier routes to the local lane; all others stay in the scholar lane.
+ * `extraRules` (compiled with compileRule) are scored alongside the config's rules.
+ */
+export function classify(message = "", compiled, { extraRules = [] } = {}) {
+  const text = normalizeArabic(String(message).normalize("NFKC"));
+  const scores = Object.fromEntries(RISK_TIERS.map((t) => [t, 0]));
+  const fired = [];
+
+  for (const rule of [...(compiled?.rules || []), ...extraRules]) {
+    rule.regex.lastIndex = 0;
+    const matches = [...text.matchAll(rule.regex)].map((m) => m[0]);
+    if (!matches.length) continue;
+    scores[rule.tier] += rule.weight;
+    fired.push({ id: rule.id, tier: rule.tier, weight: rule.weight, matches: [...new Set(matches.map((m) => m.toLowerCase()))] });
+  }
+
+  const th = compiled?.thresholds || { emergency: 1, governed: 1, local: 1 };
+  let tier = "scholar";
+  if (scores.emergency >= th.emergency) tier = "emergency";
+  else if (scores.governed >= th.governed) tier = "governed";
+  else if (scores.local >= th.local && scores.local > scores.scholar) tier = "local";
+
+  return {
+    tier,
+    lane: tier === "local" ? "local" : "scholar",
+    scores,
+    fired,
+    version: compiled?.version || null,
+  };
+}
+
+const SEVERITY = { local: 0, scholar: 1, governed: 2, emergency: 3 };
+
+/**
+ * classifyConversation
+ * Classifies the latest message, then applies the thread's history: once any earlier
+ * user turn was governed or emergency, the conversation can't drift below "governed"
+ * (so a high-stakes thread never falls into the local lane).
+ */
+export function classifyConversation(message = "", priorUserMessages = [], compiled, options = {}) {
+  const current = classify(message, compiled, options);
+
+  let priorTier = null;
+  for (const prior of priorUserMessages) {
+    const { tier } = classify(prior, compiled, options);
+    if (!priorTier || SEVERITY[tier] > SEVERITY[priorTier]) priorTier = tier;
+  }
+
+  const sticky = priorTier && SEVERITY[priorTier] >= SEVERITY.governed && SEVERITY[current.tier] < SEVERITY.governed;
+  const tier = sticky ? "governed" : current.tier;
+
+  return {
+    ...current,
+    tier,
+    lane: tier === "local" ? "local" : "scholar",
+    conversation: { turns: priorUserMessages.length, priorTier, escalatedByHistory: !!sticky },
+  };
+}
+
+// -----------------------------
+// Mode × tier policy matrix
+// - "official": scholar lane, approved knowledge.json sources, citations verified
+// - "community": local lane, advisory community.json (+ campus tips), labelled non-authoritative
+// Emergency and governed topics always get the Official policy, whatever the mode. Everyday
+// (local-tier) topics have no official sources, so they get the Community policy in both modes.
+// -----------------------------
+export const POLICY_MATRIX = {
+  emergency: { official: "official", community: "official" },
+  governed: { official: "official", community: "official" },
+  scholar: { official: "official", community: "community" },
+  local: { official: "community", community: "community" },
+};
+
+/**
+ * resolvePolicy
+ * The effective policy for a risk tier and the mode the student asked for.
+ * Returns { requestedMode, mode, lane, authoritative, reason }; reason is "requested" when the
+ * mode was honoured, otherwise the kind of topic that overrode it ("emergency-topic",
+ * "governed-topic", "local-topic").
+ */
+export function resolvePolicy(tier, requestedMode = "official") {
+  const mode = POLICY_MATRIX[tier]?.[requestedMode] ?? "official";
+  return {
+    requestedMode,
+    mode,
+    lane: mode === "official" ? "scholar" : "local",
+    authoritative: mode === "official",
+    reason: mode === requestedMode ? "requested" : `${tier}-topic`,
+  };
+}
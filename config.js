@@ -0,0 +1,86 @@
+// config.js — OmanX runtime configuration
+// Goals:
+// - One place that reads the environment; everything else receives a plain config object
+// - createApp() and tests pass overrides instead of mutating process.env
+
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const list = (v) =>
+  (v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * loadConfig
+ * Reads settings from `env` (process.env by default); `overrides` win over the environment.
+ */
+export function loadConfig(env = process.env, overrides = {}) {
+  const nodeEnv = overrides.env || env.NODE_ENV || "development";
+
+  const config = {
+    env: nodeEnv,
+    isProd: nodeEnv === "production",
+    port: Number(env.PORT || 3000),
+    logLevel: env.LOG_LEVEL || (nodeEnv === "production" ? "info" : "debug"),
+
+    modelProvider: env.MODEL_PROVIDER || "openai", // openai | local
+    openaiModel: env.OPENAI_MODEL || "gpt-4.1-mini",
+    openaiApiKey: env.OPENAI_API_KEY || "",
+    localChunkDelayMs: Number(env.LOCAL_PROVIDER_CHUNK_MS || 0),
+
+    allowedOrigins: list(env.ALLOWED_ORIGINS),
+    rateLimitMax: Number(env.RATE_LIMIT_MAX || 120), // per 15 min
+    cacheTtlMs: Number(env.CACHE_TTL_MS || 10 * 60 * 1000), // 10 min
+    cacheMaxEntries: Number(env.CACHE_MAX_ENTRIES || 500),
+    cacheStore: env.CACHE_STORE || "memory", // memory | file (survives restarts)
+    cachePath: env.CACHE_PATH || path.join(ROOT_DIR, ".omanx", "cache.json"),
+
+    knowledgePath: env.KNOWLEDGE_PATH || path.join(ROOT_DIR, "knowledge.json"),
+    communityPath: env.COMMUNITY_PATH || path.join(ROOT_DIR, "community.json"),
+    classifierPath: env.CLASSIFIER_PATH || path.join(ROOT_DIR, "classifier.json"),
+    flowsPath: env.FLOWS_PATH || path.join(ROOT_DIR, "flows.json"),
+    campusesPath: env.CAMPUSES_PATH || path.join(ROOT_DIR, "campuses.json"),
+    reloadIntervalMs: Number(env.KNOWLEDGE_RELOAD_MS || 30_000),
+    retrievalTopN: Number(env.RETRIEVAL_TOP_N || 4),
+    historyMaxTurns: Number(env.HISTORY_MAX_TURNS || 20),
+    historyMaxTokens: Number(env.HISTORY_MAX_TOKENS || 3000),
+
+    // Admin access (admin-auth.js): named, hashed, scoped credentials; keys only in headers
+    adminCredentials: env.ADMIN_CREDENTIALS || "", // JSON array of { name, hash, scopes }
+    adminInsecureDev: env.ADMIN_INSECURE_DEV === "true", // open admin routes; refused in production
+    adminRateLimitMax: Number(env.ADMIN_RATE_LIMIT_MAX || 60), // per 15 min
+    legacyAdminKey: Boolean(env.ADMIN_KEY), // ADMIN_KEY is no longer read; only reported
+
+    // Model usage accounting + daily token budgets (usage.js); 0 disables a budget
+    tokenBudgetClientDaily: Number(env.TOKEN_BUDGET_CLIENT_DAILY || 100_000),
+    tokenBudgetGlobalDaily: Number(env.TOKEN_BUDGET_GLOBAL_DAILY || 2_000_000),
+    // BUDGET_CLIENT_HEADER (e.g. set by an SSO proxy) names the client a call is charged to, but only on
+    // connections from BUDGET_CLIENT_PROXIES (exact peer addresses). The proxy must overwrite the header:
+    // anyone else could send a new value per request and get a fresh budget. Otherwise: the client IP.
+    budgetClientHeader: (env.BUDGET_CLIENT_HEADER || "").toLowerCase(),
+    budgetClientProxies: list(env.BUDGET_CLIENT_PROXIES),
+    modelPriceInputPerMTok: Number(env.MODEL_PRICE_INPUT_PER_MTOK || 0.4), // USD per 1M tokens, for cost estimates
+    modelPriceOutputPerMTok: Number(env.MODEL_PRICE_OUTPUT_PER_MTOK || 1.6),
+    usagePath: env.USAGE_PATH || path.join(ROOT_DIR, ".omanx", "usage.json"),
+
+    // Audit trail: .omanx/ is a dot-dir, so express.static never serves it
+    auditLogPath: env.AUDIT_LOG_PATH || path.join(ROOT_DIR, ".omanx", "audit.jsonl"),
+    auditSalt: env.AUDIT_SALT || "", // set in prod so message hashes stay comparable across restarts
+
+    // Knowledge drafts, published versions and edit history (knowledge-store.js)
+    knowledgeDataDir: env.KNOWLEDGE_DATA_DIR || path.join(ROOT_DIR, ".omanx", "knowledge"),
+
+    // Answer feedback + issue reports awaiting review (feedback.js)
+    feedbackPath: env.FEEDBACK_PATH || path.join(ROOT_DIR, ".omanx", "feedback.json"),
+    feedbackMaxEntries: Number(env.FEEDBACK_MAX_ENTRIES || 5000),
+
+    ...overrides,
+  };
+
+  config.isProd = config.env === "production";
+  return config;
+}
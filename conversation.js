@@ -0,0 +1,43 @@
+// conversation.js — OmanX client-held conversation history
+// Goals:
+// - The client sends prior turns with each /chat call; the server never stores them
+// - Validate shape, bound the number of turns and trim to a token budget (newest kept)
+// - Token counts are estimates (~4 chars per token), good enough for budgeting
+
+export const HISTORY_ROLES = ["user", "assistant"];
+
+export const estimateTokens = (text = "") => Math.ceil(String(text).length / 4);
+
+/**
+ * normalizeHistory
+ * Returns { ok: true, turns, dropped, tokens } or { ok: false, error }.
+ * `turns` is oldest-first and fits within both maxTurns and maxTokens.
+ */
+export function normalizeHistory(history, { maxTurns = 20, maxTokens = 3000, maxTurnChars = 10_000 } = {}) {
+  if (history === undefined || history === null) return { ok: true, turns: [], dropped: 0, tokens: 0 };
+  if (!Array.isArray(history)) return { ok: false, error: "'history' must be an array." };
+  if (history.length > maxTurns * 5) return { ok: false, error: `'history' is too long (max ${maxTurns * 5} entries).` };
+
+  for (const [i, turn] of history.entries()) {
+    if (!turn || typeof turn !== "object") return { ok: false, error: `history[${i}] must be an object.` };
+    if (!HISTORY_ROLES.includes(turn.role)) return { ok: false, error: `history[${i}].role must be "user" or "assistant".` };
+    if (typeof turn.content !== "string") return { ok: false, error: `history[${i}].content must be a string.` };
+    if (turn.content.length > maxTurnChars) return { ok: false, error: `history[${i}].content is too long.` };
+  }
+
+  const turns = [];
+  let tokens = 0;
+  for (let i = history.length - 1; i >= 0 && turns.length < maxTurns; i--) {
+    const content = history[i].content.trim();
+    if (!content) continue;
+    const cost = estimateTokens(content);
+    if (tokens + cost > maxTokens) break;
+    tokens += cost;
+    turns.unshift({ role: history[i].role, content });
+  }
+
+  // Never start mid-exchange with an orphaned assistant reply
+  while (turns[0]?.role === "assistant") tokens -= estimateTokens(turns.shift().content);
+
+  return { ok: true, turns, dropped: history.length - turns.length, tokens };
+}
@@ -0,0 +1,1493 @@
+// create-app.js — OmanX Express app factory
+// Goals:
+// - Production-grade middleware (security, rate limit, logging, compression)
+// - Root-directory static serving (index.html, styles.css, app.js all in root)
+// - Pluggable model provider (providers.js): OpenAI Responses API or an offline extractive provider
+// - Optional SSE streaming
+// - Knowledge.json hot-reload + caching (v2 schema validated; invalid reloads keep the last good copy)
+// - Local BM25 retrieval: only the top-N relevant knowledge items are injected per message
+// - Post-generation citation verification against approved authorities (scholar lane)
+// - Answers returned as structured `sections` (the four mandated blocks), repaired or escalated if incomplete
+// - Rules-driven risk classifier (classifier.json, hot reload) decides tier + lane
+// - English/Arabic: replies follow the language of the question
+// - Multi-turn: bounded history sent by the client each call (never stored server-side)
+// - Hash-chained audit trail (audit.js): one record per /chat decision, exportable + verifiable
+// - Personal identifiers are redacted (redaction.js) before the model, cache, logs or audit see them
+// - Knowledge editing (knowledge-store.js): per-item drafts, atomic publish, rollback to any version
+// - Onboarding checklists are data (flows.json, hot reload) served by /api/flows
+// - Personal onboarding timeline (timeline.js): dated plan + .ics, computed per request, never stored
+// - Admin endpoints need a named, scoped credential (admin-auth.js), are rate limited and logged
+// - Admin console (admin.html at /admin): status, recent error counts (recent-errors.js), reloads
+// - Prometheus metrics at /metrics (metrics.js): requests, cache, model latency + tokens, streams, reloads
+// - Model usage ledger (usage.js): daily token budgets per client + global, spend by lane/day for admins
+// - Answer feedback (feedback.js): ratings + issue reports per requestId, triaged in an admin review queue
+// - Campus profiles (campuses.json, hot reload): the selected campus overlays its office, insurance and
+//   community tips on the knowledge, supplies local-lane terms, and is returned + audited as `campus`
+// - Community Mode: its own Advisory source (community.json, hot reload); the risk tier and the requested
+//   mode pick the effective policy (classifier.js POLICY_MATRIX), so governed topics are always answered
+//   as Official. The effective policy is returned as `policy` and audited as `effectiveMode`
+// - No side effects: createApp() loads nothing, starts no timers and never listens.
+//   server.js (the entrypoint) calls reload(), schedules hot reload and owns the listener.
+//
+// IMPORTANT:
+// - prompts.js must export:
+//   - SYSTEM_POLICY_SCHOLAR
+//   - SYSTEM_POLICY_LOCAL
+//   - buildCitationRetryNote
+//   - escalationResponse
+//   - SECTION_DEFAULTS
+//
+// Deployment note:
+// - If frontend and backend are on different domains, set:
+//   ALLOWED_ORIGINS=https://your-frontend-domain,https://www.your-frontend-domain
+
+import express from "express";
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+
+import helmet from "helmet";
+import cors from "cors";
+import compression from "compression";
+import rateLimit from "express-rate-limit";
+import morgan from "morgan";
+
+import {
+  SYSTEM_POLICY_SCHOLAR,
+  SYSTEM_POLICY_LOCAL,
+  buildCitationRetryNote,
+  escalationResponse,
+  budgetResponse,
+  SECTION_DEFAULTS,
+  buildKnowledgeText,
+  policyNotice,
+} from "./prompts.js";
+import { KnowledgeValidationError } from "./knowledge-schema.js";
+import { CHAT_MODES, ClassifierConfigError, resolvePolicy } from "./classifier.js";
+import { FlowsValidationError } from "./flows-schema.js";
+import { CampusesValidationError } from "./campuses-schema.js";
+import { parseSections, repairSections, renderSections } from "./sections.js";
+import { detectLanguage } from "./language.js";
+import { estimateTokens, normalizeHistory } from "./conversation.js";
+import { createProvider } from "./providers.js";
+import { ROOT_DIR, loadConfig } from "./config.js";
+import { createLogger } from "./logger.js";
+import { KnowledgeManager, ClassifierManager, FlowsManager, CampusManager } from "./managers.js";
+import { KnowledgeEditError, KnowledgeStore } from "./knowledge-store.js";
+import { ResponseCache, createCacheStore } from "./cache.js";
+import { AuditLog, hashText, verifyAuditRecords } from "./audit.js";
+import { redactPII, redactionNotice } from "./redaction.js";
+import { buildTimeline, timelineToIcs, validateTimelineRequest } from "./timeline.js";
+import { createAdminAuth, parseAdminCredentials } from "./admin-auth.js";
+import { RecentErrors, withErrorCounts } from "./recent-errors.js";
+import { PROMETHEUS_CONTENT_TYPE, createOmanxMetrics } from "./metrics.js";
+import { UsageLedger, estimateRequestTokens } from "./usage.js";
+import { FEEDBACK_STATUSES, FeedbackError, FeedbackStore, validateFeedback, validateTriage } from "./feedback.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const COMMUNITY_MIN_SCORE = 2;
+const FEEDBACK_LIST_STATUSES = ["queue", "all", ...FEEDBACK_STATUSES];
+
+// IPv4 peers on a dual-stack socket show up as "::ffff:1.2.3.4"
+const normalizeAddress = (addr = "") => String(addr).replace(/^::ffff:/, "");
+
+// Policies are static for the life of the process; their hashes identify the exact rules applied.
+const POLICY_HASHES = {
+  scholar: hashText(SYSTEM_POLICY_SCHOLAR.trim()),
+  local: hashText(SYSTEM_POLICY_LOCAL.trim()),
+};
+
+/**
+ * createApp
+ * Builds the Express app and its state without touching the network, timers or process.
+ * - provider: a model provider (providers.js); defaults to the one named in config
+ * - knowledgePath: overrides config.knowledgePath
+ * - config: overrides on top of loadConfig() defaults (the environment is NOT read here)
+ * - logger: defaults to a logger built from config.logLevel
+ *
+ * Shared state is exposed as app.locals.omanx = { config, logger, provider, knowledge, community,
+ * knowledgeStore, classifier, flows, campuses, cache, auditLog, adminAuth, recentErrors, metrics, usage,
+ * feedback, reload(force) }.
+ * Throws CacheConfigError / AdminAuthConfigError for invalid configuration.
+ */
+export function createApp({ provider, knowledgePath, config: overrides = {}, logger } = {}) {
+  const config = loadConfig({}, { ...overrides, ...(knowledgePath ? { knowledgePath } : {}) });
+  const recentErrors = new RecentErrors();
+  logger = withErrorCounts(logger || createLogger(config), recentErrors);
+  provider =
+    provider ||
+    createProvider({
+      name: config.modelProvider,
+      openaiApiKey: config.openaiApiKey,
+      openaiModel: config.openaiModel,
+      localChunkDelayMs: config.localChunkDelayMs,
+    });
+
+  const knowledge = new KnowledgeManager(config.knowledgePath, { logger, topN: config.retrievalTopN });
+  // Community answers quote their items verbatim, so a single shared word ("campus") is not a match
+  const community = new KnowledgeManager(config.communityPath, {
+    logger,
+    topN: config.retrievalTopN,
+    minScore: COMMUNITY_MIN_SCORE,
+    category: "Advisory",
+    file: "community.json",
+  });
+  const classifier = new ClassifierManager(config.classifierPath, { logger });
+  const knowledgeStore = new KnowledgeStore(config.knowledgePath, { dataDir: config.knowledgeDataDir, logger });
+  const flows = new FlowsManager(config.flowsPath, { logger, knowledge });
+  const campuses = new CampusManager(config.campusesPath, { logger, knowledge });
+  const cache = new ResponseCache({
+    ttlMs: config.cacheTtlMs,
+    maxEntries: config.cacheMaxEntries,
+    store: createCacheStore({ name: config.cacheStore, filePath: config.cachePath, logger }),
+  });
+  const auditLog = new AuditLog(config.auditLogPath, { salt: config.auditSalt, logger });
+  const metrics = createOmanxMetrics();
+  const usage = new UsageLedger(config.usagePath, {
+    clientDailyTokens: config.tokenBudgetClientDaily,
+    globalDailyTokens: config.tokenBudgetGlobalDaily,
+    prices: { inputPerMTok: config.modelPriceInputPerMTok, outputPerMTok: config.modelPriceOutputPerMTok },
+    salt: config.auditSalt,
+    logger,
+  });
+  const feedback = new FeedbackStore(config.feedbackPath, { maxEntries: config.feedbackMaxEntries, logger });
+
+  // Who a /chat call is charged to: the BUDGET_CLIENT_HEADER id when the connection comes from a
+  // BUDGET_CLIENT_PROXIES address (anyone else could pick a fresh id per request), else the client IP
+  const budgetProxies = new Set((config.budgetClientProxies || []).map(normalizeAddress));
+  const clientIdFor = (req) =>
+    (config.budgetClientHeader && budgetProxies.has(normalizeAddress(req.socket.remoteAddress)) && req.get(config.budgetClientHeader)) ||
+    req.ip;
+
+  const adminAuth = createAdminAuth({
+    credentials: parseAdminCredentials(config.adminCredentials),
+    insecureDev: config.adminInsecureDev,
+    isProd: config.isProd,
+    logger,
+  });
+
+  if (!config.auditSalt) {
+    logger.warn("AUDIT_SALT not set; audit message hashes use a per-process salt");
+  }
+  if (config.legacyAdminKey) {
+    logger.warn("ADMIN_KEY is no longer used; configure ADMIN_CREDENTIALS (npm run admin-key)");
+  }
+
+  /**
+   * auditDecision
+   * Appends one record for a /chat request. `trail` is filled in as the request
+   * progresses, so early rejections still leave a (shorter) record. Never throws.
+   */
+  function auditDecision(trail, outcome) {
+    const record = {
+      requestId: trail.requestId,
+      lane: trail.lane ?? null,
+      tier: trail.tier ?? null,
+      mode: trail.mode ?? null,
+      effectiveMode: trail.effectiveMode ?? null,
+      lang: trail.lang ?? null,
+      campus: trail.campus ?? null,
+      stream: !!trail.stream,
+      model: `${provider.name}:${provider.model}`,
+      policyHash: trail.lane ? POLICY_HASHES[trail.lane] : null,
+      knowledgeVersion: knowledge.getVersion(),
+      knowledgeHash: knowledge.getHash(),
+      communityVersion: community.getVersion(),
+      classifierVersion: classifier.status().version,
+      rules: trail.rules || [],
+      knowledgeItems: trail.knowledgeItems || [],
+      redactions: trail.redactions || [],
+      messageHash: typeof trail.message === "string" ? auditLog.hashMessage(trail.message) : null,
+      outcome,
+    };
+
+    auditLog.append(record).catch((e) => {
+      logger.error("Audit write failed", { requestId: trail.requestId, error: e?.message || String(e) });
+    });
+    recordChatMetrics(trail, outcome);
+  }
+
+  // Every /chat request ends in exactly one auditDecision, so metrics are counted there too.
+  function recordChatMetrics(trail, outcome) {
+    const lane = trail.lane ?? "none";
+    const stream = String(!!trail.stream);
+    const mode = trail.mode === undefined ? "none" : CHAT_MODES.includes(trail.mode) ? trail.mode : "other";
+    metrics.chatRequests.inc({ lane, mode, outcome: outcome.status, stream });
+    trail.endTimer?.({ lane, outcome: outcome.status, stream });
+    if (outcome.status === "escalated") {
+      metrics.escalations.inc({ lane, reason: outcome.verification?.replaced ? "citations" : "format" });
+    }
+  }
+
+  // -----------------------------
+  // Model calls (latency metrics + usage accounting)
+  // - `account` = { clientKey, lane }: whose budget the call is charged to
+  // - Provider-reported usage when there is one, otherwise an estimate (streams, offline provider)
+  // -----------------------------
+  const modelLabels = { provider: provider.name, model: provider.model };
+
+  function accountUsage(account, request, reported, outputText) {
+    const estimated = !reported;
+    const inputTokens = reported?.input_tokens ?? estimateRequestTokens(request);
+    const outputTokens = reported?.output_tokens ?? estimateTokens(outputText);
+    usage.record({ ...account, inputTokens, outputTokens, estimated });
+
+    const source = estimated ? "estimated" : "reported";
+    for (const [type, n] of [["input", inputTokens], ["output", outputTokens]]) {
+      if (Number.isFinite(n) && n > 0) metrics.modelTokens.inc({ ...modelLabels, type, source }, n);
+    }
+  }
+
+  async function generate(request, account) {
+    const done = metrics.modelLatency.startTimer({ ...modelLabels, call: "generate" });
+    try {
+      const response = await provider.generate(request);
+      done({ result: "ok" });
+      accountUsage(account, request, response.usage, response.text);
+      return response;
+    } catch (e) {
+      done({ result: "error" });
+      throw e;
+    }
+  }
+
+  // Same contract as provider.stream(). When the stream ends, fails or is aborted the timer
+  // stops and the call is charged (partial answers still cost their tokens).
+  async function* streamModel(request, { signal, account }) {
+    const done = metrics.modelLatency.startTimer({ ...modelLabels, call: "stream" });
+    let reported = null;
+    let text = "";
+    let result = "ok";
+    try {
+      for await (const delta of provider.stream(request, { signal, onUsage: (u) => (reported = u) })) {
+        text += delta;
+        yield delta;
+      }
+    } catch (e) {
+      result = "error";
+      throw e;
+    } finally {
+      done({ result: signal?.aborted ? "aborted" : result });
+      accountUsage(account, request, reported, text);
+    }
+  }
+
+  // Escalated = the answer served is the standard escalation response, not the model's text.
+  const answerOutcome = ({ verification, format, cached = false }) => ({
+    status: verification?.replaced || format?.replaced ? "escalated" : "answered",
+    cached,
+    verification: verification
+      ? { status: verification.status, attempts: verification.attempts, replaced: verification.replaced }
+      : null,
+    format: format || null,
+  });
+
+  // Answers are only current while the knowledge and policy they were built on are.
+  const isCacheEntryCurrent = (meta) =>
+    meta.knowledgeHash === knowledge.getHash() &&
+    (meta.communityHash ?? null) === community.getHash() &&
+    Object.values(POLICY_HASHES).includes(meta.policyHash);
+
+  // Counts a load that changed what is served (success) or threw (failure); unchanged files aren't counted.
+  async function trackLoad(resource, load) {
+    try {
+      const updated = await load();
+      if (updated) metrics.reloads.inc({ resource, result: "success" });
+      return updated;
+    } catch (e) {
+      metrics.reloads.inc({ resource, result: "failure" });
+      throw e;
+    }
+  }
+
+  // Loads knowledge and, when it actually changed, drops cached answers built on the old copy.
+  async function loadKnowledge(force) {
+    const updated = await trackLoad("knowledge", () => knowledge.load(force));
+    if (updated) {
+      const removed = cache.prune(isCacheEntryCurrent, `knowledge ${knowledge.getVersion()} loaded`);
+      if (removed) logger.info("Response cache pruned", { removed, knowledgeVersion: knowledge.getVersion() });
+    }
+    return updated;
+  }
+
+  // Same for community.json (answers under the Community policy are built on it)
+  async function loadCommunity(force) {
+    const updated = await trackLoad("community", () => community.load(force));
+    if (updated) {
+      const removed = cache.prune(isCacheEntryCurrent, `community knowledge ${community.getVersion()} loaded`);
+      if (removed) logger.info("Response cache pruned", { removed, communityVersion: community.getVersion() });
+    }
+    return updated;
+  }
+
+  // Loads (or hot-reloads) knowledge, community knowledge, classifier, flows + campus profiles. Failures are logged, never thrown:
+  // the app keeps serving the last good copy and /health shows the problem.
+  // The first call also restores the usage ledger, feedback and a persisted response cache (CACHE_STORE=file).
+  let cacheLoaded = false;
+  async function reload(force = false) {
+    if (!cacheLoaded) {
+      cacheLoaded = true;
+      try {
+        await cache.load();
+      } catch (e) {
+        logger.error("Response cache load failed", { error: e?.message || String(e) });
+      }
+      try {
+        await usage.load();
+      } catch (e) {
+        logger.error("Usage ledger load failed", { error: e?.message || String(e) });
+      }
+      try {
+        await feedback.load();
+      } catch (e) {
+        logger.error("Feedback load failed", { error: e?.message || String(e) });
+      }
+    }
+    try {
+      await loadKnowledge(force);
+    } catch (e) {
+      logger.error("Knowledge load failed", { error: e?.message || String(e), errors: e?.errors });
+    }
+    try {
+      await loadCommunity(force);
+    } catch (e) {
+      logger.error("Community knowledge load failed", { error: e?.message || String(e), errors: e?.errors });
+    }
+    try {
+      await trackLoad("classifier", () => classifier.load(force));
+    } catch (e) {
+      logger.error("Classifier load failed", { error: e?.message || String(e), errors: e?.errors });
+    }
+    try {
+      // After knowledge, so step links are checked against the items just loaded
+      await trackLoad("flows", () => flows.load(force));
+    } catch (e) {
+      logger.error("Flows load failed", { error: e?.message || String(e), errors: e?.errors });
+    }
+    try {
+      await trackLoad("campuses", () => campuses.load(force));
+    } catch (e) {
+      logger.error("Campus profiles load failed", { error: e?.message || String(e), errors: e?.errors });
+    }
+  }
+
+  // -----------------------------
+  // Express app
+  // -----------------------------
+  const app = express();
+  app.disable("x-powered-by");
+  app.set("trust proxy", 1);
+
+  // Security headers
+  app.use(
+    helmet({
+      contentSecurityPolicy: false,
+      crossOriginEmbedderPolicy: false,
+    })
+  );
+
+  // CORS
+  app.use(
+    cors({
+      origin: (origin, cb) => {
+        // allow same-origin / curl / server-to-server requests
+        if (!origin) return cb(null, true);
+
+        // if not configured, default open for MVP
+        if (!config.allowedOrigins.length) return cb(null, true);
+
+        if (config.allowedOrigins.includes(origin)) return cb(null, true);
+        return cb(new Error(`CORS blocked: ${origin}`), false);
+      },
+      credentials: true,
+      methods: ["GET", "POST"],
+    })
+  );
+
+  // Compression
+  app.use(compression());
+
+  // Body parsing
+  app.use(express.json({ limit: "1mb" }));
+
+  // Request IDs
+  app.use((req, res, next) => {
+    const rid =
+      req.headers["x-request-id"]?.toString() ||
+      crypto.randomBytes(8).toString("hex");
+    req.requestId = rid;
+    res.setHeader("X-Request-ID", rid);
+    next();
+  });
+
+  // Request logging (morgan -> winston)
+  app.use(
+    morgan("combined", {
+      stream: {
+        write: (msg) => logger.info(msg.trim()),
+      },
+      skip: () => config.isProd === false,
+    })
+  );
+
+  // Rate limiting (apply to API)
+  const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: config.rateLimitMax,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: "Too many requests. Please try again later." },
+    handler: (req, res) => {
+      logger.warn("Rate limit exceeded", { requestId: req.requestId, ip: req.ip });
+      metrics.rateLimited.inc({ limiter: "api" });
+      res.status(429).json({ error: "Too many requests. Please try again later." });
+    },
+  });
+
+  // Admin routes get their own, tighter budget (guessing keys costs the same as using them)
+  const adminLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: config.adminRateLimitMax,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      logger.warn("Admin rate limit exceeded", { requestId: req.requestId, ip: req.ip, path: req.path });
+      metrics.rateLimited.inc({ limiter: "admin" });
+      res.status(429).json({ error: "Too many requests. Please try again later.", requestId: req.requestId });
+    },
+  });
+
+  // Static: root directory assets (index.html, styles.css, app.js at root)
+  app.use(
+    express.static(ROOT_DIR, {
+      etag: true,
+      lastModified: true,
+      maxAge: config.isProd ? "1h" : 0,
+      setHeaders: (res, filePath) => {
+        if (filePath.endsWith(".html")) res.setHeader("Cache-Control", "no-store");
+      },
+    })
+  );
+
+  app.get("/pitch", (req, res) => {
+    res.sendFile(path.join(ROOT_DIR, "pitch.html"));
+  });
+
+  // The console page itself is public; everything it shows comes from key-protected /admin/* calls.
+  app.get("/admin", (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.sendFile(path.join(ROOT_DIR, "admin.html"));
+  });
+
+  // -----------------------------
+  // Health & diagnostics
+  // -----------------------------
+  // Public: no file path or chain head here; /admin/status has the full audit status
+  const healthOfAudit = () => {
+    const { records, unreadableTailLines } = auditLog.status();
+    return { ok: unreadableTailLines === 0, records };
+  };
+
+  app.get("/health", async (req, res) => {
+    try {
+      let st = null;
+      try {
+        st = await fs.stat(knowledge.filePath);
+      } catch {
+        st = null;
+      }
+
+      res.json({
+        ok: true,
+        env: config.env,
+        uptime_s: Math.round(process.uptime()),
+        requestId: req.requestId,
+        provider: {
+          name: provider.name,
+          model: provider.model,
+          configured: provider.configured,
+        },
+        knowledge: {
+          loaded: !!knowledge.getJson(),
+          version: knowledge.getVersion(),
+          mtimeMs: st?.mtimeMs ?? null,
+          validation: knowledge.validationStatus(),
+          ...knowledge.stats(),
+          retrievalTopN: config.retrievalTopN,
+        },
+        community: {
+          loaded: !!community.getJson(),
+          version: community.getVersion(),
+          validation: community.validationStatus(),
+          ...community.stats(),
+        },
+        audit: healthOfAudit(),
+        classifier: classifier.status(),
+        flows: flows.status(),
+        campuses: campuses.status(),
+        cache: cache.stats(),
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || "health failed", requestId: req.requestId });
+    }
+  });
+
+  app.get("/ready", (req, res) => {
+    const ready = !!knowledge.getJson() && provider.configured;
+    res.status(ready ? 200 : 503).json({ ready, provider: provider.name, requestId: req.requestId });
+  });
+
+  // -----------------------------
+  // Onboarding flows (checklists rendered by app.js)
+  // -----------------------------
+  app.get("/api/flows", (req, res) => {
+    if (!flows.getVersion()) {
+      return res.status(503).json({ error: "Flows are not loaded.", requestId: req.requestId });
+    }
+    res.json({
+      version: flows.getVersion(),
+      knowledgeVersion: knowledge.getVersion(),
+      flows: flows.list(),
+      requestId: req.requestId,
+    });
+  });
+
+  // -----------------------------
+  // Campus profiles (the campus picker in app.js; the chosen id is sent as /chat `campus`)
+  // -----------------------------
+  app.get("/api/campuses", (req, res) => {
+    if (!campuses.getVersion()) {
+      return res.status(503).json({ error: "Campus profiles are not loaded.", requestId: req.requestId });
+    }
+    res.json({ version: campuses.getVersion(), campuses: campuses.list(), requestId: req.requestId });
+  });
+
+  // -----------------------------
+  // Personal onboarding timeline
+  // - POST so the dates stay out of URLs (and therefore out of access logs)
+  // - Stateless: nothing here is logged, cached or audited; responses are no-store
+  // -----------------------------
+  function timelineFor(req, res) {
+    res.setHeader("Cache-Control", "no-store");
+    if (!flows.getVersion()) {
+      res.status(503).json({ error: "Flows are not loaded.", requestId: req.requestId });
+      return null;
+    }
+    const parsed = validateTimelineRequest(req.body);
+    if (!parsed.ok) {
+      res.status(400).json({ error: "Invalid timeline request.", errors: parsed.errors, requestId: req.requestId });
+      return null;
+    }
+    return { flowsVersion: flows.getVersion(), ...buildTimeline(flows.list(), parsed.value) };
+  }
+
+  app.post("/api/timeline", apiLimiter, (req, res) => {
+    const timeline = timelineFor(req, res);
+    if (timeline) res.json({ ...timeline, requestId: req.requestId });
+  });
+
+  app.post("/api/timeline.ics", apiLimiter, (req, res) => {
+    const timeline = timelineFor(req, res);
+    if (!timeline) return;
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="omanx-timeline.ics"');
+    res.send(timelineToIcs(timeline));
+  });
+
+  // -----------------------------
+  // Prometheus metrics (text exposition; scrape with a plain `metrics_path: /metrics` job)
+  // - Cache counters + process figures are copied in at scrape time; the rest is counted as it happens
+  // -----------------------------
+  metrics.registry.collect(() => {
+    const stats = cache.stats();
+    for (const [lane, c] of Object.entries(stats.byLane)) {
+      metrics.cacheRequests.set({ lane, result: "hit" }, c.hits);
+      metrics.cacheRequests.set({ lane, result: "miss" }, c.misses);
+    }
+    metrics.cacheEntries.set({ store: stats.store }, stats.size);
+
+    const mem = process.memoryUsage();
+    metrics.uptime.set({}, process.uptime());
+    metrics.memory.set({ type: "rss" }, mem.rss);
+    metrics.memory.set({ type: "heap_used" }, mem.heapUsed);
+    metrics.memory.set({ type: "heap_total" }, mem.heapTotal);
+    metrics.memory.set({ type: "external" }, mem.external);
+  });
+
+  app.get("/metrics", (req, res) => {
+    res.setHeader("Content-Type", PROMETHEUS_CONTENT_TYPE);
+    res.setHeader("Cache-Control", "no-store");
+    res.send(metrics.registry.render());
+  });
+
+  // -----------------------------
+  // Admin endpoints
+  // - Key in `Authorization: Bearer <key>` or `x-admin-key` only; each route needs one scope
+  // - 401 unknown/missing key, 403 key without the scope, 429 over ADMIN_RATE_LIMIT_MAX
+  // -----------------------------
+  const requireAdmin = adminAuth.requireScope;
+  app.use("/admin", adminLimiter);
+
+  // Everything the admin console shows, for any valid credential (plus which scopes it holds)
+  app.get("/admin/status", requireAdmin(), (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      admin: { name: req.admin.name, scopes: req.admin.scopes },
+      server: {
+        env: config.env,
+        uptime_s: Math.round(process.uptime()),
+        memory: process.memoryUsage(),
+        node: process.version,
+      },
+      provider: { name: provider.name, model: provider.model, configured: provider.configured },
+      knowledge: {
+        loaded: !!knowledge.getJson(),
+        version: knowledge.getVersion(),
+        validation: knowledge.validationStatus(),
+        ...knowledge.stats(),
+      },
+      community: {
+        loaded: !!community.getJson(),
+        version: community.getVersion(),
+        validation: community.validationStatus(),
+        ...community.stats(),
+      },
+      classifier: classifier.status(),
+      flows: flows.status(),
+      campuses: campuses.status(),
+      cache: cache.stats(),
+      audit: auditLog.status(),
+      feedback: feedback.summary(),
+      errors: recentErrors.summary(),
+      requestId: req.requestId,
+    });
+  });
+
+  app.post("/admin/cache/clear", requireAdmin("cache"), (req, res) => {
+    cache.clear();
+    res.json({ ok: true, requestId: req.requestId });
+  });
+
+  app.post("/admin/knowledge/reload", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const updated = await loadKnowledge(true);
+      res.json({ ok: true, updated, version: knowledge.getVersion(), warnings: knowledge.warnings, requestId: req.requestId });
+    } catch (e) {
+      if (e instanceof KnowledgeValidationError) {
+        logger.error("Knowledge reload rejected", { requestId: req.requestId, errors: e.errors });
+        return res.status(422).json({
+          ok: false,
+          error: e.message,
+          errors: e.errors,
+          servingVersion: knowledge.getVersion(),
+          requestId: req.requestId,
+        });
+      }
+      res.status(500).json({ ok: false, error: e?.message || "reload failed", requestId: req.requestId });
+    }
+  });
+
+  // -----------------------------
+  // Knowledge editing (drafts -> publish, rollback)
+  // - Changes are recorded under the admin credential's name (`by`); a body `editor` is only a
+  //   display label (defaulting to that name). Drafts never reach /chat until published
+  // - Publish/rollback swap knowledge.json atomically, then load it immediately (no poll wait),
+  //   which prunes cached answers built on the old text
+  // -----------------------------
+  function sendEditError(req, res, e) {
+    if (e instanceof KnowledgeEditError) {
+      return res.status(e.status).json({ ok: false, error: e.message, errors: e.errors, requestId: req.requestId });
+    }
+    if (e instanceof KnowledgeValidationError) {
+      return res.status(422).json({ ok: false, error: e.message, errors: e.errors, requestId: req.requestId });
+    }
+    logger.error("Knowledge edit failed", { requestId: req.requestId, error: e?.message || String(e) });
+    res.status(500).json({ ok: false, error: e?.message || "knowledge edit failed", requestId: req.requestId });
+  }
+
+  async function applyPublished(req) {
+    await loadKnowledge(true);
+    try {
+      await flows.load(true); // re-check step links against the new items
+    } catch (e) {
+      logger.error("Flows load failed", { requestId: req.requestId, error: e?.message || String(e), errors: e?.errors });
+    }
+    try {
+      await campuses.load(true); // re-check profile item ids against the new items
+    } catch (e) {
+      logger.error("Campus profiles load failed", { requestId: req.requestId, error: e?.message || String(e), errors: e?.errors });
+    }
+  }
+
+  app.get("/admin/knowledge/drafts", requireAdmin("knowledge:read"), async (req, res) => {
+    try {
+      res.json({ liveVersion: knowledge.getVersion(), drafts: await knowledgeStore.listDrafts(), requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  // Body: { editor?, item }
+  app.post("/admin/knowledge/drafts", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const { editor, item } = req.body || {};
+      const draft = await knowledgeStore.saveDraft(item, { by: req.admin.name, editor, create: true });
+      res.status(201).json({ ok: true, draft, requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  // Body: { editor?, item } (item.id defaults to the id in the path and must match it)
+  app.put("/admin/knowledge/drafts/:id", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const { editor, item } = req.body || {};
+      if (item?.id !== undefined && item.id !== req.params.id) {
+        throw new KnowledgeEditError("'item.id' does not match the id in the path.");
+      }
+      const draft = await knowledgeStore.saveDraft(item && { ...item, id: req.params.id }, { by: req.admin.name, editor });
+      res.json({ ok: true, draft, requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  // Body: { editor? }
+  app.post("/admin/knowledge/drafts/:id/retire", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const draft = await knowledgeStore.retire(req.params.id, { by: req.admin.name, editor: req.body?.editor });
+      res.json({ ok: true, draft, requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  app.delete("/admin/knowledge/drafts/:id", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      res.json({ ok: true, ...(await knowledgeStore.discard(req.params.id)), requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  // Query: ?lang=en|ar&id=<item id>
+  app.get("/admin/knowledge/preview", requireAdmin("knowledge:read"), async (req, res) => {
+    try {
+      const lang = req.query.lang === "ar" ? "ar" : "en";
+      const id = typeof req.query.id === "string" ? req.query.id : undefined;
+      res.json({ ...(await knowledgeStore.preview({ lang, id })), requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  // Body: { editor?, version, note? }
+  app.post("/admin/knowledge/publish", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const { editor, version, note } = req.body || {};
+      const published = await knowledgeStore.publish({ by: req.admin.name, editor, version, note });
+      await applyPublished(req);
+      res.json({ ok: true, published, liveVersion: knowledge.getVersion(), requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  app.get("/admin/knowledge/versions", requireAdmin("knowledge:read"), async (req, res) => {
+    try {
+      res.json({ liveVersion: knowledge.getVersion(), versions: await knowledgeStore.listVersions(), requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  // Body: { editor?, version, note? }
+  app.post("/admin/knowledge/rollback", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const { editor, version, note } = req.body || {};
+      const rolledBack = await knowledgeStore.rollback({ by: req.admin.name, editor, version, note });
+      await applyPublished(req);
+      res.json({ ok: true, rolledBack, liveVersion: knowledge.getVersion(), requestId: req.requestId });
+    } catch (e) {
+      sendEditError(req, res, e);
+    }
+  });
+
+  app.post("/admin/community/reload", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const updated = await loadCommunity(true);
+      res.json({ ok: true, updated, version: community.getVersion(), warnings: community.warnings, requestId: req.requestId });
+    } catch (e) {
+      if (e instanceof KnowledgeValidationError) {
+        logger.error("Community knowledge reload rejected", { requestId: req.requestId, errors: e.errors });
+        return res.status(422).json({
+          ok: false,
+          error: e.message,
+          errors: e.errors,
+          servingVersion: community.getVersion(),
+          requestId: req.requestId,
+        });
+      }
+      res.status(500).json({ ok: false, error: e?.message || "reload failed", requestId: req.requestId });
+    }
+  });
+
+  app.post("/admin/classifier/reload", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const updated = await trackLoad("classifier", () => classifier.load(true));
+      res.json({ ok: true, updated, classifier: classifier.status(), requestId: req.requestId });
+    } catch (e) {
+      if (e instanceof ClassifierConfigError) {
+        return res.status(422).json({ ok: false, error: e.message, errors: e.errors, requestId: req.requestId });
+      }
+      res.status(500).json({ ok: false, error: e?.message || "reload failed", requestId: req.requestId });
+    }
+  });
+
+  app.post("/admin/flows/reload", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const updated = await trackLoad("flows", () => flows.load(true));
+      res.json({ ok: true, updated, flows: flows.status(), requestId: req.requestId });
+    } catch (e) {
+      if (e instanceof FlowsValidationError) {
+        return res.status(422).json({ ok: false, error: e.message, errors: e.errors, requestId: req.requestId });
+      }
+      res.status(500).json({ ok: false, error: e?.message || "reload failed", requestId: req.requestId });
+    }
+  });
+
+  app.post("/admin/campuses/reload", requireAdmin("knowledge:publish"), async (req, res) => {
+    try {
+      const updated = await trackLoad("campuses", () => campuses.load(true));
+      res.json({ ok: true, updated, campuses: campuses.status(), requestId: req.requestId });
+    } catch (e) {
+      if (e instanceof CampusesValidationError) {
+        return res.status(422).json({ ok: false, error: e.message, errors: e.errors, requestId: req.requestId });
+      }
+      res.status(500).json({ ok: false, error: e?.message || "reload failed", requestId: req.requestId });
+    }
+  });
+
+  // Model usage + estimated spend by day and lane (newest first), with today's budget standing
+  app.get("/admin/usage", requireAdmin("audit"), (req, res) => {
+    const days = req.query.days === undefined ? 14 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({ error: "'days' must be an integer from 1 to 90.", requestId: req.requestId });
+    }
+    res.setHeader("Cache-Control", "no-store");
+    res.json({ ...usage.summary({ days }), requestId: req.requestId });
+  });
+
+  // -----------------------------
+  // Feedback review queue
+  // - Thumbs-down and issue reports wait here as "open"; editors triage them, link the
+  //   knowledge items to fix (checked against the live knowledge) and close them
+  // -----------------------------
+  function sendFeedbackError(req, res, e) {
+    if (e instanceof FeedbackError) {
+      return res.status(e.status).json({ ok: false, error: e.message, errors: e.errors, requestId: req.requestId });
+    }
+    logger.error("Feedback update failed", { requestId: req.requestId, error: e?.message || String(e) });
+    res.status(500).json({ ok: false, error: e?.message || "feedback update failed", requestId: req.requestId });
+  }
+
+  // Query: ?status=queue|all|open|triaged|resolved|dismissed&lane=&item=<knowledge item id>&limit=1..200
+  app.get("/admin/feedback", requireAdmin("feedback"), (req, res) => {
+    const { status = "queue" } = req.query;
+    const lane = typeof req.query.lane === "string" ? req.query.lane : undefined;
+    const item = typeof req.query.item === "string" ? req.query.item : undefined;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!FEEDBACK_LIST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `'status' must be one of ${FEEDBACK_LIST_STATUSES.join(", ")}.`, requestId: req.requestId });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: "'limit' must be an integer from 1 to 200.", requestId: req.requestId });
+    }
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      summary: feedback.summary(),
+      entries: feedback.list({ status, lane, item, limit }),
+      requestId: req.requestId,
+    });
+  });
+
+  // Body: { status?, linkedItems?, note? }; the reviewer is the admin credential's name.
+  // Community and campus profile items can be linked too (the fix is then an edit to that file).
+  app.patch("/admin/feedback/:id", requireAdmin("feedback"), (req, res) => {
+    const knowledgeIds = new Set([...knowledge.items.map((i) => i.id), ...community.items.map((i) => i.id), ...campuses.itemIds()]);
+    const { ok, errors, value } = validateTriage(req.body, { knowledgeIds });
+    if (!ok) return sendFeedbackError(req, res, new FeedbackError("Invalid triage update.", { errors }));
+    try {
+      const entry = feedback.triage(req.params.id, { ...value, reviewer: req.admin.name });
+      logger.info("Feedback triaged", { requestId: req.requestId, id: entry.id, status: entry.status, linkedItems: entry.linkedItems });
+      res.json({ ok: true, entry, requestId: req.requestId });
+    } catch (e) {
+      sendFeedbackError(req, res, e);
+    }
+  });
+
+  // Audit trail export: records whose date falls in [from, to] (YYYY-MM-DD, both optional).
+  // The response carries the prevHash the range chains from, so it verifies on its own.
+  app.get("/admin/audit/export", requireAdmin("audit"), async (req, res) => {
+    const { from, to } = req.query;
+    for (const [name, v] of Object.entries({ from, to })) {
+      if (v !== undefined && (typeof v !== "string" || !DATE_RE.test(v))) {
+        return res.status(400).json({ error: `'${name}' must be a YYYY-MM-DD date.`, requestId: req.requestId });
+      }
+    }
+
+    try {
+      const exported = await auditLog.export({ from, to });
+      res.setHeader("Content-Disposition", `attachment; filename="omanx-audit-${from || "start"}-${to || "now"}.json"`);
+      res.json({ ...exported, verification: verifyAuditRecords(exported.records, { prevHash: exported.prevHash }), requestId: req.requestId });
+    } catch (e) {
+      res.status(500).json({ error: e?.message || "export failed", requestId: req.requestId });
+    }
+  });
+
+  // Recomputes the whole chain; brokenAt points at the first altered/missing record.
+  app.get("/admin/audit/verify", requireAdmin("audit"), async (req, res) => {
+    try {
+      const result = await auditLog.verify();
+      if (!result.ok) logger.error("Audit chain verification failed", { requestId: req.requestId, ...result.brokenAt });
+      res.json({ ...result, requestId: req.requestId });
+    } catch (e) {
+      res.status(500).json({ error: e?.message || "verify failed", requestId: req.requestId });
+    }
+  });
+
+  // Dry run: explains how a message would be routed without calling the model.
+  // Body: { message: string, campus?: string, mode?: "official"|"community" }; `policy` is what /chat would apply.
+  app.post("/admin/classify", requireAdmin("knowledge:read"), (req, res) => {
+    const { message, campus = null, mode = "official" } = req.body || {};
+    if (!message || typeof message !== "string") {
+      return res.status(400).json({ error: "Missing 'message' string.", requestId: req.requestId });
+    }
+    if (campus !== null && !campuses.get(campus)) {
+      return res.status(400).json({ error: "Unknown campus profile.", requestId: req.requestId });
+    }
+    if (!CHAT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `'mode' must be one of ${CHAT_MODES.join(", ")}.`, requestId: req.requestId });
+    }
+    const risk = classifier.classify(message, { extraRules: campuses.localRules(campus) });
+    const policy = resolvePolicy(risk.tier, mode);
+    res.json({ ...risk, lane: policy.lane, policy, requestId: req.requestId });
+  });
+
+  // -----------------------------
+  // Answer structuring
+  // - Splits the final answer into the four mandated blocks
+  // - Defaults blocks that are safe to default; otherwise the escalation response is served
+  // -----------------------------
+  function structureAnswer(text, lane, lang) {
+    const r = repairSections(parseSections(text), SECTION_DEFAULTS[lang]?.[lane]);
+    if (r.ok) {
+      return {
+        text: r.repaired.length ? renderSections(r.sections, lang) : text,
+        sections: r.sections,
+        format: { complete: true, repaired: r.repaired },
+      };
+    }
+
+    return {
+      text: escalationResponse(lang),
+      sections: repairSections(parseSections(escalationResponse(lang))).sections,
+      format: { complete: false, missing: r.missing, replaced: true },
+    };
+  }
+
+  // -----------------------------
+  // Chat endpoint
+  // Body: { message: string, stream?: boolean, mode?: "official"|"community", lang?: "en"|"ar",
+  //         history?: [{ role: "user"|"assistant", content: string }], campus?: string }
+  // - "mode" is user-facing; "lane" is internal routing (scholar vs local).
+  // - "tier" is the classifier's risk tier (emergency|governed|scholar|local).
+  // - The tier and the requested mode give the effective policy (resolvePolicy): Official = scholar
+  //   lane over knowledge.json; Community = local lane over community.json (+ campus tips), marked
+  //   non-authoritative. Governed/emergency topics are Official in either mode. Returned as `policy`
+  //   ({ requestedMode, mode, lane, authoritative, reason, notice }).
+  // - "lang" in the body is the UI language, used only when the message itself
+  //   has no letters to detect from; the detected language is returned as `lang`.
+  // - "history" is held by the client only. It is trimmed to HISTORY_MAX_TURNS /
+  //   HISTORY_MAX_TOKENS, classified together with the message, and never logged.
+  // - Message and history are redacted first; everything downstream (classifier, model,
+  //   cache key, logs, audit) only sees placeholders. Removed types come back as `redaction`.
+  // - "campus" is a campus profile id (/api/campuses). Its neighbourhood terms route to the local
+  //   lane (without one, every profile's terms do); the scholar lane retrieves over the knowledge plus
+  //   the profile's office/insurance items, the local lane gets its community tips. Returned as `campus`.
+  //
+  // Improvements vs previous:
+  // - Returns more specific errors (auth/rate-limit/timeouts)
+  // - Includes requestId + lane in responses to help frontend debug
+  // - Avoids hard-failing when knowledge isn't loaded (still answers in scholar lane, but warns/esc)
+  // - Scholar lane injects only the top-N retrieved knowledge items; their IDs are
+  //   returned as `knowledgeItems` so every answer can be audited
+  // - Scholar lane citations are verified: one regeneration on failure, then the
+  //   standard escalation response. Result returned as `verification`.
+  // - Every answer also comes back as `sections` { whatToDo, whyThisMatters,
+  //   sourceAuthority, whenToEscalate } plus a `format` report of repairs
+  // -----------------------------
+  app.post("/chat", apiLimiter, async (req, res) => {
+    const requestId = req.requestId;
+    // audit context, filled in as the request progresses (endTimer feeds the duration histogram)
+    const trail = { requestId, endTimer: metrics.chatDuration.startTimer() };
+
+    const reject = (error) => {
+      auditDecision(trail, { status: "invalid", error });
+      return res.status(400).json({ error, requestId });
+    };
+
+    try {
+      const {
+        message: rawMessage,
+        stream = false,
+        mode = "official",
+        lang: uiLang = "en",
+        history: rawHistory,
+        campus: campusId = null,
+      } = req.body || {};
+      Object.assign(trail, { mode, stream });
+
+      if (!rawMessage || typeof rawMessage !== "string") {
+        return reject("Missing 'message' string.");
+      }
+      if (rawMessage.length > 10_000) {
+        return reject("Message too long (max 10,000 chars).");
+      }
+      if (!CHAT_MODES.includes(mode)) {
+        return reject(`'mode' must be one of ${CHAT_MODES.join(", ")}.`);
+      }
+      const campus = campusId === null ? null : campuses.get(campusId);
+      if (campusId !== null && !campus) {
+        return reject("Unknown campus profile.");
+      }
+      trail.campus = campus?.id;
+
+      const hist = normalizeHistory(rawHistory, { maxTurns: config.historyMaxTurns, maxTokens: config.historyMaxTokens });
+      if (!hist.ok) {
+        trail.message = redactPII(rawMessage).text;
+        return reject(hist.error);
+      }
+
+      // Redaction: from here on only `message` / `history` (placeholders) are used
+      const redactedMessage = redactPII(rawMessage);
+      const message = redactedMessage.text;
+      const redactedTypes = new Set(Object.keys(redactedMessage.counts));
+      const history = hist.turns.map((t) => {
+        const r = redactPII(t.content);
+        for (const type of Object.keys(r.counts)) redactedTypes.add(type);
+        return r.redacted ? { ...t, content: r.text } : t;
+      });
+      trail.message = message;
+      trail.redactions = [...redactedTypes];
+      const priorUserMessages = history.filter((t) => t.role === "user").map((t) => t.content);
+
+      const risk = classifier.classifyConversation(message, priorUserMessages, { extraRules: campuses.localRules(campus?.id) });
+      const { tier } = risk;
+      const lang = detectLanguage(message, uiLang);
+      const policy = { ...resolvePolicy(tier, mode), notice: null };
+      policy.notice = policyNotice(policy, lang);
+      const { lane } = policy;
+      Object.assign(trail, { lane, tier, lang, effectiveMode: policy.mode, rules: risk.fired.map((f) => f.id) });
+      const redaction = {
+        applied: redactedTypes.size > 0,
+        types: trail.redactions,
+        notice: redactionNotice(trail.redactions, lang),
+      };
+      const conversation = {
+        turnsUsed: history.length,
+        turnsDropped: hist.dropped,
+        escalatedByHistory: risk.conversation.escalatedByHistory,
+      };
+
+      // Cache only for non-streaming. The key (and the entry's meta) pin the exact policy and
+      // knowledge the answer is built on, so a reload never serves answers from retired guidance.
+      const cacheMeta = {
+        lane,
+        policyHash: POLICY_HASHES[lane],
+        knowledgeVersion: knowledge.getVersion(),
+        knowledgeHash: knowledge.getHash(),
+        communityHash: community.getHash(),
+      };
+      const cacheKey = cache.keyFor({
+        model: `${provider.name}:${provider.model}`,
+        message,
+        mode,
+        lang,
+        history,
+        campus: campus?.key ?? null,
+        ...cacheMeta,
+      });
+      if (!stream) {
+        const cached = cache.get(cacheKey, { lane });
+        if (cached) {
+          logger.info("Cache hit", { requestId, lane });
+          trail.knowledgeItems = cached.knowledgeItems;
+          auditDecision(trail, answerOutcome({ ...cached, cached: true }));
+          return res.json({
+            text: cached.text,
+            cached: true,
+            requestId,
+            lane,
+            tier,
+            lang,
+            policy,
+            campus: campus?.summary ?? null,
+            conversation,
+            redaction,
+            knowledgeItems: cached.knowledgeItems,
+            verification: cached.verification,
+            sections: cached.sections,
+            format: cached.format,
+          });
+        }
+      }
+
+      logger.info("Chat request", {
+        requestId,
+        mode,
+        effectiveMode: policy.mode,
+        lane,
+        tier,
+        lang,
+        campus: campus?.id ?? null,
+        rules: risk.fired.map((f) => f.id),
+        stream,
+        length: message.length,
+        historyTurns: history.length,
+        historyDropped: hist.dropped,
+        escalatedByHistory: risk.conversation.escalatedByHistory,
+        redactions: trail.redactions,
+      });
+
+      // Official policy (scholar lane): retrieved knowledge items (if loaded), over the campus overlay when one is selected
+      // Community policy (local lane): the campus profile's community tips + retrieved community.json items
+      let systemText = "";
+      let knowledgeItems = [];
+      let retrievedItems = [];
+      const campusLine = campus ? `CAMPUS: ${campus.label}\n` : "";
+      const overlay = campus && lane === "scholar" ? campuses.overlay(campus) : null;
+      // Recent user turns give follow-ups ("what about for J-1?") something to match on
+      const retrievalQuery = [...priorUserMessages.slice(-2), message].join("\n");
+
+      if (lane === "local") {
+        const retrieved = community.retrieve(retrievalQuery, { lang });
+        retrievedItems = [...(campus ? [campus.localItem] : []), ...retrieved.items];
+        knowledgeItems = retrievedItems.map((i) => i.id);
+
+        let communityBlock = `\nCOMMUNITY KNOWLEDGE: (not loaded)\n`;
+        if (retrievedItems.length) {
+          communityBlock = `\nCOMMUNITY KNOWLEDGE (advisory, not authoritative):\n${buildKnowledgeText({ items: retrievedItems }, { lang })}\n`;
+        } else if (community.getJson()) {
+          communityBlock = `\nCOMMUNITY KNOWLEDGE: (no community items match this question)\n`;
+        }
+        systemText = SYSTEM_POLICY_LOCAL.trim() + `\n\nRISK TIER: ${tier}\nLANGUAGE: ${lang}\n` + campusLine + communityBlock;
+
+        logger.debug("Community knowledge retrieved", { requestId, items: retrieved.ids, scores: retrieved.scores });
+      } else {
+        const loaded = !!knowledge.getJson();
+        const retrieved = knowledge.retrieve(retrievalQuery, { lang, overlay });
+        knowledgeItems = retrieved.ids;
+        retrievedItems = retrieved.items;
+
+        let kbBlock = `\nKNOWLEDGE: (not loaded)\n`;
+        if (loaded) {
+          kbBlock = retrieved.text
+            ? `\nKNOWLEDGE (approved sources):\n${retrieved.text}\n`
+            : `\nKNOWLEDGE: (no approved items match this question)\n`;
+        }
+
+        systemText =
+          SYSTEM_POLICY_SCHOLAR.trim() + `\n\nMODE: ${policy.mode}\nRISK TIER: ${tier}\nLANGUAGE: ${lang}\n` + campusLine + kbBlock;
+
+        logger.debug("Knowledge retrieved", { requestId, items: retrieved.ids, scores: retrieved.scores });
+      }
+      trail.knowledgeItems = knowledgeItems;
+
+      const modelRequest = (system) => ({ system, history, message, lane, tier, lang, items: retrievedItems });
+
+      // Verification summary returned to the client (the checked text itself is the answer)
+      const summarize = (v, extra = {}) => ({
+        status: v.status,
+        citations: v.citations,
+        unmatched: v.unmatched,
+        strippedUrls: v.strippedUrls,
+        ...extra,
+      });
+
+      // Daily token budgets. Cache hits (above) are free; a new model call has to fit, and
+      // when it doesn't the student gets the budget reply (four blocks) instead of an error.
+      const account = { clientKey: usage.clientKey(clientIdFor(req)), lane };
+      const budget = usage.check({ clientKey: account.clientKey, estimate: estimateRequestTokens(modelRequest(systemText)) });
+      if (!budget.ok) {
+        logger.warn("Token budget exhausted", { requestId, lane, scope: budget.scope, used: budget.used, limit: budget.limit });
+        const structured = structureAnswer(budgetResponse(lang), lane, lang);
+        trail.knowledgeItems = [];
+        auditDecision(trail, { status: "budget_exhausted", scope: budget.scope });
+        return res.json({
+          text: structured.text,
+          cached: false,
+          requestId,
+          lane,
+          tier,
+          lang,
+          policy,
+          campus: campus?.summary ?? null,
+          conversation,
+          redaction,
+          knowledgeItems: [],
+          verification: null,
+          sections: structured.sections,
+          format: structured.format,
+          budget: { exhausted: true, scope: budget.scope, resetsAt: budget.resetsAt },
+        });
+      }
+
+      // ---- Streaming (SSE) ----
+      if (stream) {
+        res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+        res.setHeader("Cache-Control", "no-cache, no-transform");
+        res.setHeader("Connection", "keep-alive");
+        res.flushHeaders?.();
+        metrics.sseActive.inc();
+        res.once("close", () => metrics.sseActive.dec());
+
+        let fullText = "";
+        let finished = false;
+        const upstream = new AbortController();
+
+        // Client stopped (or dropped) mid-answer: abort upstream. The partial text is
+        // never cached — only a completed stream writes to the cache.
+        // (res, not req: the request stream has already closed once express.json read the body)
+        res.on("close", () => {
+          if (finished) return;
+          finished = true;
+          logger.info("Stream stopped by client", { requestId, lane, partialLen: fullText.length });
+          auditDecision(trail, { status: "stopped", partialChars: fullText.length });
+          upstream.abort();
+        });
+
+        try {
+          for await (const delta of streamModel(modelRequest(systemText), { signal: upstream.signal, account })) {
+            if (finished) break;
+            fullText += delta;
+            res.write(`data: ${JSON.stringify({ delta, requestId, lane })}\n\n`);
+          }
+        } catch (e) {
+          if (upstream.signal.aborted) return;
+          finished = true;
+          logger.error("Stream error", { requestId, lane, error: e?.message || String(e) });
+          auditDecision(trail, { status: "error", error: "Stream error.", upstreamStatus: e?.status ?? null });
+          try {
+            res.write(`data: ${JSON.stringify({ error: "Stream error.", requestId, lane, done: true })}\n\n`);
+            res.end();
+          } catch {}
+          return;
+        }
+        if (finished) return;
+        finished = true;
+
+        // Deltas are already on the wire, so a stream can't be regenerated: an unverified
+        // answer is flagged in the final event together with the escalation replacement.
+        let finalText = fullText;
+        let verification = null;
+        const done = {
+          done: true,
+          requestId,
+          lane,
+          tier,
+          lang,
+          policy,
+          campus: campus?.summary ?? null,
+          conversation,
+          redaction,
+          knowledgeItems,
+        };
+
+        if (lane === "scholar") {
+          const v = knowledge.verify(fullText, { overlay });
+          const verified = v.status === "verified";
+          finalText = verified ? v.text : escalationResponse(lang);
+          verification = summarize(v, { attempts: 1, replaced: !verified });
+          done.verification = verification;
+          logger.info("Citation verification", { requestId, lane, ...verification });
+        }
+
+        const structured = structureAnswer(finalText, lane, lang);
+        finalText = structured.text;
+        done.sections = structured.sections;
+        done.format = structured.format;
+        if (finalText !== fullText) done.replacement = finalText;
+
+        res.write(`data: ${JSON.stringify(done)}\n\n`);
+        res.end();
+        // An escalation replacement is not cached: the next ask gets a fresh attempt
+        if (!verification?.replaced && !structured.format.replaced) {
+          cache.set(cacheKey, { text: finalText, knowledgeItems, verification, ...structured }, cacheMeta);
+        }
+        auditDecision(trail, answerOutcome({ verification, format: structured.format }));
+        logger.info("Stream complete", { requestId, lane, provider: provider.name, outLen: fullText.length });
+
+        return;
+      }
+
+      // ---- Non-streaming ----
+      let response = await generate(modelRequest(systemText), account);
+
+      let text = response.text || "I couldn't generate a response right now.";
+      let verification = null;
+
+      if (lane === "scholar") {
+        let v = knowledge.verify(text, { overlay });
+        let attempts = 1;
+
+        if (v.status !== "verified") {
+          logger.warn("Citation verification failed; regenerating", { requestId, lane, ...summarize(v) });
+          response = await generate(
+            modelRequest(`${systemText}\n${buildCitationRetryNote(knowledge.authorityNames({ overlay }))}\n`),
+            account
+          );
+          v = knowledge.verify(response.text || "", { overlay });
+          attempts = 2;
+        }
+
+        const verified = v.status === "verified";
+        text = verified ? v.text : escalationResponse(lang);
+        verification = summarize(v, { attempts, replaced: !verified });
+        logger.info("Citation verification", { requestId, lane, ...verification });
+      }
+
+      const structured = structureAnswer(text, lane, lang);
+      if (!structured.format.complete) {
+        logger.warn("Answer missing required sections; escalated", { requestId, lane, ...structured.format });
+      }
+
+      if (!verification?.replaced && !structured.format.replaced) {
+        cache.set(cacheKey, { knowledgeItems, verification, ...structured }, cacheMeta);
+      }
+      auditDecision(trail, answerOutcome({ verification, format: structured.format }));
+
+      return res.json({
+        text: structured.text,
+        cached: false,
+        requestId,
+        lane,
+        tier,
+        lang,
+        policy,
+        campus: campus?.summary ?? null,
+        conversation,
+        redaction,
+        knowledgeItems,
+        verification,
+        sections: structured.sections,
+        format: structured.format,
+        usage: response.usage,
+      });
+    } catch (err) {
+      const status = err?.status || err?.response?.status;
+      const msg = err?.message || String(err);
+
+      logger.error("Error in /chat", { requestId, status, error: msg });
+      auditDecision(trail, { status: "error", error: msg, upstreamStatus: status ?? null });
+
+      // SSE headers already sent: report in-band, the client reads errors from the stream
+      if (res.headersSent) {
+        try {
+          res.write(`data: ${JSON.stringify({ error: "Stream error.", requestId, done: true })}\n\n`);
+          res.end();
+        } catch {}
+        return;
+      }
+
+      if (status === 401) {
+        return res.status(500).json({ error: "OpenAI authentication error.", requestId });
+      }
+      if (status === 429) {
+        return res.status(429).json({ error: "OpenAI rate limit exceeded. Try again later.", requestId });
+      }
+      if (status === 400) {
+        return res.status(500).json({ error: "OpenAI request was rejected (400). Check model/input formatting.", requestId });
+      }
+
+      return res.status(500).json({ error: "Server error.", requestId });
+    }
+  });
+
+  // -----------------------------
+  // Answer feedback
+  // Body: { requestId, rating?: "up"|"down", reason?: "wrong"|"outdated"|"unhelpful"|"other", comment? }
+  // - requestId must belong to an answer in the audit trail; lane + knowledge version/items are
+  //   taken from that record. The comment is redacted before it is stored.
+  // - One entry per answer: a report can follow a rating, but a rating, report or comment the
+  //   answer already has is never replaced (409).
+  // -----------------------------
+  app.post("/feedback", apiLimiter, async (req, res) => {
+    const { ok, errors, value } = validateFeedback(req.body);
+    if (!ok) return res.status(400).json({ error: "Invalid feedback.", errors, requestId: req.requestId });
+
+    try {
+      const decision = await auditLog.findByRequestId(value.requestId);
+      if (!decision?.lane) return res.status(404).json({ error: "Unknown requestId.", requestId: req.requestId });
+
+      const entry = feedback.submit({
+        ...value,
+        context: {
+          lane: decision.lane,
+          knowledgeVersion: decision.knowledgeVersion,
+          knowledgeItems: decision.knowledgeItems,
+          outcome: decision.outcome?.status ?? null,
+        },
+      });
+      logger.info("Feedback received", { requestId: req.requestId, id: entry.id, lane: entry.lane, rating: entry.rating, reason: entry.reason });
+      res.status(201).json({ ok: true, id: entry.id, status: entry.status, requestId: req.requestId });
+    } catch (e) {
+      if (e instanceof FeedbackError) return res.status(e.status).json({ error: e.message, requestId: req.requestId });
+      logger.error("Feedback failed", { requestId: req.requestId, error: e?.message || String(e) });
+      res.status(500).json({ error: "Server error.", requestId: req.requestId });
+    }
+  });
+
+  // -----------------------------
+  // SPA fallback (Express 5-safe)
+  // -----------------------------
+  app.use((req, res) => {
+    res.sendFile(path.join(ROOT_DIR, "index.html"));
+  });
+
+  // -----------------------------
+  // Global error handler
+  // -----------------------------
+  app.use((err, req, res, _next) => {
+    logger.error("Unhandled error", {
+      requestId: req.requestId,
+      error: err?.message || String(err),
+      stack: err?.stack,
+    });
+    res.status(500).json({
+      error: config.isProd ? "Internal server error" : (err?.message || "Error"),
+      requestId: req.requestId,
+    });
+  });
+
+  app.locals.omanx = {
+    config,
+    logger,
+    provider,
+    knowledge,
+    community,
+    knowledgeStore,
+    classifier,
+    flows,
+    campuses,
+    cache,
+    auditLog,
+    adminAuth,
+    recentErrors,
+    metrics,
+    usage,
+    feedback,
+    reload,
+  };
+  return app;
+}
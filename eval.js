@@ -0,0 +1,119 @@
+// eval.js — run the policy-compliance golden set against the /chat pipeline
+// Usage: npm run eval -- [--provider local|openai] [--golden golden.json] [--out report.json] [--tag immigration]
+//   --provider  local (default) runs offline; openai uses OPENAI_API_KEY / OPENAI_MODEL like the server
+//   --out       also writes the JSON report; it has no timestamps or request ids, so commit it and diff
+//   --tag       only cases carrying that tag (repeatable)
+//
+// Knowledge, community knowledge, classifier, flows and campus profiles are the ones the server would load (KNOWLEDGE_PATH etc.); audit,
+// usage and feedback go to a temp dir, so an evaluation never touches a deployment's records.
+// Exit code: 0 every case passed, 1 a case failed, 2 the golden set or configuration is invalid.
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+
+import { ROOT_DIR, loadConfig } from "./config.js";
+import { createLogger } from "./logger.js";
+import { ProviderConfigError, createProvider } from "./providers.js";
+import { createApp } from "./create-app.js";
+import { GoldenSetValidationError, formatReport, runEvaluation, validateGoldenSet } from "./evaluation.js";
+
+dotenv.config();
+
+const USAGE = "Usage: npm run eval -- [--provider local|openai] [--golden golden.json] [--out report.json] [--tag <tag>]";
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      provider: { type: "string", default: "local" },
+      golden: { type: "string", default: path.join(ROOT_DIR, "golden.json") },
+      out: { type: "string" },
+      tag: { type: "string", multiple: true, default: [] },
+    },
+  }));
+} catch (e) {
+  console.error(e.message);
+  console.error(USAGE);
+  process.exit(2);
+}
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-eval-"));
+const config = loadConfig(process.env, {
+  modelProvider: args.provider,
+  logLevel: process.env.LOG_LEVEL || "error",
+  localChunkDelayMs: 0,
+  cacheStore: "memory", // starts empty, so every case reaches the provider
+  rateLimitMax: 10_000,
+  tokenBudgetClientDaily: 0,
+  tokenBudgetGlobalDaily: 0,
+  auditLogPath: path.join(dataDir, "audit.jsonl"),
+  usagePath: path.join(dataDir, "usage.json"),
+  feedbackPath: path.join(dataDir, "feedback.json"),
+  knowledgeDataDir: path.join(dataDir, "knowledge"),
+});
+const logger = createLogger(config);
+
+let server;
+try {
+  const golden = JSON.parse(await fs.readFile(args.golden, "utf8"));
+
+  const provider = createProvider({
+    name: config.modelProvider,
+    openaiApiKey: config.openaiApiKey,
+    openaiModel: config.openaiModel,
+  });
+  const app = createApp({ provider, config, logger });
+  const { reload, knowledge, community, classifier, campuses } = app.locals.omanx;
+  await reload(true);
+
+  const knowledgeIds = new Set([...[...knowledge.items, ...community.items].map((item) => item.id), ...campuses.itemIds()]);
+  const checked = validateGoldenSet(golden, { knowledgeIds });
+  for (const w of checked.warnings) console.warn(`warning ${w.path}: ${w.message}`);
+  if (!checked.ok) throw new GoldenSetValidationError(checked.errors);
+
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/chat`;
+
+  const chat = async (body) => {
+    const res = await fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const report = await runEvaluation(golden, {
+    chat,
+    tags: args.tag,
+    meta: {
+      provider: `${provider.name}:${provider.model}`,
+      knowledgeVersion: knowledge.getVersion(),
+      communityVersion: community.getVersion(),
+      classifierVersion: classifier.status().version,
+    },
+  });
+
+  console.log(formatReport(report));
+  if (args.out) await fs.writeFile(args.out, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+  process.exitCode = report.summary.failed ? 1 : 0;
+} catch (e) {
+  if (e instanceof GoldenSetValidationError) {
+    console.error(e.message);
+    for (const err of e.errors) console.error(`  ${err.path}: ${err.message}`);
+  } else if (e instanceof ProviderConfigError || e instanceof SyntaxError || e.code === "ENOENT") {
+    console.error(e.message);
+  } else {
+    throw e;
+  }
+  process.exitCode = 2;
+} finally {
+  if (server) {
+    await new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  }
+  await fs.rm(dataDir, { recursive: true, force: true });
+}
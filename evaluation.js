@@ -0,0 +1,252 @@
+// evaluation.js — OmanX policy-compliance evaluation (golden question set)
+// Goals:
+// - A versioned golden set (golden.json): questions plus what policy requires of each answer —
+//   lane/tier routing, escalation to an official contact, the four mandated blocks, grounding in
+//   named knowledge items, and content that must never appear
+// - Drives the real /chat pipeline (classifier, retrieval, provider, verification, structuring)
+//   through a `chat(body)` transport, so the same cases run against the offline provider or a model
+// - Scores every case check by check; the report has no timestamps or request ids, so two runs
+//   diff cleanly and a policy regression shows up as a changed line
+//
+// Golden set shape:
+// { "version": "2026.10.1", "description"?: "...", "cases": [{
+//     "id": "work-off-campus-opt", "question": "...", "lang"?: "en" | "ar", "mode"?: "official" | "community",
+//     "history"?: [{ "role": "user" | "assistant", "content": "..." }], "campus"?: "drexel",
+//     "expected_lane": "scholar" | "local", "expected_tier"?: RISK_TIERS, "expected_lang"?: "en" | "ar",
+//     "expected_mode"?: "official" | "community",  // the effective policy (response `policy.mode`)
+//     "must_escalate"?: boolean,      // names an official contact (DSO, Ministry, Embassy, 911, ...)
+//     "must_cite"?: ["item-id"],      // retrieved for the answer, and the answer's citations verified
+//     "forbidden"?: ["regex source"], // matched case-insensitively against the whole answer
+//     "tags"?: ["immigration"]
+// }] }
+
+import { CHAT_MODES, RISK_TIERS } from "./classifier.js";
+
+const CASE_KEYS = new Set([
+  "id",
+  "question",
+  "lang",
+  "mode",
+  "history",
+  "campus",
+  "expected_lane",
+  "expected_tier",
+  "expected_lang",
+  "expected_mode",
+  "must_escalate",
+  "must_cite",
+  "forbidden",
+  "tags",
+]);
+const ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const LANES = ["scholar", "local"];
+const LANGS = ["en", "ar"];
+const SECTION_KEYS = ["whatToDo", "whyThisMatters", "sourceAuthority", "whenToEscalate"];
+
+// Official contacts an escalation must name (English + Arabic wording used by prompts.js / knowledge.json)
+const ESCALATION_CONTACT_RE =
+  /\b(?:DSO|international office|Ministry|MoHERI|MoHE|Embassy|emergency services)\b|911|المسؤول المعين|مكتب الطلاب الدوليين|وزارة|السفارة|خدمات الطوارئ/i;
+
+export class GoldenSetValidationError extends Error {
+  constructor(errors) {
+    super(`Golden set failed validation (${errors.length} error${errors.length === 1 ? "" : "s"})`);
+    this.name = "GoldenSetValidationError";
+    this.errors = errors;
+  }
+}
+
+const isStringArray = (v) => Array.isArray(v) && v.every((s) => typeof s === "string" && s.trim());
+
+/**
+ * validateGoldenSet
+ * Returns { ok, errors, warnings } without throwing. `knowledgeIds` (a Set) turns must_cite ids
+ * that aren't in the knowledge into warnings: the case will fail, but the set is still usable.
+ */
+export function validateGoldenSet(json, { knowledgeIds = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const err = (p, message) => errors.push({ path: p, message });
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }], warnings };
+  }
+  if (typeof json.version !== "string" || !json.version.trim()) err("$.version", "must be a non-empty string");
+  if (!Array.isArray(json.cases) || !json.cases.length) {
+    err("$.cases", "must be a non-empty array");
+    return { ok: false, errors, warnings };
+  }
+
+  const seen = new Set();
+  json.cases.forEach((c, i) => {
+    const at = `$.cases[${i}]`;
+    if (!c || typeof c !== "object" || Array.isArray(c)) return err(at, "must be an object");
+
+    for (const key of Object.keys(c)) if (!CASE_KEYS.has(key)) err(`${at}.${key}`, "unknown field");
+    if (typeof c.id !== "string" || !ID_RE.test(c.id)) err(`${at}.id`, "must be a lowercase slug");
+    else if (seen.has(c.id)) err(`${at}.id`, `duplicate id "${c.id}"`);
+    else seen.add(c.id);
+
+    if (typeof c.question !== "string" || !c.question.trim()) err(`${at}.question`, "must be a non-empty string");
+    if (!LANES.includes(c.expected_lane)) err(`${at}.expected_lane`, `must be one of ${LANES.join(", ")}`);
+    if (c.expected_tier !== undefined && !RISK_TIERS.includes(c.expected_tier)) {
+      err(`${at}.expected_tier`, `must be one of ${RISK_TIERS.join(", ")}`);
+    }
+    for (const key of ["lang", "expected_lang"]) {
+      if (c[key] !== undefined && !LANGS.includes(c[key])) err(`${at}.${key}`, `must be one of ${LANGS.join(", ")}`);
+    }
+    for (const key of ["mode", "expected_mode"]) {
+      if (c[key] !== undefined && !CHAT_MODES.includes(c[key])) err(`${at}.${key}`, `must be one of ${CHAT_MODES.join(", ")}`);
+    }
+    if (c.campus !== undefined && (typeof c.campus !== "string" || !ID_RE.test(c.campus))) err(`${at}.campus`, "must be a campus profile id");
+    if (c.must_escalate !== undefined && typeof c.must_escalate !== "boolean") err(`${at}.must_escalate`, "must be a boolean");
+    if (c.tags !== undefined && !isStringArray(c.tags)) err(`${at}.tags`, "must be an array of strings");
+
+    if (c.history !== undefined) {
+      if (!Array.isArray(c.history)) err(`${at}.history`, "must be an array of { role, content } turns");
+      else {
+        c.history.forEach((t, j) => {
+          if (!["user", "assistant"].includes(t?.role) || typeof t?.content !== "string") {
+            err(`${at}.history[${j}]`, 'must be { role: "user" | "assistant", content: string }');
+          }
+        });
+      }
+    }
+
+    if (c.must_cite !== undefined) {
+      if (!isStringArray(c.must_cite)) err(`${at}.must_cite`, "must be an array of knowledge item ids");
+      else if (knowledgeIds) {
+        c.must_cite.forEach((id, j) => {
+          if (!knowledgeIds.has(id)) warnings.push({ path: `${at}.must_cite[${j}]`, message: `unknown knowledge item "${id}"` });
+        });
+      }
+    }
+
+    if (c.forbidden !== undefined) {
+      if (!isStringArray(c.forbidden)) err(`${at}.forbidden`, "must be an array of regular expressions");
+      else {
+        c.forbidden.forEach((source, j) => {
+          try {
+            new RegExp(source, "iu");
+          } catch (e) {
+            err(`${at}.forbidden[${j}]`, `invalid regular expression: ${e.message}`);
+          }
+        });
+      }
+    }
+  });
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+/**
+ * scoreCase
+ * Checks one /chat response ({ status, body }) against its golden case.
+ * Returns { id, pass, lane, tier, lang, knowledgeItems, checks: [{ check, pass, detail }] }.
+ */
+export function scoreCase(c, { status, body = {} }) {
+  const checks = [];
+  const check = (name, pass, detail = null) => checks.push({ check: name, pass, detail: pass ? null : detail });
+  const expect = (name, expected, actual) => check(name, expected === actual, `expected ${expected}, got ${actual ?? "nothing"}`);
+
+  check("status", status === 200, `HTTP ${status}${body.error ? `: ${body.error}` : ""}`);
+  if (status === 200) {
+    const sections = body.sections || {};
+    const text = typeof body.text === "string" ? body.text : "";
+
+    expect("lane", c.expected_lane, body.lane);
+    if (c.expected_tier) expect("tier", c.expected_tier, body.tier);
+    if (c.expected_lang) expect("lang", c.expected_lang, body.lang);
+    if (c.expected_mode) expect("mode", c.expected_mode, body.policy?.mode);
+
+    const missing = SECTION_KEYS.filter((k) => !Array.isArray(sections[k]) || !sections[k].length);
+    check("format", missing.length === 0, `missing ${missing.join(", ")}`);
+
+    if (c.must_escalate) {
+      const directions = [...(sections.whatToDo || []), ...(sections.whenToEscalate || [])].join("\n");
+      check("escalation", ESCALATION_CONTACT_RE.test(directions), "no official contact in What you should do / When to escalate");
+      if (c.expected_tier === "emergency") check("emergency", /911/.test(text), "does not tell the student to call 911");
+    }
+
+    for (const id of c.must_cite || []) {
+      const retrieved = (body.knowledgeItems || []).includes(id);
+      const verified = !body.verification || (body.verification.status === "verified" && !body.verification.replaced);
+      check(`cite:${id}`, retrieved && verified, retrieved ? "citations failed verification" : "item not retrieved for the answer");
+    }
+
+    for (const source of c.forbidden || []) {
+      const match = text.match(new RegExp(source, "iu"));
+      check(`forbidden:${source}`, !match, `answer contains "${match?.[0]}"`);
+    }
+  }
+
+  return {
+    id: c.id,
+    pass: checks.every((x) => x.pass),
+    lane: body.lane ?? null,
+    tier: body.tier ?? null,
+    lang: body.lang ?? null,
+    knowledgeItems: body.knowledgeItems || [],
+    checks,
+  };
+}
+
+/**
+ * runEvaluation
+ * Sends every case (optionally only those with one of `tags`) through `chat(body)` — one
+ * request at a time, non-streaming — and returns the report.
+ * `meta` ({ provider, knowledgeVersion, communityVersion, classifierVersion, ... }) is copied into the report header.
+ */
+export async function runEvaluation(golden, { chat, tags = [], meta = {} }) {
+  const cases = tags.length ? golden.cases.filter((c) => (c.tags || []).some((t) => tags.includes(t))) : golden.cases;
+
+  const results = [];
+  for (const c of cases) {
+    const response = await chat({
+      message: c.question,
+      ...(c.lang ? { lang: c.lang } : {}),
+      ...(c.mode ? { mode: c.mode } : {}),
+      ...(c.history ? { history: c.history } : {}),
+      ...(c.campus ? { campus: c.campus } : {}),
+    });
+    results.push(scoreCase(c, response));
+  }
+
+  const byCheck = {};
+  for (const { check, pass } of results.flatMap((r) => r.checks)) {
+    const kind = check.split(":")[0];
+    byCheck[kind] ||= { passed: 0, failed: 0 };
+    byCheck[kind][pass ? "passed" : "failed"] += 1;
+  }
+  const passed = results.filter((r) => r.pass).length;
+
+  return {
+    goldenVersion: golden.version,
+    ...meta,
+    tags: tags.length ? tags : null,
+    summary: { cases: results.length, passed, failed: results.length - passed, byCheck },
+    cases: results,
+  };
+}
+
+/**
+ * formatReport
+ * Human-readable summary: one PASS/FAIL line per case, failed checks indented under it.
+ */
+export function formatReport(report) {
+  const header = [
+    `golden ${report.goldenVersion}`,
+    report.provider && `provider ${report.provider}`,
+    report.knowledgeVersion && `knowledge ${report.knowledgeVersion}`,
+    report.communityVersion && `community ${report.communityVersion}`,
+    report.classifierVersion && `classifier ${report.classifierVersion}`,
+  ].filter(Boolean);
+
+  const lines = [`OmanX evaluation — ${header.join(" · ")}`];
+  for (const r of report.cases) {
+    lines.push(`${r.pass ? "PASS" : "FAIL"} ${r.id}`);
+    for (const x of r.checks.filter((x) => !x.pass)) lines.push(`  - ${x.check}: ${x.detail}`);
+  }
+  const { cases, passed, failed } = report.summary;
+  lines.push(`${cases} case${cases === 1 ? "" : "s"}: ${passed} passed, ${failed} failed`);
+  return lines.join("\n");
+}
@@ -0,0 +1,263 @@
+// feedback.js — OmanX answer feedback + review queue
+// Goals:
+// - Students rate an answer (up/down) or report an issue with it, keyed by the answer's requestId
+// - What the answer was built from (lane, knowledge version + items) comes from the audit trail,
+//   never from the client; create-app.js looks it up and passes it in as `context`
+// - Comments are short and redacted (redaction.js) before they are stored
+// - Thumbs-down and reports enter a review queue: editors move them open -> triaged ->
+//   resolved / dismissed and link them to the knowledge items that need fixing
+// - One entry per requestId, filled in at most once per part: a report can follow a rating (or
+//   the other way round), but a rating, report or comment already given is never replaced (409),
+//   so knowing an answer's requestId doesn't let anyone overwrite someone else's feedback
+// - Survives restarts: a JSON file written atomically at most once per `writeDelayMs`;
+//   past `maxEntries`, closed entries are dropped oldest first
+//
+// File shape: { "version": 1, "entries": [entry, ...] } (oldest first), where entry is
+// { id, requestId, createdAt, updatedAt, lane, knowledgeVersion, knowledgeItems, outcome,
+//   rating, reason, comment, redactions, status, linkedItems, history: [{ at, by, status, linkedItems, note }] }
+
+import fs from "fs/promises";
+import crypto from "crypto";
+
+import { JsonFileWriter } from "./files.js";
+import { redactPII } from "./redaction.js";
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const FEEDBACK_REASONS = ["wrong", "outdated", "unhelpful", "other"];
+export const FEEDBACK_STATUSES = ["open", "triaged", "resolved", "dismissed"];
+export const COMMENT_MAX_CHARS = 500;
+
+const FILE_FORMAT_VERSION = 1;
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,64}$/;
+const QUEUE_STATUSES = ["open", "triaged"];
+
+export class FeedbackError extends Error {
+  constructor(message, { status = 400, errors = [] } = {}) {
+    super(message);
+    this.name = "FeedbackError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const needsReview = (entry) => entry.rating === "down" || !!entry.reason;
+
+/**
+ * validateFeedback
+ * Body of POST /feedback: { requestId, rating?, reason?, comment? } with a rating or a reason.
+ * Returns { ok, errors, value } (value has the comment trimmed, not yet redacted).
+ */
+export function validateFeedback(body) {
+  const errors = [];
+  const err = (p, message) => errors.push({ path: p, message });
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }], value: null };
+  }
+
+  const { requestId, rating, reason, comment } = body;
+  if (typeof requestId !== "string" || !REQUEST_ID_RE.test(requestId)) err("$.requestId", "must be the requestId of an answer");
+  if (rating !== undefined && !FEEDBACK_RATINGS.includes(rating)) err("$.rating", `must be one of ${FEEDBACK_RATINGS.join(", ")}`);
+  if (reason !== undefined && !FEEDBACK_REASONS.includes(reason)) err("$.reason", `must be one of ${FEEDBACK_REASONS.join(", ")}`);
+  if (rating === undefined && reason === undefined) err("$", "needs a rating or a reason");
+  if (comment !== undefined && (typeof comment !== "string" || comment.trim().length > COMMENT_MAX_CHARS)) {
+    err("$.comment", `must be a string of at most ${COMMENT_MAX_CHARS} characters`);
+  }
+
+  if (errors.length) return { ok: false, errors, value: null };
+  return { ok: true, errors, value: { requestId, rating, reason, comment: comment?.trim() || undefined } };
+}
+
+/**
+ * validateTriage
+ * Body of PATCH /admin/feedback/:id: { status?, linkedItems?, note? } with at least one field.
+ * `knowledgeIds` (a Set of live item ids) checks links; pass null to skip the check.
+ */
+export function validateTriage(body, { knowledgeIds = null } = {}) {
+  const errors = [];
+  const err = (p, message) => errors.push({ path: p, message });
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }], value: null };
+  }
+
+  const { status, linkedItems, note } = body;
+  if (status !== undefined && !FEEDBACK_STATUSES.includes(status)) err("$.status", `must be one of ${FEEDBACK_STATUSES.join(", ")}`);
+  if (linkedItems !== undefined) {
+    if (!Array.isArray(linkedItems)) err("$.linkedItems", "must be an array of knowledge item ids");
+    else {
+      linkedItems.forEach((id, i) => {
+        if (typeof id !== "string" || !id) err(`$.linkedItems[${i}]`, "must be a knowledge item id");
+        else if (knowledgeIds && !knowledgeIds.has(id)) err(`$.linkedItems[${i}]`, `unknown knowledge item "${id}"`);
+      });
+    }
+  }
+  if (note !== undefined && (typeof note !== "string" || note.length > COMMENT_MAX_CHARS)) {
+    err("$.note", `must be a string of at most ${COMMENT_MAX_CHARS} characters`);
+  }
+  if (status === undefined && linkedItems === undefined && note === undefined) err("$", "needs a status, linkedItems or a note");
+
+  if (errors.length) return { ok: false, errors, value: null };
+  return {
+    ok: true,
+    errors,
+    value: { status, linkedItems: linkedItems && [...new Set(linkedItems)], note: note?.trim() || undefined },
+  };
+}
+
+export class FeedbackStore {
+  constructor(filePath, { maxEntries = 5000, writeDelayMs = 1000, logger } = {}) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+    this.logger = logger;
+    this.entries = [];
+    this.writer = new JsonFileWriter(filePath, () => ({ version: FILE_FORMAT_VERSION, entries: this.entries }), {
+      delayMs: writeDelayMs,
+      logger,
+      label: "Feedback",
+    });
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+
+    try {
+      const json = JSON.parse(raw);
+      if (json?.version !== FILE_FORMAT_VERSION || !Array.isArray(json.entries)) throw new Error("unknown format");
+      this.entries = json.entries;
+      this.logger?.info("Feedback loaded", { path: this.filePath, entries: this.entries.length });
+    } catch (e) {
+      this.logger?.warn("Feedback file ignored", { path: this.filePath, error: e?.message || String(e) });
+    }
+  }
+
+  get(id) {
+    return this.entries.find((e) => e.id === id) || null;
+  }
+
+  /**
+   * submit
+   * Records the feedback for one answer, or adds a rating or report to the entry it already has.
+   * `context` = { lane, knowledgeVersion, knowledgeItems, outcome } from the answer's audit record.
+   * Returns the stored entry; throws FeedbackError (409) if a part being sent is already set.
+   */
+  submit({ requestId, rating, reason, comment, context = {}, now = Date.now() }) {
+    const at = new Date(now).toISOString();
+    let entry = this.entries.find((e) => e.requestId === requestId);
+    if (entry) {
+      if ((rating !== undefined && entry.rating) || (reason !== undefined && entry.reason) || (comment !== undefined && entry.comment)) {
+        throw new FeedbackError("This answer already has that feedback.", { status: 409 });
+      }
+    } else {
+      entry = {
+        id: `fb_${crypto.randomBytes(8).toString("hex")}`,
+        requestId,
+        createdAt: at,
+        updatedAt: at,
+        lane: context.lane ?? null,
+        knowledgeVersion: context.knowledgeVersion ?? null,
+        knowledgeItems: context.knowledgeItems || [],
+        outcome: context.outcome ?? null,
+        rating: null,
+        reason: null,
+        comment: null,
+        redactions: [],
+        status: null,
+        linkedItems: [],
+        history: [],
+      };
+      this.entries.push(entry);
+    }
+
+    if (rating !== undefined) entry.rating = rating;
+    if (reason !== undefined) entry.reason = reason;
+    if (comment !== undefined) {
+      const { text, counts } = redactPII(comment);
+      entry.comment = text;
+      entry.redactions = Object.keys(counts);
+    }
+    entry.updatedAt = at;
+    if (needsReview(entry) && !entry.status) entry.status = "open";
+
+    this.prune();
+    this.scheduleWrite();
+    return entry;
+  }
+
+  /**
+   * triage
+   * Applies an editor's { status?, linkedItems?, note? } to an entry and appends it to the
+   * entry's history. Throws FeedbackError (404) for an unknown id.
+   */
+  triage(id, { status, linkedItems, note, reviewer, now = Date.now() }) {
+    const entry = this.get(id);
+    if (!entry) throw new FeedbackError(`No feedback with id "${id}".`, { status: 404 });
+
+    const at = new Date(now).toISOString();
+    if (status !== undefined) entry.status = status;
+    if (linkedItems !== undefined) entry.linkedItems = linkedItems;
+    entry.history.push({ at, by: reviewer, status: entry.status, linkedItems: entry.linkedItems, note: note ?? null });
+    entry.updatedAt = at;
+
+    this.scheduleWrite();
+    return entry;
+  }
+
+  /**
+   * list
+   * Entries newest first. status: one of FEEDBACK_STATUSES, "queue" (open + triaged) or "all";
+   * lane / item narrow to one lane or to entries that used or are linked to a knowledge item.
+   */
+  list({ status = "queue", lane, item, limit = 50 } = {}) {
+    const statusOk =
+      status === "all" ? () => true : status === "queue" ? (e) => QUEUE_STATUSES.includes(e.status) : (e) => e.status === status;
+    return this.entries
+      .filter(
+        (e) =>
+          statusOk(e) &&
+          (!lane || e.lane === lane) &&
+          (!item || e.knowledgeItems.includes(item) || e.linkedItems.includes(item))
+      )
+      .reverse()
+      .slice(0, limit);
+  }
+
+  summary() {
+    const count = (pred) => this.entries.filter(pred).length;
+    return {
+      entries: this.entries.length,
+      ratings: { up: count((e) => e.rating === "up"), down: count((e) => e.rating === "down") },
+      reports: count((e) => !!e.reason),
+      byStatus: Object.fromEntries(FEEDBACK_STATUSES.map((s) => [s, count((e) => e.status === s)])),
+      byReason: Object.fromEntries(FEEDBACK_REASONS.map((r) => [r, count((e) => e.reason === r)])),
+    };
+  }
+
+  // Over the cap: drop closed entries (no review needed, resolved, dismissed) oldest first, then the oldest of the rest
+  prune() {
+    let excess = this.entries.length - this.maxEntries;
+    if (excess <= 0) return;
+    this.entries = this.entries.filter((e) => {
+      if (excess > 0 && !QUEUE_STATUSES.includes(e.status)) {
+        excess -= 1;
+        return false;
+      }
+      return true;
+    });
+    if (excess > 0) this.entries = this.entries.slice(excess);
+  }
+
+  scheduleWrite() {
+    this.writer.schedule();
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+}
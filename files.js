@@ -0,0 +1,70 @@
+// files.js — OmanX small filesystem helpers shared by the stores
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * writeAtomic
+ * Same-directory temp file + rename: readers see the old file or the new one, never half of one.
+ */
+export async function writeAtomic(file, text) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await fs.writeFile(tmp, text, "utf8");
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * JsonFileWriter
+ * Debounced snapshot writer for the JSON-file stores. schedule() marks the data dirty and writes
+ * `snapshot()` (atomically) at most once per `delayMs`; flush() writes now and resolves when done.
+ * Writes are serialized, so a flush never races a timer-driven write. A failed write leaves the
+ * data dirty: the next flush (or scheduled write) tries again.
+ */
+export class JsonFileWriter {
+  constructor(filePath, snapshot, { delayMs = 1000, logger, label = "JSON file" } = {}) {
+    this.filePath = filePath;
+    this.snapshot = snapshot;
+    this.delayMs = delayMs;
+    this.logger = logger;
+    this.label = label;
+    this.dirty = false;
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  schedule() {
+    this.dirty = true;
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch((e) => this.logger?.error(`${this.label} write failed`, { error: e?.message || String(e) }));
+    }, this.delayMs);
+    this.timer.unref?.(); // never keeps the process alive
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    // Chained past an earlier failure, which stays dirty so the next flush retries it
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        if (!this.dirty) return;
+        this.dirty = false;
+        try {
+          await writeAtomic(this.filePath, JSON.stringify(this.snapshot()));
+        } catch (e) {
+          this.dirty = true;
+          throw e;
+        }
+      });
+    return this.writing;
+  }
+}
@@ -0,0 +1,193 @@
+// flows-schema.js — OmanX onboarding flows (flows.json) schema + validation
+// Goals:
+// - Checklists are data, not markup: editors add flows/steps without touching index.html
+// - Every step points at an approved knowledge item and carries its own Official/Advisory tag
+// - Same reporting style as knowledge-schema.js (every problem at once, path + message)
+// - Steps can carry a due date relative to arrival / program start (timeline.js dates them)
+//
+// v1 shape:
+// {
+//   "schema_version": 1,
+//   "version": "2026.10.1",
+//   "flows": [
+//     {
+//       "id": "arrival",                        // unique, lowercase slug
+//       "title": "...", "title_ar": "...",
+//       "prompt": "...", "prompt_ar": "...",    // sent to the assistant by "Use this flow"
+//       "steps": [
+//         { "id": "documents", "text": "...", "text_ar": "...",
+//           "category": "Official" | "Advisory", "knowledge_id": "arrival-first-72-hours",
+//           "due": { "anchor": "arrival" | "program_start", "offset_days": 3 },   // optional
+//           "visa_types": ["F-1"] }                                              // optional; all when absent
+//       ]
+//     }
+//   ]
+// }
+
+import { KNOWLEDGE_CATEGORIES } from "./knowledge-schema.js";
+
+export const FLOWS_SCHEMA_VERSION = 1;
+export const VISA_TYPES = ["F-1", "J-1"];
+export const DUE_ANCHORS = ["arrival", "program_start"];
+
+const ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const TOP_LEVEL_KEYS = new Set(["schema_version", "version", "updated_at", "flows"]);
+const FLOW_KEYS = new Set(["id", "title", "title_ar", "prompt", "prompt_ar", "steps"]);
+const STEP_KEYS = new Set(["id", "text", "text_ar", "category", "knowledge_id", "due", "visa_types"]);
+const DUE_KEYS = new Set(["anchor", "offset_days"]);
+
+export class FlowsValidationError extends Error {
+  constructor(errors) {
+    super(`flows.json failed validation (${errors.length} error${errors.length === 1 ? "" : "s"})`);
+    this.name = "FlowsValidationError";
+    this.errors = errors;
+  }
+}
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+
+function checkKeys(obj, allowed, at, errors) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.has(key)) errors.push({ path: `${at}.${key}`, message: "unknown field" });
+  }
+}
+
+function validateStep(step, at, errors) {
+  if (!step || typeof step !== "object" || Array.isArray(step)) {
+    errors.push({ path: at, message: "must be an object" });
+    return;
+  }
+  checkKeys(step, STEP_KEYS, at, errors);
+
+  if (!isNonEmptyString(step.id) || !ID_RE.test(step.id)) errors.push({ path: `${at}.id`, message: "must be a lowercase slug" });
+  if (!isNonEmptyString(step.text)) errors.push({ path: `${at}.text`, message: "must be a non-empty string" });
+  if (step.text_ar !== undefined && !isNonEmptyString(step.text_ar)) {
+    errors.push({ path: `${at}.text_ar`, message: "must be a non-empty string when present" });
+  }
+  if (!KNOWLEDGE_CATEGORIES.includes(step.category)) {
+    errors.push({ path: `${at}.category`, message: `must be one of ${KNOWLEDGE_CATEGORIES.join(", ")}` });
+  }
+  if (!isNonEmptyString(step.knowledge_id) || !ID_RE.test(step.knowledge_id)) {
+    errors.push({ path: `${at}.knowledge_id`, message: "must be a knowledge item id" });
+  }
+
+  if (step.due !== undefined) {
+    if (!step.due || typeof step.due !== "object" || Array.isArray(step.due)) {
+      errors.push({ path: `${at}.due`, message: "must be an object" });
+    } else {
+      checkKeys(step.due, DUE_KEYS, `${at}.due`, errors);
+      if (!DUE_ANCHORS.includes(step.due.anchor)) {
+        errors.push({ path: `${at}.due.anchor`, message: `must be one of ${DUE_ANCHORS.join(", ")}` });
+      }
+      if (!Number.isInteger(step.due.offset_days) || Math.abs(step.due.offset_days) > 365) {
+        errors.push({ path: `${at}.due.offset_days`, message: "must be an integer between -365 and 365" });
+      }
+    }
+  }
+  if (step.visa_types !== undefined) {
+    if (!Array.isArray(step.visa_types) || !step.visa_types.length || step.visa_types.some((v) => !VISA_TYPES.includes(v))) {
+      errors.push({ path: `${at}.visa_types`, message: `must be a non-empty array of ${VISA_TYPES.join(", ")}` });
+    }
+  }
+}
+
+/**
+ * validateFlows
+ * Returns { ok, errors, warnings } without throwing.
+ * `knowledgeIds` (when given) is the set of loaded knowledge item ids; a step pointing at an
+ * unknown item is a warning, not an error, so a knowledge edit can't take the checklists down.
+ */
+export function validateFlows(json, { knowledgeIds = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }], warnings };
+  }
+  checkKeys(json, TOP_LEVEL_KEYS, "$", errors);
+
+  if (json.schema_version !== FLOWS_SCHEMA_VERSION) {
+    errors.push({ path: "$.schema_version", message: `must be ${FLOWS_SCHEMA_VERSION}` });
+  }
+  if (!isNonEmptyString(json.version)) errors.push({ path: "$.version", message: "must be a non-empty string" });
+
+  if (!Array.isArray(json.flows) || !json.flows.length) {
+    errors.push({ path: "$.flows", message: "must be a non-empty array" });
+    return { ok: false, errors, warnings };
+  }
+
+  const flowIds = new Set();
+  json.flows.forEach((flow, i) => {
+    const at = `$.flows[${i}]`;
+    if (!flow || typeof flow !== "object" || Array.isArray(flow)) {
+      errors.push({ path: at, message: "must be an object" });
+      return;
+    }
+    checkKeys(flow, FLOW_KEYS, at, errors);
+
+    if (!isNonEmptyString(flow.id) || !ID_RE.test(flow.id)) errors.push({ path: `${at}.id`, message: "must be a lowercase slug" });
+    else if (flowIds.has(flow.id)) errors.push({ path: `${at}.id`, message: `duplicate id "${flow.id}"` });
+    flowIds.add(flow.id);
+
+    for (const key of ["title", "prompt"]) {
+      if (!isNonEmptyString(flow[key])) errors.push({ path: `${at}.${key}`, message: "must be a non-empty string" });
+    }
+    for (const key of ["title_ar", "prompt_ar"]) {
+      if (flow[key] !== undefined && !isNonEmptyString(flow[key])) {
+        errors.push({ path: `${at}.${key}`, message: "must be a non-empty string when present" });
+      }
+    }
+
+    if (!Array.isArray(flow.steps) || !flow.steps.length) {
+      errors.push({ path: `${at}.steps`, message: "must be a non-empty array" });
+      return;
+    }
+
+    const stepIds = new Set();
+    flow.steps.forEach((step, j) => {
+      const sp = `${at}.steps[${j}]`;
+      validateStep(step, sp, errors);
+      if (step?.id) {
+        if (stepIds.has(step.id)) errors.push({ path: `${sp}.id`, message: `duplicate step id "${step.id}"` });
+        stepIds.add(step.id);
+      }
+      if (knowledgeIds && step?.knowledge_id && !knowledgeIds.has(step.knowledge_id)) {
+        warnings.push({ path: `${sp}.knowledge_id`, message: `unknown knowledge item "${step.knowledge_id}"` });
+      }
+    });
+  });
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+/**
+ * toApiFlows
+ * camelCase shape served by /api/flows. Each step also carries the linked item's
+ * version and authorities when the item is loaded (null / [] otherwise), so progress
+ * reports can cite them without a second request.
+ */
+export function toApiFlows(json, knowledgeItems = []) {
+  const byId = new Map(knowledgeItems.map((item) => [item.id, item]));
+  return json.flows.map((flow) => ({
+    id: flow.id,
+    title: flow.title,
+    titleAr: flow.title_ar || null,
+    prompt: flow.prompt,
+    promptAr: flow.prompt_ar || null,
+    steps: flow.steps.map((step) => {
+      const item = byId.get(step.knowledge_id);
+      return {
+        id: step.id,
+        text: step.text,
+        textAr: step.text_ar || null,
+        category: step.category,
+        knowledgeId: step.knowledge_id,
+        knowledgeVersion: item?.version ?? null,
+        authorities: (item?.authorities || []).map((a) => ({ name: a.name, url: a.url || null })),
+        due: step.due ? { anchor: step.due.anchor, offsetDays: step.due.offset_days } : null,
+        visaTypes: step.visa_types || null,
+      };
+    }),
+  }));
+}
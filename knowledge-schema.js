@@ -0,0 +1,215 @@
+// knowledge-schema.js — OmanX knowledge.json v2 schema + validation
+// Goals:
+// - Every approved item is identifiable, versioned, categorised and dated
+// - Authorities are structured ({ name, url }) instead of free-text strings
+// - Validation is strict and reports every problem at once (path + message)
+// - The same shape serves community.json (Community Mode's advisory source), restricted to Advisory items
+//
+// v2 shape:
+// {
+//   "schema_version": 2,
+//   "version": "2026.10.1",
+//   "items": [
+//     {
+//       "id": "arrival-first-72-hours",          // unique, lowercase slug
+//       "version": 1,                            // integer >= 1, bump on every content change
+//       "title": "...",
+//       "category": "Official" | "Advisory",
+//       "summary": "...",
+//       "bullets": ["..."],
+//       "authorities": [{ "name": "...", "url": "https://..." }],   // url optional
+//       "effective_from": "YYYY-MM-DD",
+//       "review_by": "YYYY-MM-DD",
+//       "reviewed_by": "...",
+//       "applicability": ["f-1", "j-1", "arrival"],
+//       "title_ar": "...", "summary_ar": "...", "bullets_ar": ["..."]   // optional Arabic variants
+//     }
+//   ]
+// }
+
+export const KNOWLEDGE_SCHEMA_VERSION = 2;
+export const KNOWLEDGE_CATEGORIES = ["Official", "Advisory"];
+
+const ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const TOP_LEVEL_KEYS = new Set(["schema_version", "version", "updated_at", "items"]);
+const ITEM_KEYS = new Set([
+  "id",
+  "version",
+  "title",
+  "category",
+  "summary",
+  "bullets",
+  "authorities",
+  "effective_from",
+  "review_by",
+  "reviewed_by",
+  "applicability",
+  "title_ar",
+  "summary_ar",
+  "bullets_ar",
+]);
+const AUTHORITY_KEYS = new Set(["name", "url"]);
+
+export class KnowledgeValidationError extends Error {
+  constructor(errors, file = "knowledge.json") {
+    super(`${file} failed validation (${errors.length} error${errors.length === 1 ? "" : "s"})`);
+    this.name = "KnowledgeValidationError";
+    this.errors = errors;
+  }
+}
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+
+function isValidDate(v) {
+  if (typeof v !== "string" || !DATE_RE.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+function isHttpsUrl(v) {
+  try {
+    return new URL(v).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function validateItem(item, at, errors) {
+  const err = (field, message) => errors.push({ path: field ? `${at}.${field}` : at, message });
+
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    err("", "must be an object");
+    return;
+  }
+
+  for (const key of Object.keys(item)) {
+    if (!ITEM_KEYS.has(key)) err(key, "unknown field");
+  }
+
+  if (!isNonEmptyString(item.id) || !ID_RE.test(item.id)) err("id", "must be a lowercase slug (a-z, 0-9, hyphens)");
+  if (!Number.isInteger(item.version) || item.version < 1) err("version", "must be an integer >= 1");
+  if (!isNonEmptyString(item.title)) err("title", "must be a non-empty string");
+  if (!KNOWLEDGE_CATEGORIES.includes(item.category)) err("category", `must be one of ${KNOWLEDGE_CATEGORIES.join(", ")}`);
+  if (!isNonEmptyString(item.summary)) err("summary", "must be a non-empty string");
+  if (!isNonEmptyString(item.reviewed_by)) err("reviewed_by", "must be a non-empty string");
+
+  if (!Array.isArray(item.bullets) || !item.bullets.length) {
+    err("bullets", "must be a non-empty array");
+  } else {
+    item.bullets.forEach((b, i) => {
+      if (!isNonEmptyString(b)) err(`bullets[${i}]`, "must be a non-empty string");
+    });
+  }
+
+  if (!Array.isArray(item.authorities) || !item.authorities.length) {
+    err("authorities", "must be a non-empty array");
+  } else {
+    item.authorities.forEach((a, i) => {
+      const ap = `authorities[${i}]`;
+      if (!a || typeof a !== "object" || Array.isArray(a)) return err(ap, "must be an object { name, url? }");
+      for (const key of Object.keys(a)) {
+        if (!AUTHORITY_KEYS.has(key)) err(`${ap}.${key}`, "unknown field");
+      }
+      if (!isNonEmptyString(a.name)) err(`${ap}.name`, "must be a non-empty string");
+      if (a.url !== undefined && !isHttpsUrl(a.url)) err(`${ap}.url`, "must be an https URL");
+    });
+  }
+
+  if (!isValidDate(item.effective_from)) err("effective_from", "must be a YYYY-MM-DD date");
+  if (!isValidDate(item.review_by)) err("review_by", "must be a YYYY-MM-DD date");
+  if (isValidDate(item.effective_from) && isValidDate(item.review_by) && item.review_by <= item.effective_from) {
+    err("review_by", "must be after effective_from");
+  }
+
+  for (const key of ["title_ar", "summary_ar"]) {
+    if (item[key] !== undefined && !isNonEmptyString(item[key])) err(key, "must be a non-empty string when present");
+  }
+  if (item.bullets_ar !== undefined) {
+    if (!Array.isArray(item.bullets_ar) || item.bullets_ar.some((b) => !isNonEmptyString(b))) {
+      err("bullets_ar", "must be an array of non-empty strings when present");
+    }
+  }
+
+  if (!Array.isArray(item.applicability) || !item.applicability.length) {
+    err("applicability", "must be a non-empty array of tags");
+  } else {
+    item.applicability.forEach((t, i) => {
+      if (!isNonEmptyString(t) || !ID_RE.test(t)) err(`applicability[${i}]`, "must be a lowercase slug tag");
+    });
+  }
+}
+
+/**
+ * validateKnowledgeItem
+ * One item on its own (knowledge drafts). Returns { ok, errors }; paths start at "$".
+ */
+export function validateKnowledgeItem(item) {
+  const errors = [];
+  validateItem(item, "$", errors);
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * validateKnowledge
+ * Returns { ok, errors, warnings } without throwing.
+ * Warnings never block a load (e.g. items overdue for review).
+ * `category` (when given) is the only category the file may contain (community.json: "Advisory").
+ */
+export function validateKnowledge(json, { now = new Date(), category = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }], warnings };
+  }
+
+  for (const key of Object.keys(json)) {
+    if (!TOP_LEVEL_KEYS.has(key)) errors.push({ path: `$.${key}`, message: "unknown field" });
+  }
+
+  if (json.schema_version !== KNOWLEDGE_SCHEMA_VERSION) {
+    errors.push({ path: "$.schema_version", message: `must be ${KNOWLEDGE_SCHEMA_VERSION}` });
+  }
+  if (!isNonEmptyString(json.version)) {
+    errors.push({ path: "$.version", message: "must be a non-empty string" });
+  }
+
+  if (!Array.isArray(json.items) || !json.items.length) {
+    errors.push({ path: "$.items", message: "must be a non-empty array" });
+    return { ok: false, errors, warnings };
+  }
+
+  const today = now.toISOString().slice(0, 10);
+  const ids = new Set();
+
+  json.items.forEach((item, i) => {
+    const at = `$.items[${i}]`;
+    validateItem(item, at, errors);
+    if (category && KNOWLEDGE_CATEGORIES.includes(item?.category) && item.category !== category) {
+      errors.push({ path: `${at}.category`, message: `must be ${category} in this file` });
+    }
+
+    if (item?.id) {
+      if (ids.has(item.id)) errors.push({ path: `${at}.id`, message: `duplicate id "${item.id}"` });
+      ids.add(item.id);
+    }
+
+    if (isValidDate(item?.review_by) && item.review_by < today) {
+      warnings.push({ path: `${at}.review_by`, message: `"${item.id}" is overdue for review (${item.review_by})` });
+    }
+  });
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+/**
+ * isItemInEffect
+ * Items are only served between effective_from (inclusive) and forever after;
+ * review_by is a reminder for editors, not an expiry.
+ */
+export function isItemInEffect(item, now = new Date()) {
+  if (!item?.effective_from) return true;
+  return item.effective_from <= now.toISOString().slice(0, 10);
+}
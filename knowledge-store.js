@@ -0,0 +1,365 @@
+// knowledge-store.js — OmanX knowledge editing: drafts, publish, rollback
+// Goals:
+// - Editors create, update or retire one item at a time as a draft; nothing is served until published
+// - Publishing applies every draft at once, validated against the v2 schema, and swaps
+//   knowledge.json atomically (write a temp file, then rename over it)
+// - Every version that has been live is kept on disk, so any of them can be restored
+// - Every change is attributed to the admin credential that made it (`by`); a request may add an
+//   `editor` display label, which never replaces it. Publishes and rollbacks are logged to history.jsonl
+//
+// On disk (dataDir, default .omanx/knowledge/):
+//   drafts.json         { "items": { [id]: { action: "upsert" | "retire", item, by, editor, at } } }
+//   versions/<v>.json   each knowledge.json that has been live, named by its top-level version
+//   history.jsonl       one record per publish / rollback
+//
+// knowledge.json stays the file the KnowledgeManager loads, so hand edits keep working; drafts
+// are applied on top of whatever is live at publish time.
+
+import fs from "fs/promises";
+import path from "path";
+
+import { buildKnowledgeText } from "./prompts.js";
+import { writeAtomic } from "./files.js";
+import { KnowledgeValidationError, validateKnowledge, validateKnowledgeItem } from "./knowledge-schema.js";
+
+// Versions double as file names, so keep them to a safe alphabet.
+const VERSION_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const EDITOR_MAX = 120;
+// Item ids are the knowledge-schema.js slug; anything else can't name a draft.
+const ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const isItemId = (id) => typeof id === "string" && ID_RE.test(id);
+
+export class KnowledgeEditError extends Error {
+  constructor(message, { status = 400, errors = [] } = {}) {
+    super(message);
+    this.name = "KnowledgeEditError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+function requireEditor(editor) {
+  if (typeof editor !== "string" || !editor.trim() || editor.length > EDITOR_MAX) {
+    throw new KnowledgeEditError(`'editor' must be a non-empty string (max ${EDITOR_MAX} chars).`);
+  }
+  return editor.trim();
+}
+
+// `by` comes from the authenticated credential; `editor` from the request body defaults to it.
+function requireAuthor({ by, editor }) {
+  if (typeof by !== "string" || !by) throw new TypeError("'by' must be the admin credential's name");
+  return { by, editor: editor === undefined ? by : requireEditor(editor) };
+}
+
+function requireVersion(version) {
+  if (typeof version !== "string" || !VERSION_RE.test(version)) {
+    throw new KnowledgeEditError("'version' must be 1-64 characters of letters, digits, '.', '_' or '-'.");
+  }
+  return version;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+}
+
+const toFileText = (json) => `${JSON.stringify(json, null, 2)}\n`;
+
+/**
+ * KnowledgeStore
+ * Writes are serialized through one promise chain (like AuditLog), so two publishes can't
+ * interleave. Nothing touches the disk until the first call.
+ */
+export class KnowledgeStore {
+  constructor(filePath, { dataDir, logger } = {}) {
+    this.filePath = filePath;
+    this.dataDir = dataDir;
+    this.draftsPath = path.join(dataDir, "drafts.json");
+    this.versionsDir = path.join(dataDir, "versions");
+    this.historyPath = path.join(dataDir, "history.jsonl");
+    this.logger = logger;
+    this.queue = Promise.resolve();
+  }
+
+  run(fn) {
+    const p = this.queue.then(fn);
+    this.queue = p.catch(() => {});
+    return p;
+  }
+
+  async readLive() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") throw new KnowledgeEditError("knowledge.json does not exist.", { status: 409 });
+      throw e;
+    }
+    try {
+      return { raw, json: JSON.parse(raw) };
+    } catch (e) {
+      throw new KnowledgeEditError(`knowledge.json is not valid JSON: ${e.message}`, { status: 409 });
+    }
+  }
+
+  // Items keyed by id in a null-prototype object, so "constructor" or "__proto__" never finds Object.prototype.
+  async readDrafts() {
+    const drafts = await readJson(this.draftsPath, { items: {} });
+    const items = drafts?.items && typeof drafts.items === "object" && !Array.isArray(drafts.items) ? drafts.items : {};
+    return { items: Object.assign(Object.create(null), items) };
+  }
+
+  async readHistory() {
+    try {
+      const raw = await fs.readFile(this.historyPath, "utf8");
+      return raw
+        .split("\n")
+        .filter((l) => l.trim())
+        .map((l) => JSON.parse(l));
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  }
+
+  async listDrafts() {
+    const { items } = await this.readDrafts();
+    return Object.entries(items).map(([id, d]) => ({ id, ...d }));
+  }
+
+  // -----------------------------
+  // Drafts
+  // -----------------------------
+
+  /**
+   * saveDraft
+   * Creates (create: true) or updates a draft of one item. The item's `version` is assigned
+   * here: one more than the live item's, or 1 for a new item.
+   */
+  saveDraft(item, { by, editor, create = false } = {}) {
+    return this.run(async () => {
+      const author = requireAuthor({ by, editor });
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        throw new KnowledgeEditError("'item' must be an object.");
+      }
+
+      const { json } = await this.readLive();
+      const drafts = await this.readDrafts();
+      const live = (json.items || []).find((i) => i?.id === item.id);
+      const pending = isItemId(item.id) ? drafts.items[item.id] : undefined;
+
+      if (create && (live || pending?.action === "upsert")) {
+        throw new KnowledgeEditError(`Item "${item.id}" already exists; update it instead.`, { status: 409 });
+      }
+      if (!create && !live && !pending) {
+        throw new KnowledgeEditError(`Unknown item "${item.id}".`, { status: 404 });
+      }
+
+      const draft = { ...item, version: (live?.version || 0) + 1 };
+      const result = validateKnowledgeItem(draft);
+      if (!result.ok) throw new KnowledgeEditError("Draft failed validation.", { status: 422, errors: result.errors });
+
+      drafts.items[draft.id] = { action: "upsert", item: draft, ...author, at: new Date().toISOString() };
+      await writeAtomic(this.draftsPath, toFileText(drafts));
+      return { id: draft.id, ...drafts.items[draft.id] };
+    });
+  }
+
+  // Marks a live item for removal on the next publish.
+  retire(id, { by, editor } = {}) {
+    return this.run(async () => {
+      const author = requireAuthor({ by, editor });
+      const { json } = await this.readLive();
+      if (!isItemId(id) || !(json.items || []).some((i) => i?.id === id)) {
+        throw new KnowledgeEditError(`Item "${id}" is not published; discard its draft instead.`, { status: 404 });
+      }
+
+      const drafts = await this.readDrafts();
+      drafts.items[id] = { action: "retire", item: null, ...author, at: new Date().toISOString() };
+      await writeAtomic(this.draftsPath, toFileText(drafts));
+      return { id, ...drafts.items[id] };
+    });
+  }
+
+  discard(id) {
+    return this.run(async () => {
+      const drafts = await this.readDrafts();
+      if (!isItemId(id) || !drafts.items[id]) throw new KnowledgeEditError(`No draft for "${id}".`, { status: 404 });
+      delete drafts.items[id];
+      await writeAtomic(this.draftsPath, toFileText(drafts));
+      return { id, discarded: true };
+    });
+  }
+
+  // Live knowledge with every draft applied (updates in place, new items appended, retired removed).
+  async candidate() {
+    const { json } = await this.readLive();
+    const { items: drafts } = await this.readDrafts();
+
+    const items = (json.items || [])
+      .filter((i) => drafts[i?.id]?.action !== "retire")
+      .map((i) => (drafts[i?.id]?.action === "upsert" ? drafts[i.id].item : i));
+    for (const [id, d] of Object.entries(drafts)) {
+      if (d.action === "upsert" && !items.some((i) => i?.id === id)) items.push(d.item);
+    }
+
+    const changes = Object.entries(drafts).map(([id, d]) => ({ id, action: d.action, by: d.by, editor: d.editor, at: d.at }));
+    return { live: json, json: { ...json, items }, changes };
+  }
+
+  /**
+   * preview
+   * Validates the would-be knowledge.json and renders it with buildKnowledgeText, exactly as
+   * the model would see it. `id` limits the rendering to one item.
+   */
+  async preview({ lang = "en", id } = {}) {
+    const { live, json, changes } = await this.candidate();
+    const result = validateKnowledge(json);
+    const items = id ? json.items.filter((i) => i?.id === id) : json.items;
+    if (id && !items.length) throw new KnowledgeEditError(`Item "${id}" is not in the draft set.`, { status: 404 });
+
+    return {
+      ok: result.ok,
+      errors: result.errors,
+      warnings: result.warnings,
+      liveVersion: live.version || null,
+      changes,
+      text: buildKnowledgeText({ items }, { lang }),
+    };
+  }
+
+  // -----------------------------
+  // Publish + rollback
+  // -----------------------------
+
+  // Keeps a copy of whatever is live before it is replaced (never overwrites an existing copy).
+  async archiveLive(raw, json) {
+    await fs.mkdir(this.versionsDir, { recursive: true });
+    if (typeof json?.version !== "string" || !VERSION_RE.test(json.version)) return;
+    try {
+      await fs.writeFile(path.join(this.versionsDir, `${json.version}.json`), raw, { encoding: "utf8", flag: "wx" });
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+  }
+
+  async appendHistory(record) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.appendFile(this.historyPath, `${JSON.stringify(record)}\n`, "utf8");
+  }
+
+  /**
+   * publish
+   * Applies every draft as one new knowledge.json version. Throws KnowledgeValidationError
+   * (nothing written) if the result doesn't validate.
+   */
+  publish({ by, editor, version, note } = {}) {
+    return this.run(async () => {
+      const author = requireAuthor({ by, editor });
+      version = requireVersion(version);
+
+      const { live, json, changes } = await this.candidate();
+      if (!changes.length) throw new KnowledgeEditError("There are no drafts to publish.", { status: 409 });
+      if (version === live.version || (await this.hasVersion(version))) {
+        throw new KnowledgeEditError(`Version "${version}" already exists.`, { status: 409 });
+      }
+
+      const next = { ...json, version, updated_at: new Date().toISOString().slice(0, 10) };
+      const result = validateKnowledge(next);
+      if (!result.ok) throw new KnowledgeValidationError(result.errors);
+
+      const { raw } = await this.readLive();
+      await this.archiveLive(raw, live);
+      const text = toFileText(next);
+      await fs.writeFile(path.join(this.versionsDir, `${version}.json`), text, "utf8");
+      await writeAtomic(this.filePath, text);
+      await writeAtomic(this.draftsPath, toFileText({ items: {} }));
+
+      const record = {
+        at: new Date().toISOString(),
+        action: "publish",
+        version,
+        previousVersion: live.version || null,
+        ...author,
+        note: typeof note === "string" ? note : null,
+        changes,
+      };
+      await this.appendHistory(record);
+      this.logger?.info("Knowledge published", { version, previousVersion: record.previousVersion, ...author, changes: changes.length });
+      return record;
+    });
+  }
+
+  async hasVersion(version) {
+    try {
+      await fs.access(path.join(this.versionsDir, `${version}.json`));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Every stored version, newest publish first, with who published it and whether it's live.
+  async listVersions() {
+    let files = [];
+    try {
+      files = (await fs.readdir(this.versionsDir)).filter((f) => f.endsWith(".json"));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+
+    const history = await this.readHistory();
+    const { json: live } = await this.readLive();
+    const versions = [];
+    for (const file of files) {
+      const version = file.slice(0, -".json".length);
+      const json = await readJson(path.join(this.versionsDir, file), null);
+      const published = history.filter((h) => h.version === version).at(-1) || null;
+      versions.push({
+        version,
+        items: json?.items?.length ?? null,
+        live: version === live.version,
+        lastAction: published ? { action: published.action, at: published.at, by: published.by, editor: published.editor } : null,
+      });
+    }
+    return versions.sort((a, b) => (b.lastAction?.at || "").localeCompare(a.lastAction?.at || ""));
+  }
+
+  /**
+   * rollback
+   * Makes a stored version live again (same atomic swap as publish). Pending drafts are kept;
+   * they apply on top of the restored version at the next publish.
+   */
+  rollback({ by, editor, version, note } = {}) {
+    return this.run(async () => {
+      const author = requireAuthor({ by, editor });
+      version = requireVersion(version);
+
+      const stored = await readJson(path.join(this.versionsDir, `${version}.json`), null);
+      if (!stored) throw new KnowledgeEditError(`Unknown version "${version}".`, { status: 404 });
+      const result = validateKnowledge(stored);
+      if (!result.ok) throw new KnowledgeValidationError(result.errors);
+
+      const { raw, json: live } = await this.readLive();
+      if (live.version === version) throw new KnowledgeEditError(`Version "${version}" is already live.`, { status: 409 });
+      await this.archiveLive(raw, live);
+      await writeAtomic(this.filePath, toFileText(stored));
+
+      const record = {
+        at: new Date().toISOString(),
+        action: "rollback",
+        version,
+        previousVersion: live.version || null,
+        ...author,
+        note: typeof note === "string" ? note : null,
+      };
+      await this.appendHistory(record);
+      this.logger?.warn("Knowledge rolled back", { version, previousVersion: record.previousVersion, ...author });
+      return record;
+    });
+  }
+}
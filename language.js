@@ -0,0 +1,44 @@
+// language.js — OmanX language helpers (English / Arabic)
+// Goals:
+// - Detect the language a student wrote in so the answer comes back in it
+// - Shared Arabic normalization for retrieval (alef/yaa/taa marbuta variants, diacritics)
+
+export const SUPPORTED_LANGS = ["en", "ar"];
+
+const ARABIC_LETTER = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/gu;
+const ANY_LETTER = /\p{L}/gu;
+
+/**
+ * detectLanguage
+ * "ar" when at least 30% of the letters are Arabic, otherwise "en".
+ * `fallback` is used for messages with no letters at all (e.g. "911").
+ */
+export function detectLanguage(text = "", fallback = "en") {
+  const letters = (String(text).match(ANY_LETTER) || []).length;
+  if (!letters) return SUPPORTED_LANGS.includes(fallback) ? fallback : "en";
+  const arabic = (String(text).match(ARABIC_LETTER) || []).length;
+  return arabic / letters >= 0.3 ? "ar" : "en";
+}
+
+/**
+ * normalizeArabic
+ * Folds spelling variants that students type interchangeably.
+ */
+export function normalizeArabic(text = "") {
+  return String(text)
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, "") // tashkeel + tatweel
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/ؤ/g, "و")
+    .replace(/ئ/g, "ي");
+}
+
+/**
+ * stripArabicPrefix
+ * Light stemming: drops the definite article and its common prefixed forms.
+ */
+export function stripArabicPrefix(token) {
+  const m = token.match(/^(?:وال|بال|كال|فال|لل|ال)(.{2,})$/u);
+  return m ? m[1] : token;
+}
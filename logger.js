@@ -0,0 +1,24 @@
+// logger.js — OmanX structured logging (winston)
+// - LOG_LEVEL=silent turns logging off (tests)
+
+import winston from "winston";
+
+export function createLogger({ logLevel = "info", isProd = false } = {}) {
+  return winston.createLogger({
+    level: logLevel === "silent" ? "error" : logLevel,
+    silent: logLevel === "silent",
+    format: winston.format.combine(
+      winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+      winston.format.errors({ stack: true }),
+      winston.format.json()
+    ),
+    defaultMeta: { service: "omanx" },
+    transports: [
+      new winston.transports.Console({
+        format: isProd
+          ? winston.format.json()
+          : winston.format.combine(winston.format.colorize(), winston.format.simple()),
+      }),
+    ],
+  });
+}
@@ -0,0 +1,401 @@
+// managers.js — OmanX hot-reloaded knowledge, community knowledge, classifier, flows + campus profile state
+// Goals:
+// - Each manager owns one JSON file: validate on load, keep the last good copy on a bad reload
+// - Reload is mtime-based so polling is cheap; rejected files are reported, not re-logged
+// - No I/O at construction: callers decide when to load (createApp's reload(), tests)
+
+import fs from "fs/promises";
+import crypto from "crypto";
+
+import { buildKnowledgeText } from "./prompts.js";
+import { KnowledgeIndex, extractKnowledgeItems } from "./retrieval.js";
+import { KnowledgeValidationError, validateKnowledge, isItemInEffect } from "./knowledge-schema.js";
+import { buildCitationIndex, verifyCitations } from "./citations.js";
+import {
+  ClassifierConfigError,
+  classify,
+  classifyConversation,
+  compileClassifier,
+  compileRule,
+  validateClassifierConfig,
+} from "./classifier.js";
+import { FlowsValidationError, toApiFlows, validateFlows } from "./flows-schema.js";
+import { CampusesValidationError, campusKnowledgeItems, toApiCampuses, validateCampuses } from "./campuses-schema.js";
+
+// -----------------------------
+// Knowledge base manager (hot reload + safe fallback)
+// - Every load is validated against the v2 schema (knowledge-schema.js)
+// - An invalid file is rejected and the last good version keeps serving
+// - Also loads community.json (Community Mode's advisory source): { category: "Advisory", file }
+// -----------------------------
+export class KnowledgeManager {
+  constructor(filePath, { logger, topN = 4, minScore = 0, category = null, file = "knowledge.json" } = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.topN = topN;
+    this.minScore = minScore; // BM25 floor: weaker matches are not retrieved
+    this.category = category; // when set, the only category the file may hold
+    this.file = file; // name used in validation errors and logs
+    this.lastMtimeMs = 0;
+    this.knowledgeJson = null;
+    this.knowledgeText = "";
+    this.contentHash = null; // sha256 of the loaded file, recorded in the audit trail
+    this.items = [];
+    this.index = new KnowledgeIndex([]);
+    this.citationIndex = buildCitationIndex([]);
+    this.warnings = [];
+    this.rejected = null; // { mtimeMs, at, errors } for the most recent invalid file
+  }
+
+  reject(st, errors) {
+    this.rejected = { mtimeMs: st.mtimeMs, at: new Date().toISOString(), errors };
+    throw new KnowledgeValidationError(errors, this.file);
+  }
+
+  async load(force = false) {
+    const st = await fs.stat(this.filePath);
+    if (!force && st.mtimeMs <= this.lastMtimeMs && this.knowledgeJson) return false;
+    // Same invalid file as last time: don't re-validate (and re-log) on every poll
+    if (!force && this.rejected && st.mtimeMs === this.rejected.mtimeMs) return false;
+
+    const raw = await fs.readFile(this.filePath, "utf8");
+
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch (e) {
+      this.reject(st, [{ path: "$", message: `invalid JSON: ${e.message}` }]);
+    }
+
+    const result = validateKnowledge(json, { category: this.category });
+    if (!result.ok) this.reject(st, result.errors);
+
+    const items = extractKnowledgeItems(json);
+
+    this.knowledgeJson = json;
+    this.contentHash = crypto.createHash("sha256").update(raw).digest("hex");
+    this.knowledgeText = buildKnowledgeText(json);
+    this.items = items;
+    this.index = new KnowledgeIndex(items);
+    this.citationIndex = buildCitationIndex(items);
+    this.lastMtimeMs = st.mtimeMs;
+    this.warnings = result.warnings;
+    this.rejected = null;
+
+    this.logger?.info("Knowledge loaded", {
+      file: this.file,
+      version: json.version,
+      items: items.length,
+      mtimeMs: st.mtimeMs,
+      bytes: raw.length,
+    });
+    for (const w of result.warnings) this.logger?.warn("Knowledge warning", { file: this.file, ...w });
+
+    return true;
+  }
+
+  getText() {
+    return this.knowledgeText || "";
+  }
+
+  getJson() {
+    return this.knowledgeJson;
+  }
+
+  getHash() {
+    return this.contentHash;
+  }
+
+  getVersion() {
+    return this.knowledgeJson?.version || null;
+  }
+
+  validationStatus() {
+    return {
+      ok: !this.rejected,
+      warnings: this.warnings,
+      rejected: this.rejected ? { at: this.rejected.at, errors: this.rejected.errors } : null,
+    };
+  }
+
+  // Top-N items in effect for a message, rendered with the same formatter as the full knowledge text.
+  // `overlay` (CampusManager.overlay) searches the base items plus a campus profile's items instead.
+  retrieve(message, { topN = this.topN, lang = "en", overlay = null } = {}) {
+    const now = new Date();
+    const index = overlay?.index || this.index;
+    const hits = index.search(message, { topN, minScore: this.minScore, filter: (item) => isItemInEffect(item, now) });
+    const items = hits.map((h) => h.item);
+    return {
+      items,
+      ids: hits.map((h) => h.id),
+      scores: hits.map((h) => Number(h.score.toFixed(4))),
+      text: items.length ? buildKnowledgeText({ items }, { lang }) : "",
+    };
+  }
+
+  // Checks the answer's Source / Authority block against every approved authority.
+  verify(text, { overlay = null } = {}) {
+    return verifyCitations(text, overlay?.citationIndex || this.citationIndex);
+  }
+
+  authorityNames({ overlay = null } = {}) {
+    return [...new Set((overlay?.citationIndex || this.citationIndex).authorities.map((a) => a.name))];
+  }
+
+  stats() {
+    return { items: this.items.length, index: this.index.stats() };
+  }
+}
+
+
+// -----------------------------
+// Risk classifier manager (hot reload + safe fallback)
+// - Replaces the old inline keyword lists; rules live in classifier.json
+// - Same reload semantics as knowledge: invalid config keeps the last good rules
+// -----------------------------
+export class ClassifierManager {
+  constructor(filePath, { logger } = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.lastMtimeMs = 0;
+    this.compiled = null;
+    this.rejected = null;
+  }
+
+  reject(st, errors) {
+    this.rejected = { mtimeMs: st.mtimeMs, at: new Date().toISOString(), errors };
+    throw new ClassifierConfigError(errors);
+  }
+
+  async load(force = false) {
+    const st = await fs.stat(this.filePath);
+    if (!force && st.mtimeMs <= this.lastMtimeMs && this.compiled) return false;
+    if (!force && this.rejected && st.mtimeMs === this.rejected.mtimeMs) return false;
+
+    const raw = await fs.readFile(this.filePath, "utf8");
+
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch (e) {
+      this.reject(st, [{ path: "$", message: `invalid JSON: ${e.message}` }]);
+    }
+
+    const result = validateClassifierConfig(json);
+    if (!result.ok) this.reject(st, result.errors);
+
+    this.compiled = compileClassifier(json);
+    this.lastMtimeMs = st.mtimeMs;
+    this.rejected = null;
+
+    this.logger?.info("Classifier loaded", { version: json.version, rules: json.rules.length, mtimeMs: st.mtimeMs });
+    return true;
+  }
+
+  // No rules loaded: everything stays in the (governed) scholar lane
+  // `extraRules`: compiled rules added for this call only (campus local terms)
+  classify(message, { extraRules } = {}) {
+    return classify(message, this.compiled, { extraRules });
+  }
+
+  classifyConversation(message, priorUserMessages, { extraRules } = {}) {
+    return classifyConversation(message, priorUserMessages, this.compiled, { extraRules });
+  }
+
+  status() {
+    return {
+      loaded: !!this.compiled,
+      version: this.compiled?.version || null,
+      rules: this.compiled?.rules.length || 0,
+      rejected: this.rejected ? { at: this.rejected.at, errors: this.rejected.errors } : null,
+    };
+  }
+}
+
+// -----------------------------
+// Onboarding flows manager (hot reload + safe fallback)
+// - flows.json drives the checklists in the UI (served by /api/flows)
+// - Steps are cross-checked against the loaded knowledge items (unknown ids are warnings)
+// -----------------------------
+export class FlowsManager {
+  constructor(filePath, { logger, knowledge } = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.knowledge = knowledge;
+    this.lastMtimeMs = 0;
+    this.json = null;
+    this.warnings = [];
+    this.rejected = null;
+  }
+
+  reject(st, errors) {
+    this.rejected = { mtimeMs: st.mtimeMs, at: new Date().toISOString(), errors };
+    throw new FlowsValidationError(errors);
+  }
+
+  async load(force = false) {
+    const st = await fs.stat(this.filePath);
+    if (!force && st.mtimeMs <= this.lastMtimeMs && this.json) return false;
+    if (!force && this.rejected && st.mtimeMs === this.rejected.mtimeMs) return false;
+
+    const raw = await fs.readFile(this.filePath, "utf8");
+
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch (e) {
+      this.reject(st, [{ path: "$", message: `invalid JSON: ${e.message}` }]);
+    }
+
+    const knowledgeIds = this.knowledge?.items.length ? new Set(this.knowledge.items.map((i) => i.id)) : null;
+    const result = validateFlows(json, { knowledgeIds });
+    if (!result.ok) this.reject(st, result.errors);
+
+    this.json = json;
+    this.lastMtimeMs = st.mtimeMs;
+    this.warnings = result.warnings;
+    this.rejected = null;
+
+    this.logger?.info("Flows loaded", { version: json.version, flows: json.flows.length, mtimeMs: st.mtimeMs });
+    for (const w of result.warnings) this.logger?.warn("Flows warning", w);
+    return true;
+  }
+
+  getVersion() {
+    return this.json?.version || null;
+  }
+
+  // Served shape; step knowledge versions come from whatever knowledge is loaded now
+  list() {
+    return this.json ? toApiFlows(this.json, this.knowledge?.items || []) : [];
+  }
+
+  status() {
+    return {
+      loaded: !!this.json,
+      version: this.getVersion(),
+      flows: this.json?.flows.length || 0,
+      warnings: this.warnings,
+      rejected: this.rejected ? { at: this.rejected.at, errors: this.rejected.errors } : null,
+    };
+  }
+}
+
+// -----------------------------
+// Campus profile manager (hot reload + safe fallback)
+// - campuses.json: one profile per university, selectable in the UI and passed to /chat
+// - Each profile compiles to knowledge items (campuses-schema.js) + a local-lane routing rule
+// - Overlays (base knowledge + a profile's items) are indexed lazily and rebuilt when either changes
+// -----------------------------
+export class CampusManager {
+  constructor(filePath, { logger, knowledge } = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.knowledge = knowledge;
+    this.lastMtimeMs = 0;
+    this.json = null;
+    this.contentHash = null;
+    this.profiles = new Map();
+    this.warnings = [];
+    this.rejected = null;
+  }
+
+  reject(st, errors) {
+    this.rejected = { mtimeMs: st.mtimeMs, at: new Date().toISOString(), errors };
+    throw new CampusesValidationError(errors);
+  }
+
+  async load(force = false) {
+    const st = await fs.stat(this.filePath);
+    if (!force && st.mtimeMs <= this.lastMtimeMs && this.json) return false;
+    if (!force && this.rejected && st.mtimeMs === this.rejected.mtimeMs) return false;
+
+    const raw = await fs.readFile(this.filePath, "utf8");
+
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch (e) {
+      this.reject(st, [{ path: "$", message: `invalid JSON: ${e.message}` }]);
+    }
+
+    const knowledgeIds = this.knowledge?.items.length ? new Set(this.knowledge.items.map((i) => i.id)) : null;
+    const result = validateCampuses(json, { knowledgeIds });
+    if (!result.ok) this.reject(st, result.errors);
+
+    const contentHash = crypto.createHash("sha256").update(raw).digest("hex");
+    this.profiles = new Map(
+      json.campuses.map((c) => {
+        const { official, advisory } = campusKnowledgeItems(c);
+        return [
+          c.id,
+          {
+            id: c.id,
+            // Changes whenever the file does, so cache keys never mix answers across edits
+            key: `${c.id}:${contentHash.slice(0, 16)}`,
+            summary: { id: c.id, university: c.university, city: c.city },
+            label: `${c.university} (${c.city})`,
+            items: official,
+            localItem: advisory,
+            rule: compileRule({ id: `campus-${c.id}`, tier: "local", weight: 1, terms: c.local_terms }),
+            overlay: null,
+          },
+        ];
+      })
+    );
+    this.json = json;
+    this.contentHash = contentHash;
+    this.lastMtimeMs = st.mtimeMs;
+    this.warnings = result.warnings;
+    this.rejected = null;
+
+    this.logger?.info("Campus profiles loaded", { version: json.version, campuses: json.campuses.length, mtimeMs: st.mtimeMs });
+    for (const w of result.warnings) this.logger?.warn("Campus profile warning", w);
+    return true;
+  }
+
+  getVersion() {
+    return this.json?.version || null;
+  }
+
+  // Compiled profile for a campus id, or null
+  get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  list() {
+    return this.json ? toApiCampuses(this.json) : [];
+  }
+
+  // Local-lane rules for a request: the selected campus's terms, or every campus's when none is selected
+  localRules(id = null) {
+    if (id) return this.profiles.has(id) ? [this.profiles.get(id).rule] : [];
+    return [...this.profiles.values()].map((p) => p.rule);
+  }
+
+  // Every item id a profile can add (golden-set and triage checks)
+  itemIds() {
+    return [...this.profiles.values()].flatMap((p) => [...p.items, p.localItem].map((i) => i.id));
+  }
+
+  // { index, citationIndex } over the live knowledge plus the profile's Official items
+  overlay(profile) {
+    const knowledgeHash = this.knowledge?.getHash() ?? null;
+    if (profile.overlay?.knowledgeHash !== knowledgeHash) {
+      const ids = new Set(profile.items.map((i) => i.id));
+      const items = [...(this.knowledge?.items || []).filter((i) => !ids.has(i.id)), ...profile.items];
+      profile.overlay = { knowledgeHash, index: new KnowledgeIndex(items), citationIndex: buildCitationIndex(items) };
+    }
+    return profile.overlay;
+  }
+
+  status() {
+    return {
+      loaded: !!this.json,
+      version: this.getVersion(),
+      campuses: this.json?.campuses.length || 0,
+      warnings: this.warnings,
+      rejected: this.rejected ? { at: this.rejected.at, errors: this.rejected.errors } : null,
+    };
+  }
+}
@@ -0,0 +1,254 @@
+// metrics.js — OmanX operational metrics (Prometheus text exposition)
+// Goals:
+// - Counters, gauges and histograms with labels, rendered in the Prometheus text format (0.0.4)
+// - No client library: the handful of metric types OmanX needs fit in this file
+// - Collectors run at scrape time for values that already live elsewhere (cache stats, memory)
+// - Bounded label values only (lanes, modes, outcomes), never message text or request ids
+//
+// createOmanxMetrics() defines every metric the app records; create-app.js owns the instance
+// (one per app, so tests never share counts) and serves registry.render() at /metrics.
+
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; model calls range from cached-fast to slow multi-retry generations
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40];
+
+const NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const escapeHelp = (s) => String(s).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+const escapeLabel = (s) => String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function formatValue(n) {
+  if (n === Infinity) return "+Inf";
+  if (n === -Infinity) return "-Inf";
+  if (Number.isNaN(n)) return "NaN";
+  return String(n);
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// -----------------------------
+// Metric types
+// -----------------------------
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    if (!NAME_RE.test(name)) throw new Error(`Invalid metric name "${name}"`);
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  // Missing labels render as "" so every series of a metric has the same label set
+  seriesFor(labels = {}) {
+    const ordered = Object.fromEntries(this.labelNames.map((l) => [l, labels[l] ?? ""]));
+    const key = JSON.stringify(Object.values(ordered));
+    let s = this.series.get(key);
+    if (!s) {
+      s = this.createSeries(ordered);
+      this.series.set(key, s);
+    }
+    return s;
+  }
+
+  // Unlabelled metrics always have their one series, so they render as 0 before first use
+  header() {
+    if (!this.labelNames.length) this.seriesFor({});
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(opts) {
+    super(opts, "counter");
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  inc(labels = {}, n = 1) {
+    if (n < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.seriesFor(labels).value += n;
+  }
+
+  // For collectors mirroring a counter kept elsewhere (e.g. cache hits)
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+  }
+}
+
+export class Gauge extends Counter {
+  constructor(opts) {
+    super(opts);
+    this.type = "gauge";
+  }
+
+  inc(labels = {}, n = 1) {
+    this.seriesFor(labels).value += n;
+  }
+
+  dec(labels = {}, n = 1) {
+    this.seriesFor(labels).value -= n;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = LATENCY_BUCKETS, ...opts }) {
+    super(opts, "histogram");
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  createSeries(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const s = this.seriesFor(labels);
+    this.buckets.forEach((b, i) => {
+      if (value <= b) s.counts[i] += 1;
+    });
+    s.sum += value;
+    s.count += 1;
+  }
+
+  // Returns a function that observes the seconds elapsed since startTimer() was called
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extra = {}) => this.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const s of this.series.values()) {
+      this.buckets.forEach((b, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(b) })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+// -----------------------------
+// Registry
+// -----------------------------
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric "${metric.name}" is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(opts) {
+    return this.register(new Counter(opts));
+  }
+
+  gauge(opts) {
+    return this.register(new Gauge(opts));
+  }
+
+  histogram(opts) {
+    return this.register(new Histogram(opts));
+  }
+
+  // fn() runs before every render, to copy in values kept elsewhere
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  render() {
+    for (const fn of this.collectors) fn();
+    return `${[...this.metrics.values()].flatMap((m) => m.render()).join("\n")}\n`;
+  }
+}
+
+/**
+ * createOmanxMetrics
+ * The registry plus every metric the app records, by short name.
+ */
+export function createOmanxMetrics() {
+  const registry = new MetricsRegistry();
+
+  return {
+    registry,
+
+    chatRequests: registry.counter({
+      name: "omanx_chat_requests_total",
+      help: "Finished /chat requests by lane, mode and outcome (answered, escalated, budget_exhausted, stopped, error, invalid).",
+      labelNames: ["lane", "mode", "outcome", "stream"],
+    }),
+    chatDuration: registry.histogram({
+      name: "omanx_chat_request_duration_seconds",
+      help: "Time from receiving a /chat request to its final response or event.",
+      labelNames: ["lane", "outcome", "stream"],
+    }),
+    escalations: registry.counter({
+      name: "omanx_escalations_total",
+      help: "Answers replaced by the standard escalation response, by lane and reason (citations, format).",
+      labelNames: ["lane", "reason"],
+    }),
+
+    cacheRequests: registry.counter({
+      name: "omanx_cache_requests_total",
+      help: "Response cache lookups by lane and result (hit, miss).",
+      labelNames: ["lane", "result"],
+    }),
+    cacheEntries: registry.gauge({
+      name: "omanx_cache_entries",
+      help: "Entries currently held by the response cache.",
+      labelNames: ["store"],
+    }),
+
+    modelLatency: registry.histogram({
+      name: "omanx_model_latency_seconds",
+      help: "Model provider call duration (generate: whole call; stream: until the last delta).",
+      labelNames: ["provider", "model", "call", "result"],
+    }),
+    modelTokens: registry.counter({
+      name: "omanx_model_tokens_total",
+      help: "Model tokens by type (input, output) and source (reported by the provider, or estimated).",
+      labelNames: ["provider", "model", "type", "source"],
+    }),
+
+    sseActive: registry.gauge({
+      name: "omanx_sse_streams_active",
+      help: "SSE answer streams currently open.",
+    }),
+    rateLimited: registry.counter({
+      name: "omanx_rate_limit_rejections_total",
+      help: "Requests rejected with 429 by a rate limiter (api, admin).",
+      labelNames: ["limiter"],
+    }),
+    reloads: registry.counter({
+      name: "omanx_reloads_total",
+      help: "Loads of knowledge, community, classifier, flows and campuses files that changed what is served (success) or failed (failure).",
+      labelNames: ["resource", "result"],
+    }),
+
+    uptime: registry.gauge({
+      name: "omanx_process_uptime_seconds",
+      help: "Seconds since the server process started.",
+    }),
+    memory: registry.gauge({
+      name: "omanx_process_memory_bytes",
+      help: "Process memory by type (rss, heap_used, heap_total, external).",
+      labelNames: ["type"],
+    }),
+  };
+}
@@ -11,6 +11,8 @@ STRICT MODE (Official Lane):
   - Do NOT provide legal/medical advice.
   - Escalate to official authorities.
 - If confidence is below threshold, do NOT answer. Escalate.
+- RISK TIER (set by the router): "emergency" means the first step must be to call 911 / local emergency services; "governed" means the HIGH-STAKES rules above apply in full.
+- CAMPUS (when given): the student's university. Name that university's offices from KNOWLEDGE when directing them to their DSO or insurer.
 
 OUTPUT FORMAT (always use these blocks):
 What you should do:
@@ -26,6 +28,12 @@ STYLE:
 - Formal, neutral, ministry-ready tone.
 - No marketing language.
 - No invented links or OmanX pages.
+
+LANGUAGE:
+- Reply in the LANGUAGE given below: "en" = English, "ar" = Modern Standard Arabic.
+- In Arabic replies use these block headings: "ماذا يجب أن تفعل:", "لماذا هذا مهم:", "المصدر / الجهة:", "متى يجب التصعيد:".
+- Keep authority names in the Source / Authority block exactly as written in KNOWLEDGE, even in Arabic replies.
+- Arabic escalation wording: "يرجى التواصل مع مكتب الطلاب الدوليين/المسؤول المعين (DSO) في جامعتك ووزارة التعليم العالي والبحث العلمي والابتكار قبل اتخاذ أي إجراء."
 `.trim();
 
 export const SYSTEM_POLICY_LOCAL = `
@@ -35,6 +43,8 @@ COMMUNITY MODE RULES:
 - Provide helpful, non-authoritative guidance for low-risk topics only.
 - If the user asks HIGH-STAKES topics (immigration/legal/medical/emergency), do NOT answer. Escalate.
 - If you are uncertain, escalate. Do not guess.
+- COMMUNITY KNOWLEDGE is what fellow scholars shared (Advisory, not official). Base suggestions on it; never present it as official guidance or as a requirement.
+- CAMPUS (when given) is the student's university; its community tips describe their city, so prefer them over general suggestions.
 
 OUTPUT FORMAT (always use these blocks):
 What you should do:
@@ -49,14 +59,21 @@ When to escalate:
 STYLE:
 - Neutral and cautious.
 - No invented links.
+
+LANGUAGE:
+- Reply in the LANGUAGE given below: "en" = English, "ar" = Modern Standard Arabic.
+- In Arabic replies use these block headings: "ماذا يجب أن تفعل:", "لماذا هذا مهم:", "المصدر / الجهة:", "متى يجب التصعيد:".
+- Arabic escalation wording: "هذا الموضوع يتطلب جهة رسمية؛ يرجى التواصل مع مكتب الطلاب الدوليين في جامعتك أو خدمات الطوارئ (911) عند الحاجة."
 `.trim();
 
 /**
  * buildKnowledgeText
  * Turns knowledge.json into a readable block the model can use.
  * Keep it simple, stable, and audit-friendly.
+ * With { lang: "ar" }, Arabic variants (title_ar, summary_ar, bullets_ar) are rendered
+ * under each item so Arabic answers quote approved wording.
  */
-export function buildKnowledgeText(knowledgeJson) {
+export function buildKnowledgeText(knowledgeJson, { lang = "en" } = {}) {
   if (!knowledgeJson || typeof knowledgeJson !== "object") return "";
 
   const lines = [];
@@ -65,12 +82,23 @@ export function buildKnowledgeText(knowledgeJson) {
     for (const item of knowledgeJson.items) {
       if (!item) continue;
       const title = item.title || item.name || "Item";
-      lines.push(`## ${title}`);
+      lines.push(item.category ? `## ${title} — ${item.category}` : `## ${title}`);
+      if (item.id) lines.push(`ID: ${item.id}${item.version ? ` (v${item.version})` : ""}`);
 
       if (item.summary) lines.push(String(item.summary));
       if (Array.isArray(item.bullets) && item.bullets.length) {
         for (const b of item.bullets) lines.push(`- ${b}`);
       }
+      if (lang === "ar" && (item.title_ar || item.summary_ar || item.bullets_ar?.length)) {
+        lines.push(`Arabic:`);
+        if (item.title_ar) lines.push(item.title_ar);
+        if (item.summary_ar) lines.push(item.summary_ar);
+        for (const b of item.bullets_ar || []) lines.push(`- ${b}`);
+      }
+      if (Array.isArray(item.authorities) && item.authorities.length) {
+        lines.push(`Authorities:`);
+        for (const a of item.authorities) lines.push(a.url ? `- ${a.name} (${a.url})` : `- ${a.name}`);
+      }
       if (Array.isArray(item.links) && item.links.length) {
         lines.push(`References:`);
         for (const l of item.links) lines.push(`- ${l}`);
@@ -111,3 +139,130 @@ export function buildKnowledgeText(knowledgeJson) {
 
   return lines.join("\n").trim();
 }
+
+/**
+ * ESCALATION_RESPONSE
+ * Standard reply used when an answer cannot be grounded in approved sources
+ * (e.g. citations fail verification). Same four blocks as the policies.
+ */
+export const ESCALATION_RESPONSE = `
+What you should do:
+- Contact your university international office/DSO and the Ministry of Higher Education, Research and Innovation before acting on this question.
+Why this matters:
+- OmanX could not verify this answer against approved sources, so it will not guess.
+Source / Authority:
+- Official — University Designated School Official (DSO)
+- Official — Ministry of Higher Education, Research and Innovation (MoHERI)
+When to escalate:
+- Now. For emergencies, call 911 or your local emergency services.
+`.trim();
+
+export const ESCALATION_RESPONSE_AR = `
+ماذا يجب أن تفعل:
+- تواصل مع مكتب الطلاب الدوليين/المسؤول المعين (DSO) في جامعتك ووزارة التعليم العالي والبحث العلمي والابتكار قبل اتخاذ أي إجراء بشأن هذا السؤال.
+لماذا هذا مهم:
+- لم يتمكن OmanX من التحقق من هذه الإجابة من المصادر المعتمدة، لذلك لن يخمّن.
+المصدر / الجهة:
+- رسمي — University Designated School Official (DSO)
+- رسمي — Ministry of Higher Education, Research and Innovation (MoHERI)
+متى يجب التصعيد:
+- الآن. في حالات الطوارئ، اتصل بالرقم 911 أو بخدمات الطوارئ المحلية.
+`.trim();
+
+export const escalationResponse = (lang = "en") => (lang === "ar" ? ESCALATION_RESPONSE_AR : ESCALATION_RESPONSE);
+
+/**
+ * BUDGET_RESPONSE
+ * Reply used instead of a model answer once a daily token budget is used up.
+ * Same four blocks, so it renders like any other answer.
+ */
+export const BUDGET_RESPONSE = `
+What you should do:
+- Try again tomorrow. If your question is about your visa status, scholarship or safety, contact your university international office/DSO or the Ministry of Higher Education, Research and Innovation now instead of waiting.
+Why this matters:
+- OmanX has reached its daily usage limit, so it cannot answer new questions right now.
+Source / Authority:
+- Official — University Designated School Official (DSO)
+- Official — Ministry of Higher Education, Research and Innovation (MoHERI)
+When to escalate:
+- Now, if the matter is urgent. For emergencies, call 911 or your local emergency services.
+`.trim();
+
+export const BUDGET_RESPONSE_AR = `
+ماذا يجب أن تفعل:
+- حاول مرة أخرى غدًا. إذا كان سؤالك يتعلق بوضع التأشيرة أو البعثة أو السلامة، فتواصل الآن مع مكتب الطلاب الدوليين/المسؤول المعين (DSO) في جامعتك أو وزارة التعليم العالي والبحث العلمي والابتكار بدلًا من الانتظار.
+لماذا هذا مهم:
+- بلغ OmanX حد الاستخدام اليومي، لذلك لا يمكنه الإجابة عن أسئلة جديدة الآن.
+المصدر / الجهة:
+- رسمي — University Designated School Official (DSO)
+- رسمي — Ministry of Higher Education, Research and Innovation (MoHERI)
+متى يجب التصعيد:
+- الآن، إذا كان الأمر عاجلًا. في حالات الطوارئ، اتصل بالرقم 911 أو بخدمات الطوارئ المحلية.
+`.trim();
+
+export const budgetResponse = (lang = "en") => (lang === "ar" ? BUDGET_RESPONSE_AR : BUDGET_RESPONSE);
+
+/**
+ * POLICY_NOTICES
+ * Shown with an answer when the effective policy needs saying: Community answers are not
+ * authoritative, and a governed topic asked in Community Mode was answered as Official.
+ */
+export const POLICY_NOTICES = {
+  en: {
+    community: "Community answer: shared by fellow scholars, not official guidance. Verify it before relying on it.",
+    forcedOfficial: "This topic is governed by official rules, so OmanX answered from approved official sources instead of Community Mode.",
+  },
+  ar: {
+    community: "إجابة مجتمعية: يشاركها زملاؤك الدارسون، وليست إرشادات رسمية. تحقق منها قبل الاعتماد عليها.",
+    forcedOfficial: "يخضع هذا الموضوع لقواعد رسمية، لذلك أجاب OmanX من المصادر الرسمية المعتمدة بدلًا من وضع المجتمع.",
+  },
+};
+
+// `policy` is resolvePolicy()'s result; null when the requested Official policy was applied
+export function policyNotice(policy, lang = "en") {
+  const notices = POLICY_NOTICES[lang] || POLICY_NOTICES.en;
+  if (!policy.authoritative) return notices.community;
+  return policy.requestedMode === "community" ? notices.forcedOfficial : null;
+}
+
+/**
+ * buildCitationRetryNote
+ * Appended to the system prompt when a draft's citations failed verification.
+ */
+export function buildCitationRetryNote(authorityNames = []) {
+  return [
+    "CITATION CHECK FAILED on a previous draft.",
+    "In the Source / Authority block, cite ONLY these approved authorities (exact names), and include no other links:",
+    ...authorityNames.map((n) => `- ${n}`),
+  ].join("\n");
+}
+
+/**
+ * SECTION_DEFAULTS
+ * Per-language, per-lane fallbacks used to repair replies that omit a non-action block.
+ * The scholar lane never defaults Source / Authority: an uncited answer is escalated instead.
+ */
+export const SECTION_DEFAULTS = {
+  en: {
+    scholar: {
+      whyThisMatters: ["This affects your status or scholarship obligations; follow official guidance."],
+      whenToEscalate: ["If anything is unclear, contact your university international office/DSO or the Ministry."],
+    },
+    local: {
+      whyThisMatters: ["Community suggestions help with day-to-day life; they are not official guidance."],
+      sourceAuthority: ["Community/Advisory — not authoritative. Verify details locally."],
+      whenToEscalate: ["For immigration, legal, medical or emergency matters, contact the relevant official office."],
+    },
+  },
+  ar: {
+    scholar: {
+      whyThisMatters: ["يؤثر هذا على وضعك النظامي أو التزامات بعثتك؛ اتبع الإرشادات الرسمية."],
+      whenToEscalate: ["إذا كان أي أمر غير واضح، تواصل مع مكتب الطلاب الدوليين/المسؤول المعين (DSO) أو الوزارة."],
+    },
+    local: {
+      whyThisMatters: ["تساعد اقتراحات المجتمع في الحياة اليومية، لكنها ليست إرشادات رسمية."],
+      sourceAuthority: ["مجتمعي/استشاري — غير رسمي. تحقق من التفاصيل محليًا."],
+      whenToEscalate: ["في مسائل الهجرة أو المسائل القانونية أو الطبية أو الطارئة، تواصل مع الجهة الرسمية المختصة."],
+    },
+  },
+};
@@ -0,0 +1,174 @@
+// providers.js — OmanX model providers
+// Goals:
+// - One small interface in front of the model so server.js never talks to a vendor SDK directly
+// - "openai": the Responses API (generate + SSE streaming)
+// - "local": deterministic, offline, extractive answers built from the retrieved knowledge items
+//   in the mandated four-block format (pilot labs without network access, tests)
+//
+// Provider shape:
+// {
+//   name: "openai" | "local",
+//   model: string,
+//   configured: boolean,                          // has what it needs to answer
+//   generate(request) -> Promise<{ text, usage }>,
+//   stream(request, { signal, onUsage }) -> AsyncIterable<string>   // text deltas; abort via signal;
+//                                                 // onUsage(usage) once the model reports usage
+// }
+//
+// request: { system, history: [{ role, content }], message, lane, tier, lang, items }
+// (`items` are the retrieved knowledge items; only the local provider reads them)
+
+import OpenAI from "openai";
+
+import { escalationResponse, SECTION_DEFAULTS } from "./prompts.js";
+import { renderSections } from "./sections.js";
+
+export const PROVIDER_NAMES = ["openai", "local"];
+
+export class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProviderConfigError";
+  }
+}
+
+// -----------------------------
+// OpenAI (Responses API)
+// -----------------------------
+function toResponsesInput({ system, history = [], message }) {
+  return [
+    { role: "system", content: [{ type: "input_text", text: system }] },
+    ...history.map((t) =>
+      t.role === "assistant"
+        ? { role: "assistant", content: [{ type: "output_text", text: t.content }] }
+        : { role: "user", content: [{ type: "input_text", text: t.content }] }
+    ),
+    { role: "user", content: [{ type: "input_text", text: message }] },
+  ];
+}
+
+export function createOpenAIProvider({ apiKey, model = "gpt-4.1-mini", client } = {}) {
+  if (!client && !apiKey) throw new ProviderConfigError("The openai provider requires OPENAI_API_KEY.");
+  const sdk = client || new OpenAI({ apiKey, timeout: 60_000, maxRetries: 2 });
+
+  return {
+    name: "openai",
+    model,
+    configured: true,
+
+    async generate(request) {
+      const response = await sdk.responses.create({ model, input: toResponsesInput(request) });
+      return { text: response.output_text || "", usage: response.usage ?? null };
+    },
+
+    async *stream(request, { signal, onUsage } = {}) {
+      const s = sdk.responses.stream({ model, input: toResponsesInput(request) }, { signal });
+      for await (const event of s) {
+        if (event.type === "response.output_text.delta" && event.delta) yield event.delta;
+        if (event.type === "response.completed") onUsage?.(event.response?.usage ?? null);
+      }
+    },
+  };
+}
+
+// -----------------------------
+// Local (offline, extractive)
+// -----------------------------
+const LOCAL_TEXT = {
+  en: {
+    emergency: "Call 911 or your local emergency services now.",
+    localLane: "OmanX is running offline, so community suggestions are not available. Ask your university international office or fellow scholars on campus.",
+    category: { Official: "Official", Advisory: "Advisory" },
+  },
+  ar: {
+    emergency: "اتصل الآن بالرقم 911 أو بخدمات الطوارئ المحلية.",
+    localLane: "يعمل OmanX دون اتصال، لذلك اقتراحات المجتمع غير متاحة. اسأل مكتب الطلاب الدوليين في جامعتك أو زملاءك المبتعثين في الحرم الجامعي.",
+    category: { Official: "رسمي", Advisory: "استشاري" },
+  },
+};
+
+const MAX_ACTIONS = 6;
+
+function localized(item, field, lang) {
+  return (lang === "ar" && item[`${field}_ar`]) || item[field];
+}
+
+/**
+ * buildExtractiveAnswer
+ * Four blocks taken verbatim from the retrieved items: their bullets are the actions, their
+ * summaries the rationale, their authorities the sources. Nothing is paraphrased, so the
+ * answer always passes citation verification. No items -> the standard escalation response.
+ * Local lane items (community.json, campus tips) only supply actions; sources stay Community/Advisory.
+ */
+export function buildExtractiveAnswer({ lane = "scholar", tier = "scholar", lang = "en", items = [] } = {}) {
+  const copy = LOCAL_TEXT[lang] || LOCAL_TEXT.en;
+  const defaults = SECTION_DEFAULTS[lang]?.[lane] || SECTION_DEFAULTS.en[lane];
+  const urgent = tier === "emergency" ? [copy.emergency] : [];
+
+  // Local lane: community items and campus tips when any matched, otherwise a pointer to people who know
+  if (lane === "local") {
+    const tips = items.flatMap((i) => localized(i, "bullets", lang));
+    return renderSections(
+      {
+        whatToDo: [...urgent, ...(tips.length ? tips : [copy.localLane])].slice(0, MAX_ACTIONS),
+        whyThisMatters: defaults.whyThisMatters,
+        sourceAuthority: defaults.sourceAuthority,
+        whenToEscalate: defaults.whenToEscalate,
+      },
+      lang
+    );
+  }
+
+  if (!items.length) return escalationResponse(lang);
+
+  const sources = [];
+  for (const item of items) {
+    for (const a of item.authorities || []) {
+      const line = `${copy.category[item.category] || item.category} — ${a.name}`;
+      if (!sources.includes(line)) sources.push(line);
+    }
+  }
+
+  return renderSections(
+    {
+      whatToDo: [...urgent, ...items.flatMap((i) => localized(i, "bullets", lang))].slice(0, MAX_ACTIONS),
+      whyThisMatters: items.map((i) => localized(i, "summary", lang)),
+      sourceAuthority: sources,
+      whenToEscalate: defaults.whenToEscalate,
+    },
+    lang
+  );
+}
+
+export function createLocalProvider({ chunkDelayMs = 0 } = {}) {
+  return {
+    name: "local",
+    model: "extractive-v1",
+    configured: true,
+
+    async generate(request) {
+      return { text: buildExtractiveAnswer(request), usage: null };
+    },
+
+    // Word-sized chunks so the streaming UI behaves as it does with a real model.
+    async *stream(request, { signal } = {}) {
+      const chunks = buildExtractiveAnswer(request).match(/\S+\s*|\s+/g) || [];
+      for (const chunk of chunks) {
+        if (signal?.aborted) return;
+        if (chunkDelayMs) await new Promise((r) => setTimeout(r, chunkDelayMs));
+        yield chunk;
+      }
+    },
+  };
+}
+
+/**
+ * createProvider
+ * Picks the provider from configuration. Throws ProviderConfigError for an unknown
+ * name or a provider missing what it needs (e.g. an OpenAI key).
+ */
+export function createProvider({ name = "openai", openaiApiKey, openaiModel, localChunkDelayMs } = {}) {
+  if (name === "openai") return createOpenAIProvider({ apiKey: openaiApiKey, model: openaiModel });
+  if (name === "local") return createLocalProvider({ chunkDelayMs: localChunkDelayMs });
+  throw new ProviderConfigError(`Unknown MODEL_PROVIDER "${name}" (expected one of ${PROVIDER_NAMES.join(", ")}).`);
+}
@@ -0,0 +1,73 @@
+// recent-errors.js — OmanX in-process error counts (for the admin console)
+// Goals:
+// - Count logged errors over the last 15 minutes / hour / day, grouped by log message
+// - Bounded memory: entries older than a day are dropped, and at most `maxEntries` are kept
+// - Never stores log metadata (which may carry request details), only the message + time
+
+const WINDOWS = { last15m: 15 * 60 * 1000, lastHour: 60 * 60 * 1000, last24h: 24 * 60 * 60 * 1000 };
+
+export class RecentErrors {
+  constructor({ maxEntries = 5000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = []; // { at: ms, message }, oldest first
+    this.dropped = 0;
+  }
+
+  prune(now) {
+    const cutoff = now - WINDOWS.last24h;
+    let i = 0;
+    while (i < this.entries.length && this.entries[i].at < cutoff) i += 1;
+    if (i) this.entries.splice(0, i);
+  }
+
+  record(message, now = Date.now()) {
+    this.entries.push({ at: now, message: String(message || "Error") });
+    this.prune(now);
+    if (this.entries.length > this.maxEntries) {
+      this.dropped += this.entries.length - this.maxEntries;
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+  }
+
+  /**
+   * summary
+   * { last15m, lastHour, last24h, dropped, byMessage: [{ message, count, lastAt }] } —
+   * byMessage covers the last 24h, most frequent first (top `top`).
+   */
+  summary({ now = Date.now(), top = 10 } = {}) {
+    this.prune(now);
+    const counts = Object.fromEntries(
+      Object.entries(WINDOWS).map(([name, ms]) => [name, this.entries.filter((e) => e.at >= now - ms).length])
+    );
+
+    const byMessage = new Map();
+    for (const e of this.entries) {
+      const m = byMessage.get(e.message) || { message: e.message, count: 0, lastAt: null };
+      m.count += 1;
+      m.lastAt = new Date(e.at).toISOString();
+      byMessage.set(e.message, m);
+    }
+
+    return {
+      ...counts,
+      dropped: this.dropped,
+      byMessage: [...byMessage.values()].sort((a, b) => b.count - a.count || b.lastAt.localeCompare(a.lastAt)).slice(0, top),
+    };
+  }
+}
+
+/**
+ * withErrorCounts
+ * A logger that forwards every call to `logger` and also records error messages in `recentErrors`.
+ */
+export function withErrorCounts(logger, recentErrors) {
+  return {
+    debug: (...args) => logger.debug(...args),
+    info: (...args) => logger.info(...args),
+    warn: (...args) => logger.warn(...args),
+    error: (message, ...rest) => {
+      recentErrors.record(message);
+      return logger.error(message, ...rest);
+    },
+  };
+}
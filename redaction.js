@@ -0,0 +1,118 @@
+// redaction.js — OmanX personal-identifier redaction
+// Goals:
+// - Strip identifiers students paste into chat before the text reaches the model, cache, logs or audit
+// - Typed placeholders ("[PASSPORT_NUMBER]") so the model still understands what was said
+// - Deterministic regex rules, most specific first (a SEVIS ID must not be eaten by the phone rule)
+//
+// Detection is deliberately conservative on free-form numbers: passport numbers are only
+// matched next to a "passport" keyword or in the common letter+digits shape.
+
+export const REDACTION_TYPES = ["EMAIL", "SEVIS_ID", "I94_NUMBER", "PASSPORT_NUMBER", "PHONE", "ADDRESS"];
+
+// Street addresses need real street structure: a house number, one to four capitalised name words
+// (or ordinals like "40th") and a street suffix, all on one line with no sentence break in between.
+// "30 days in a new place" or "15 days. What's the right place" are not addresses.
+const initialEitherCase = (word) => `[${word[0].toUpperCase()}${word[0]}]${word.slice(1)}`;
+const STREET_SUFFIX = `(?:${[
+  "street",
+  "st",
+  "avenue",
+  "ave",
+  "road",
+  "rd",
+  "boulevard",
+  "blvd",
+  "lane",
+  "ln",
+  "drive",
+  "dr",
+  "court",
+  "ct",
+  "way",
+  "place",
+  "pl",
+  "terrace",
+  "ter",
+  "parkway",
+  "pkwy",
+  "circle",
+  "cir",
+  "highway",
+  "hwy",
+]
+  .map(initialEitherCase)
+  .join("|")})`;
+const STREET_NAME_WORD = "(?:[A-Z][A-Za-z'-]*|\\d+(?:st|nd|rd|th))";
+const UNIT = `(?:,?[ \\t]*(?:${["apt", "apartment", "unit", "suite"].map(initialEitherCase).join("|")}|#)\\.?[ \\t]*[A-Za-z0-9-]+)?`;
+
+// [type, regex, group to replace (0 = whole match)]
+const RULES = [
+  ["EMAIL", /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, 0],
+  ["SEVIS_ID", /\bN\d{10}\b/gi, 0],
+  ["I94_NUMBER", /\b(?:I-?94\s*(?:no\.?|number|#)?\s*(?:is|:)?\s*)([0-9]{9}[A-Z][0-9]|[0-9]{11})\b/gi, 1],
+  ["I94_NUMBER", /\b[0-9]{9}[A-Z][0-9]\b/g, 0],
+  ["PASSPORT_NUMBER", /(?:passport|جواز(?:\s+السفر)?)\s*(?:no\.?|number|#|رقم)?\s*(?:is|:)?\s*((?=[A-Z]*[0-9])[A-Z0-9]{6,9})\b/giu, 1],
+  ["PASSPORT_NUMBER", /\b[A-Z]{1,2}[0-9]{6,8}\b/g, 0],
+  ["PHONE", /(?:\+968[\s-]?\d{4}[\s-]?\d{4}|\b00968[\s-]?\d{4}[\s-]?\d{4})\b/g, 0],
+  ["PHONE", /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g, 0],
+  [
+    "ADDRESS",
+    new RegExp(`\\b\\d{1,6}(?:[ \\t]+${STREET_NAME_WORD}){1,4}[ \\t]+${STREET_SUFFIX}\\b\\.?${UNIT}`, "g"),
+    0,
+  ],
+];
+
+const placeholder = (type) => `[${type}]`;
+
+/**
+ * redactPII
+ * Returns { text, redacted, counts } where counts maps each found type to its number of hits.
+ */
+export function redactPII(input = "") {
+  let text = String(input);
+  const counts = {};
+
+  for (const [type, re, group] of RULES) {
+    re.lastIndex = 0;
+    text = text.replace(re, (match, ...rest) => {
+      counts[type] = (counts[type] || 0) + 1;
+      if (!group) return placeholder(type);
+      const value = rest[group - 1];
+      return match.slice(0, match.length - value.length) + placeholder(type);
+    });
+  }
+
+  return { text, redacted: Object.keys(counts).length > 0, counts };
+}
+
+const TYPE_LABELS = {
+  en: {
+    EMAIL: "email address",
+    SEVIS_ID: "SEVIS ID",
+    I94_NUMBER: "I-94 number",
+    PASSPORT_NUMBER: "passport number",
+    PHONE: "phone number",
+    ADDRESS: "street address",
+  },
+  ar: {
+    EMAIL: "البريد الإلكتروني",
+    SEVIS_ID: "رقم SEVIS",
+    I94_NUMBER: "رقم I-94",
+    PASSPORT_NUMBER: "رقم جواز السفر",
+    PHONE: "رقم الهاتف",
+    ADDRESS: "العنوان",
+  },
+};
+
+/**
+ * redactionNotice
+ * One sentence for the student listing what was removed, in the reply language.
+ */
+export function redactionNotice(types = [], lang = "en") {
+  if (!types.length) return null;
+  const labels = types.map((t) => (TYPE_LABELS[lang] || TYPE_LABELS.en)[t] || t);
+  if (lang === "ar") {
+    return `لحماية خصوصيتك، أزلنا ما يلي من رسالتك قبل معالجتها: ${labels.join("، ")}. لا تشارك المعرّفات الشخصية في المحادثة.`;
+  }
+  return `For your privacy, we removed the following from your message before processing it: ${labels.join(", ")}. Please don't share personal identifiers in chat.`;
+}
@@ -0,0 +1,197 @@
+// retrieval.js — OmanX local knowledge retrieval
+// Goals:
+// - Lexical BM25 ranking over knowledge items (no external service, no embeddings)
+// - Stable item IDs so every injected item can be reported back for audit
+// - Accept both knowledge.json shapes handled by buildKnowledgeText ({ items: [...] } or keyed object)
+// - Arabic queries match Arabic item fields (title_ar, summary_ar, bullets_ar)
+
+import { normalizeArabic, stripArabicPrefix } from "./language.js";
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "can",
+  "do",
+  "for",
+  "from",
+  "how",
+  "i",
+  "in",
+  "is",
+  "it",
+  "me",
+  "my",
+  "of",
+  "on",
+  "or",
+  "should",
+  "that",
+  "the",
+  "this",
+  "to",
+  "what",
+  "when",
+  "where",
+  "which",
+  "with",
+  "you",
+  "your",
+  // Arabic (normalized forms)
+  "في",
+  "من",
+  "علي",
+  "الي",
+  "عن",
+  "ما",
+  "ماذا",
+  "هل",
+  "كيف",
+  "متي",
+  "ان",
+  "او",
+  "هذا",
+  "هذه",
+  "انا",
+  "يجب",
+]);
+
+/**
+ * tokenize
+ * Lowercased, Unicode-aware word split with stopwords removed.
+ * Arabic tokens are normalized and lose the definite article.
+ */
+export function tokenize(text = "") {
+  return normalizeArabic(String(text).normalize("NFKC").toLowerCase())
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map(stripArabicPrefix);
+}
+
+function slugify(text = "") {
+  return (
+    String(text)
+      .normalize("NFKC")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "") || "item"
+  );
+}
+
+/**
+ * extractKnowledgeItems
+ * Flattens knowledge.json into a list of items, each with a unique `id`.
+ * Uses `item.id` when present, otherwise a slug of the title (or object key).
+ */
+export function extractKnowledgeItems(knowledgeJson) {
+  if (!knowledgeJson || typeof knowledgeJson !== "object") return [];
+
+  let raw = [];
+
+  if (Array.isArray(knowledgeJson.items)) {
+    raw = knowledgeJson.items
+      .filter(Boolean)
+      .map((item) => ({ ...item, id: item.id || slugify(item.title || item.name || "item") }));
+  } else {
+    raw = Object.entries(knowledgeJson).map(([key, value]) => {
+      if (value && typeof value === "object") return { ...value, id: value.id || slugify(key), title: value.title || key };
+      return { id: slugify(key), title: key, summary: String(value ?? "") };
+    });
+  }
+
+  const seen = new Map();
+  return raw.map((item) => {
+    const n = seen.get(item.id) || 0;
+    seen.set(item.id, n + 1);
+    return n ? { ...item, id: `${item.id}-${n + 1}` } : item;
+  });
+}
+
+function itemText(item) {
+  const title = item.title || item.name || "";
+  return [
+    title,
+    title, // titles weigh double
+    item.title_ar || "",
+    item.title_ar || "",
+    item.summary || "",
+    item.summary_ar || "",
+    ...(Array.isArray(item.bullets) ? item.bullets : []),
+    ...(Array.isArray(item.bullets_ar) ? item.bullets_ar : []),
+    ...(Array.isArray(item.links) ? item.links : []),
+    ...(Array.isArray(item.authorities) ? item.authorities.map((a) => a?.name || "") : []),
+    ...(Array.isArray(item.applicability) ? item.applicability : []),
+  ].join(" ");
+}
+
+// -----------------------------
+// BM25 index
+// -----------------------------
+export class KnowledgeIndex {
+  constructor(items = [], { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.items = items;
+    this.docs = items.map((item) => {
+      const tokens = tokenize(itemText(item));
+      const tf = new Map();
+      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+      return { item, tf, length: tokens.length };
+    });
+
+    this.df = new Map();
+    for (const doc of this.docs) {
+      for (const t of doc.tf.keys()) this.df.set(t, (this.df.get(t) || 0) + 1);
+    }
+
+    const total = this.docs.reduce((sum, d) => sum + d.length, 0);
+    this.avgLength = this.docs.length ? total / this.docs.length : 0;
+  }
+
+  idf(term) {
+    const n = this.docs.length;
+    const df = this.df.get(term) || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * search
+   * Returns up to `topN` items with a positive score (at least `minScore`), best first.
+   * `filter(item)` can exclude items (e.g. not yet in effect) before ranking.
+   */
+  search(query, { topN = 4, filter = null, minScore = 0 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length || !this.docs.length) return [];
+
+    const { k1, b } = this;
+    const scored = [];
+
+    for (const doc of this.docs) {
+      if (filter && !filter(doc.item)) continue;
+      let score = 0;
+      for (const term of terms) {
+        const f = doc.tf.get(term);
+        if (!f) continue;
+        const norm = 1 - b + b * (doc.length / (this.avgLength || 1));
+        score += this.idf(term) * ((f * (k1 + 1)) / (f + k1 * norm));
+      }
+      if (score > 0 && score >= minScore) scored.push({ id: doc.item.id, score, item: doc.item });
+    }
+
+    scored.sort((x, y) => y.score - x.score);
+    return scored.slice(0, Math.max(0, topN));
+  }
+
+  stats() {
+    return {
+      items: this.docs.length,
+      terms: this.df.size,
+      avgLength: Math.round(this.avgLength),
+    };
+  }
+}
@@ -0,0 +1,112 @@
+// sections.js — OmanX four-block answer format
+// Goals:
+// - Parse model output into the blocks both policies mandate
+// - Detect and repair replies that are missing blocks
+// - Render sections back to the canonical text form (so `text` and `sections` always agree)
+
+export const SECTION_HEADINGS = {
+  whatToDo: "What you should do",
+  whyThisMatters: "Why this matters",
+  sourceAuthority: "Source / Authority",
+  whenToEscalate: "When to escalate",
+};
+
+export const SECTION_HEADINGS_AR = {
+  whatToDo: "ماذا يجب أن تفعل",
+  whyThisMatters: "لماذا هذا مهم",
+  sourceAuthority: "المصدر / الجهة",
+  whenToEscalate: "متى يجب التصعيد",
+};
+
+export const SECTION_KEYS = Object.keys(SECTION_HEADINGS);
+
+// Tolerates markdown decoration ("## ", "**...**") and content on the heading line itself.
+// Arabic headings are the ones the policies prescribe for Arabic replies.
+const HEADING_RE =
+  /^\s*(?:#+\s*)?\**\s*(what you should do|why this matters|source\s*\/\s*authority|when to escalate|ماذا يجب [أا]ن تفعل|لماذا هذا مهم|المصدر\s*\/\s*الجهة|متى يجب التصعيد)\s*\**\s*[:：]?\s*\**\s*(.*)$/iu;
+
+function keyForHeading(h) {
+  const t = h.toLowerCase();
+  if (t.startsWith("what") || t.startsWith("ماذا")) return "whatToDo";
+  if (t.startsWith("why") || t.startsWith("لماذا")) return "whyThisMatters";
+  if (t.startsWith("source") || t.startsWith("المصدر")) return "sourceAuthority";
+  return "whenToEscalate";
+}
+
+const stripBullet = (line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim();
+
+/**
+ * parseSections
+ * Returns { whatToDo, whyThisMatters, sourceAuthority, whenToEscalate } with an array of
+ * lines for each block found, or null for blocks that are absent. Text before the first
+ * heading is returned as `preamble`.
+ */
+export function parseSections(text = "") {
+  const out = { preamble: [] };
+  for (const k of SECTION_KEYS) out[k] = null;
+
+  let current = "preamble";
+  for (const raw of String(text).split(/\r?\n/)) {
+    const m = raw.match(HEADING_RE);
+    if (m) {
+      current = keyForHeading(m[1]);
+      out[current] = out[current] || [];
+      const inline = stripBullet(m[2] || "");
+      if (inline) out[current].push(inline);
+      continue;
+    }
+    const line = stripBullet(raw);
+    if (line) out[current].push(line);
+  }
+
+  return out;
+}
+
+export function missingSections(sections) {
+  return SECTION_KEYS.filter((k) => !sections?.[k]?.length);
+}
+
+/**
+ * renderSections
+ * Canonical text form, identical in layout to the policies' OUTPUT FORMAT.
+ */
+export function renderSections(sections, lang = "en") {
+  const headings = lang === "ar" ? SECTION_HEADINGS_AR : SECTION_HEADINGS;
+  const lines = [];
+  for (const k of SECTION_KEYS) {
+    lines.push(`${headings[k]}:`);
+    for (const l of sections[k] || []) lines.push(`- ${l}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * repairSections
+ * Fills blocks that can be defaulted safely. "What you should do" can't be invented,
+ * so a reply missing it is reported as not repairable (a reply with no blocks at all
+ * keeps its text as the action list).
+ * Returns { ok, sections, repaired, missing }.
+ */
+export function repairSections(sections, defaults = {}) {
+  const fixed = { ...sections };
+  const repaired = [];
+
+  // Unstructured reply: treat the preamble as the action list rather than dropping it
+  if (fixed.preamble?.length && missingSections(fixed).length === SECTION_KEYS.length) {
+    fixed.whatToDo = fixed.preamble;
+    repaired.push("whatToDo");
+  }
+
+  for (const k of ["whyThisMatters", "sourceAuthority", "whenToEscalate"]) {
+    if (!fixed[k]?.length && defaults[k]?.length) {
+      fixed[k] = defaults[k];
+      repaired.push(k);
+    }
+  }
+
+  const stillMissing = missingSections(fixed);
+  const result = {};
+  for (const k of SECTION_KEYS) result[k] = fixed[k] || [];
+
+  return { ok: stillMissing.length === 0, sections: result, repaired, missing: stillMissing };
+}
@@ -0,0 +1,247 @@
+// test/admin.test.js — admin credentials + scopes, admin console, rate limiting, health/readiness
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { createApp } from "../create-app.js";
+import {
+  ADMIN_SCOPES,
+  AdminAuthConfigError,
+  generateAdminKey,
+  hashAdminKey,
+  parseAdminCredentials,
+} from "../admin-auth.js";
+import { RecentErrors } from "../recent-errors.js";
+import { TEST_ADMIN_CREDENTIALS, startApp, stubProvider } from "./helpers.js";
+
+// Records log calls so tests can check what admin actions leave behind
+function captureLogger() {
+  const entries = [];
+  const at = (level) => (message, meta = {}) => entries.push({ level, message, ...meta });
+  return { entries, debug: at("debug"), info: at("info"), warn: at("warn"), error: at("error") };
+}
+
+const OPS_KEY = "omx_ops-key";
+const CREDENTIALS = [
+  ...TEST_ADMIN_CREDENTIALS,
+  { name: "ops", hash: hashAdminKey(OPS_KEY), scopes: ["cache", "audit"] },
+];
+
+describe("parseAdminCredentials", () => {
+  test("accepts JSON and reports every problem with a path", () => {
+    assert.deepEqual(parseAdminCredentials(JSON.stringify(CREDENTIALS)).map((c) => c.name), ["test-admin", "ops"]);
+    assert.deepEqual(parseAdminCredentials(""), []);
+
+    assert.throws(
+      () =>
+        parseAdminCredentials([
+          { name: "Ops Team", hash: "plain-key", scopes: ["cache"] },
+          { name: "ops", hash: hashAdminKey("x"), scopes: ["root"] },
+          { name: "ops", hash: hashAdminKey("y"), scopes: ["audit"] },
+        ]),
+      (e) => {
+        assert.ok(e instanceof AdminAuthConfigError);
+        assert.deepEqual(e.errors.map((x) => x.path), ["$[0].name", "$[0].hash", "$[1].scopes", "$[2].name"]);
+        return true;
+      }
+    );
+    assert.throws(() => parseAdminCredentials("{oops"), AdminAuthConfigError);
+  });
+
+  test("generated keys hash to a valid credential", () => {
+    const key = generateAdminKey();
+    assert.match(key, /^omx_[A-Za-z0-9_-]{43}$/);
+    assert.equal(parseAdminCredentials([{ name: "new", hash: hashAdminKey(key), scopes: ADMIN_SCOPES }]).length, 1);
+  });
+});
+
+describe("admin auth", () => {
+  let ctx;
+  let logger;
+  before(async () => {
+    logger = captureLogger();
+    ctx = await startApp({ config: { adminCredentials: CREDENTIALS }, logger });
+  });
+  after(() => ctx.close());
+
+  test("missing or unknown key is rejected with 401, also outside production", async () => {
+    assert.equal((await ctx.post("/admin/cache/clear", {})).status, 401);
+    assert.equal((await ctx.admin("POST", "/admin/cache/clear", {}, "nope")).status, 401);
+  });
+
+  test("the key is only read from headers, never the body", async () => {
+    assert.equal((await ctx.post("/admin/cache/clear", { adminKey: OPS_KEY })).status, 401);
+    assert.equal((await ctx.post("/admin/cache/clear", {}, { "x-admin-key": OPS_KEY })).status, 200);
+    assert.equal((await ctx.admin("POST", "/admin/cache/clear", {}, OPS_KEY)).status, 200);
+  });
+
+  test("a key only opens the routes its scopes cover", async () => {
+    assert.equal((await ctx.admin("GET", "/admin/audit/verify", undefined, OPS_KEY)).status, 200);
+    const denied = await ctx.admin("POST", "/admin/knowledge/reload", {}, OPS_KEY);
+    assert.equal(denied.status, 403);
+    assert.equal((await denied.json()).error, "Forbidden");
+    assert.equal((await ctx.admin("POST", "/admin/classify", { message: "OPT application" }, OPS_KEY)).status, 403);
+    assert.equal((await ctx.admin("POST", "/admin/classify", { message: "OPT application" })).status, 200);
+  });
+
+  test("every admin action is logged with the credential name", async () => {
+    const res = await ctx.admin("POST", "/admin/cache/clear", {}, OPS_KEY);
+    const requestId = res.headers.get("x-request-id");
+    const action = logger.entries.find((e) => e.message === "Admin action" && e.requestId === requestId);
+    assert.deepEqual(
+      { credential: action.credential, scope: action.scope, method: action.method, path: action.path, status: action.status },
+      { credential: "ops", scope: "cache", method: "POST", path: "/admin/cache/clear", status: 200 }
+    );
+
+    const denied = logger.entries.filter((e) => e.message === "Admin request denied").map((e) => e.reason);
+    assert.ok(denied.includes("missing key") && denied.includes("unknown key") && denied.includes("missing scope"));
+    assert.ok(!JSON.stringify(logger.entries).includes(OPS_KEY));
+  });
+
+  test("no credentials configured locks admin endpoints", async () => {
+    const locked = await startApp({ config: { adminCredentials: "" } });
+    try {
+      assert.equal((await locked.admin("POST", "/admin/cache/clear", {})).status, 401);
+    } finally {
+      await locked.close();
+    }
+  });
+
+  test("admin routes have their own rate limit", async () => {
+    const limited = await startApp({ config: { adminRateLimitMax: 2 } });
+    try {
+      assert.equal((await limited.admin("POST", "/admin/cache/clear", {})).status, 200);
+      assert.equal((await limited.admin("POST", "/admin/cache/clear", {}, "guess")).status, 401);
+      assert.equal((await limited.admin("POST", "/admin/cache/clear", {})).status, 429);
+      assert.equal((await limited.chat({ message: "Where is the library?" })).status, 200);
+    } finally {
+      await limited.close();
+    }
+  });
+});
+
+describe("insecure dev mode", () => {
+  test("is an explicit opt-in that opens admin routes", async () => {
+    const ctx = await startApp({ config: { adminCredentials: "", adminInsecureDev: true } });
+    try {
+      const res = await ctx.post("/admin/classify", { message: "OPT application" });
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).tier, "governed");
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test("is refused in production", () => {
+    assert.throws(
+      () => createApp({ provider: stubProvider(), config: { env: "production", adminInsecureDev: true, logLevel: "silent" } }),
+      AdminAuthConfigError
+    );
+  });
+});
+
+describe("RecentErrors", () => {
+  test("counts errors per window and groups them by message", () => {
+    const now = Date.parse("2026-10-19T12:00:00Z");
+    const errors = new RecentErrors();
+    errors.record("Knowledge load failed", now - 25 * 60 * 60 * 1000); // outside the day
+    errors.record("Knowledge load failed", now - 2 * 60 * 60 * 1000);
+    errors.record("Chat failed", now - 30 * 60 * 1000);
+    errors.record("Chat failed", now - 60 * 1000);
+    errors.record("Chat failed", now);
+
+    const s = errors.summary({ now });
+    assert.deepEqual([s.last15m, s.lastHour, s.last24h], [2, 3, 4]);
+    assert.deepEqual(s.byMessage.map((m) => [m.message, m.count]), [["Chat failed", 3], ["Knowledge load failed", 1]]);
+    assert.equal(s.byMessage[0].lastAt, "2026-10-19T12:00:00.000Z");
+  });
+
+  test("keeps at most maxEntries", () => {
+    const errors = new RecentErrors({ maxEntries: 2 });
+    for (let i = 0; i < 5; i++) errors.record("Boom");
+    assert.equal(errors.summary().last24h, 2);
+    assert.equal(errors.summary().dropped, 3);
+  });
+});
+
+describe("admin console", () => {
+  let ctx;
+  before(async () => (ctx = await startApp({ config: { adminCredentials: CREDENTIALS } })));
+  after(() => ctx.close());
+
+  test("the page is served at /admin without a key", async () => {
+    const res = await fetch(`${ctx.url}/admin`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    assert.match(await res.text(), /<script src="\/admin-console\.js"><\/script>/);
+  });
+
+  test("/admin/status needs a key but no particular scope", async () => {
+    assert.equal((await fetch(`${ctx.url}/admin/status`)).status, 401);
+
+    const res = await ctx.admin("GET", "/admin/status", undefined, OPS_KEY);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.admin, { name: "ops", scopes: ["cache", "audit"] });
+    assert.equal(body.knowledge.loaded, true);
+    assert.equal(body.knowledge.validation.ok, true);
+    assert.equal(body.classifier.loaded, true);
+    assert.equal(body.cache.store, "memory");
+    assert.equal(typeof body.server.uptime_s, "number");
+    assert.deepEqual(Object.keys(body.errors), ["last15m", "lastHour", "last24h", "dropped", "byMessage"]);
+  });
+
+  test("errors logged by the app show up in the counts", async () => {
+    ctx.app.locals.omanx.logger.error("Knowledge load failed", { error: "ENOENT" });
+    const body = await (await ctx.admin("GET", "/admin/status")).json();
+    assert.equal(body.errors.last15m, 1);
+    assert.deepEqual(body.errors.byMessage.map((m) => m.message), ["Knowledge load failed"]);
+  });
+});
+
+describe("rate limiting", () => {
+  let ctx;
+  before(async () => (ctx = await startApp({ config: { rateLimitMax: 2 } })));
+  after(() => ctx.close());
+
+  test("/chat returns 429 once the window is used up", async () => {
+    assert.equal((await ctx.chat({ message: "Where is the library?" })).status, 200);
+    assert.equal((await ctx.chat({ message: "Where is the gym?" })).status, 200);
+    const limited = await ctx.chat({ message: "Where is the pool?" });
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /Too many requests/);
+    assert.equal(ctx.provider.calls.length, 2);
+  });
+
+  test("health checks are not rate limited", async () => {
+    assert.equal((await fetch(`${ctx.url}/health`)).status, 200);
+  });
+});
+
+describe("health and readiness", () => {
+  test("report the active provider and loaded knowledge", async () => {
+    const ctx = await startApp();
+    try {
+      const health = await (await fetch(`${ctx.url}/health`)).json();
+      assert.deepEqual(health.provider, { name: "stub", model: "stub-1", configured: true });
+      assert.equal(health.knowledge.loaded, true);
+      assert.equal(health.classifier.loaded, true);
+      assert.deepEqual(health.audit, { ok: true, records: 0 }); // public: no path or chain head
+
+      const ready = await fetch(`${ctx.url}/ready`);
+      assert.equal(ready.status, 200);
+      assert.equal((await ready.json()).provider, "stub");
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test("not ready when knowledge cannot be loaded", async () => {
+    const ctx = await startApp({ knowledgePath: "/nonexistent/knowledge.json" });
+    try {
+      assert.equal((await fetch(`${ctx.url}/ready`)).status, 503);
+    } finally {
+      await ctx.close();
+    }
+  });
+});
@@ -0,0 +1,197 @@
+// test/audit.test.js — hash-chained audit trail
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { AuditLog, GENESIS_HASH, verifyAuditRecords } from "../audit.js";
+import { startApp, stubProvider, apiError } from "./helpers.js";
+
+const tmpLog = async () => path.join(await fs.mkdtemp(path.join(os.tmpdir(), "omanx-audit-")), "audit.jsonl");
+
+describe("AuditLog", () => {
+  test("records chain from the genesis hash and survive a restart", async () => {
+    const file = await tmpLog();
+    const log = new AuditLog(file, { salt: "s" });
+    await Promise.all([log.append({ n: 1 }), log.append({ n: 2 }), log.append({ n: 3 })]);
+
+    const reopened = new AuditLog(file, { salt: "s" });
+    const fourth = await reopened.append({ n: 4 });
+    assert.equal(fourth.seq, 3);
+
+    const records = await reopened.readAll();
+    assert.deepEqual(records.map((r) => r.n), [1, 2, 3, 4]);
+    assert.equal(records[0].prevHash, GENESIS_HASH);
+    assert.equal((await reopened.verify()).ok, true);
+  });
+
+  test("editing, deleting or reordering a line breaks verification", async () => {
+    const file = await tmpLog();
+    const log = new AuditLog(file, { salt: "s" });
+    for (const n of [1, 2, 3]) await log.append({ lane: "scholar", n });
+    const lines = (await fs.readFile(file, "utf8")).trim().split("\n");
+
+    const edited = lines.map((l, i) => (i === 1 ? l.replace('"scholar"', '"local"') : l)).map((l) => JSON.parse(l));
+    assert.deepEqual(verifyAuditRecords(edited).brokenAt, { index: 1, seq: 1, reason: "hash does not match the record contents" });
+
+    const deleted = [lines[0], lines[2]].map((l) => JSON.parse(l));
+    assert.equal(verifyAuditRecords(deleted).brokenAt.index, 1);
+
+    const swapped = [lines[1], lines[0], lines[2]].map((l) => JSON.parse(l));
+    assert.equal(verifyAuditRecords(swapped).ok, false);
+  });
+
+  test("a truncated last line doesn't restart the chain", async () => {
+    const file = await tmpLog();
+    const log = new AuditLog(file, { salt: "s" });
+    for (const n of [1, 2, 3]) await log.append({ n });
+    const raw = await fs.readFile(file, "utf8");
+    await fs.writeFile(file, raw.slice(0, raw.trimEnd().lastIndexOf("\n") + 20)); // crash mid-append of seq 2
+
+    const reopened = new AuditLog(file, { salt: "s" });
+    const next = await reopened.append({ n: 4 });
+    assert.equal(next.seq, 2);
+    assert.equal(reopened.status().unreadableTailLines, 1);
+
+    // The damaged line is still reported, and the records around it form one chain
+    const records = await reopened.readAll();
+    assert.deepEqual(records.map((r) => r?.n ?? null), [1, 2, null, 4]);
+    assert.deepEqual((await reopened.verify()).brokenAt, { index: 2, seq: null, reason: "not a record" });
+    assert.equal(verifyAuditRecords(records.filter(Boolean)).ok, true);
+  });
+
+  test("finds decisions by requestId from memory, keeping only the latest maxIndexed", async () => {
+    const file = await tmpLog();
+    const log = new AuditLog(file, { salt: "s" });
+    for (const requestId of ["a", "b", "a"]) await log.append({ requestId, lane: "scholar" });
+
+    const reopened = new AuditLog(file, { salt: "s", maxIndexed: 2 });
+    assert.equal((await reopened.findByRequestId("a")).seq, 2);
+    await fs.writeFile(file, ""); // lookups don't go back to the file
+    assert.equal((await reopened.findByRequestId("b")).seq, 1);
+
+    await reopened.append({ requestId: "c", lane: "local" });
+    assert.equal(await reopened.findByRequestId("b"), null);
+    assert.equal((await reopened.findByRequestId("c")).lane, "local");
+  });
+
+  test("message hashes are salted", () => {
+    const a = new AuditLog("/dev/null", { salt: "one" }).hashMessage("hello");
+    const b = new AuditLog("/dev/null", { salt: "two" }).hashMessage("hello");
+    assert.notEqual(a, b);
+    assert.equal(a, new AuditLog("/dev/null", { salt: "one" }).hashMessage("hello"));
+  });
+});
+
+describe("/chat audit records", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  const records = async () => {
+    const { auditLog } = ctx.app.locals.omanx;
+    await auditLog.flush();
+    return auditLog.readAll();
+  };
+
+  test("every decision is recorded without the message text", async () => {
+    const message = "What should I do in my first 72 hours after arrival?";
+    await ctx.chat({ message });
+    await ctx.chat({ message });
+    await ctx.chat({});
+
+    const [answered, cached, invalid] = await records();
+    assert.equal(answered.lane, "scholar");
+    assert.equal(answered.mode, "official");
+    assert.equal(answered.model, "stub:stub-1");
+    assert.match(answered.policyHash, /^[0-9a-f]{64}$/);
+    assert.match(answered.knowledgeHash, /^[0-9a-f]{64}$/);
+    assert.equal(answered.knowledgeVersion, ctx.app.locals.omanx.knowledge.getVersion());
+    assert.deepEqual(answered.outcome.verification, { status: "verified", attempts: 1, replaced: false });
+    assert.equal(answered.outcome.status, "answered");
+    assert.ok(answered.knowledgeItems.includes("arrival-first-72-hours"));
+
+    assert.equal(cached.outcome.cached, true);
+    assert.equal(cached.messageHash, answered.messageHash);
+    assert.equal(invalid.outcome.status, "invalid");
+
+    const raw = await fs.readFile(ctx.app.locals.omanx.config.auditLogPath, "utf8");
+    assert.ok(!raw.includes("first 72 hours"));
+  });
+
+  test("the verify endpoint confirms the chain and detects tampering", async () => {
+    let res = await (await ctx.admin("GET", "/admin/audit/verify")).json();
+    assert.equal(res.ok, true);
+    assert.equal(res.records, 3);
+
+    const file = ctx.app.locals.omanx.config.auditLogPath;
+    const raw = await fs.readFile(file, "utf8");
+    await fs.writeFile(file, raw.replace('"status":"answered"', '"status":"escalated"'));
+
+    res = await (await ctx.admin("GET", "/admin/audit/verify")).json();
+    assert.equal(res.ok, false);
+    assert.equal(res.brokenAt.seq, 0);
+    await fs.writeFile(file, raw);
+  });
+
+  test("exports a date range that verifies on its own", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const res = await ctx.admin("GET", `/admin/audit/export?from=${today}&to=${today}`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.records.length, 3);
+    assert.equal(body.prevHash, GENESIS_HASH);
+    assert.equal(body.verification.ok, true);
+
+    const empty = await (await ctx.admin("GET", "/admin/audit/export?to=2000-01-01")).json();
+    assert.deepEqual(empty.records, []);
+
+    assert.equal((await ctx.admin("GET", "/admin/audit/export?from=yesterday")).status, 400);
+  });
+});
+
+test("provider errors are recorded", async () => {
+  const ctx = await startApp({
+    provider: stubProvider({
+      reply: () => {
+        throw apiError(429);
+      },
+    }),
+  });
+  try {
+    await ctx.chat({ message: "Where is the library?" });
+    const { auditLog } = ctx.app.locals.omanx;
+    await auditLog.flush();
+    const [rec] = await auditLog.readAll();
+    assert.equal(rec.outcome.status, "error");
+    assert.equal(rec.outcome.upstreamStatus, 429);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test("a stream stopped by the client is recorded as stopped", async () => {
+  const ctx = await startApp({ provider: stubProvider({ chunkSize: 4, delayMs: 20 }) });
+  try {
+    const controller = new AbortController();
+    const res = await fetch(`${ctx.url}/chat`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ message: "Where is the library?", stream: true }),
+      signal: controller.signal,
+    });
+    const reader = res.body.getReader();
+    await reader.read();
+    controller.abort();
+
+    const { auditLog } = ctx.app.locals.omanx;
+    for (let i = 0; i < 50 && !(await auditLog.readAll()).length; i++) await new Promise((r) => setTimeout(r, 10));
+    const [rec] = await auditLog.readAll();
+    assert.equal(rec.outcome.status, "stopped");
+    assert.equal(ctx.app.locals.omanx.cache.stats().size, 0);
+  } finally {
+    await ctx.close();
+  }
+});
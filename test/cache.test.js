@@ -0,0 +1,108 @@
+// test/cache.test.js — response cache keys, pruning and the file store
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { CacheConfigError, FileCacheStore, ResponseCache, createCacheStore, normalizeMessage } from "../cache.js";
+
+const KEY = { model: "local:extractive-v1", policyHash: "p1", knowledgeVersion: "v1", knowledgeHash: "k1", mode: "official", lane: "scholar", lang: "en" };
+
+describe("ResponseCache", () => {
+  test("normalizes case, spacing and Arabic diacritics", () => {
+    assert.equal(normalizeMessage("  What   is\tOPT? "), "what is opt?");
+    assert.equal(normalizeMessage("مَاذا أفعـــل"), normalizeMessage("ماذا أفعل"));
+  });
+
+  test("keys change with the knowledge or policy an answer depends on", () => {
+    const cache = new ResponseCache({ ttlMs: 1000, maxEntries: 10 });
+    const base = cache.keyFor({ ...KEY, message: "What is OPT?" });
+    assert.equal(cache.keyFor({ ...KEY, message: "what is  opt?" }), base);
+    assert.notEqual(cache.keyFor({ ...KEY, knowledgeHash: "k2", message: "What is OPT?" }), base);
+    assert.notEqual(cache.keyFor({ ...KEY, knowledgeVersion: "v2", message: "What is OPT?" }), base);
+    assert.notEqual(cache.keyFor({ ...KEY, policyHash: "p2", message: "What is OPT?" }), base);
+  });
+
+  test("prune keeps only entries that are still current", () => {
+    const cache = new ResponseCache({ ttlMs: 1000, maxEntries: 10 });
+    cache.set("a", { text: "old" }, { knowledgeHash: "k1" });
+    cache.set("b", { text: "new" }, { knowledgeHash: "k2" });
+    assert.equal(cache.prune((m) => m.knowledgeHash === "k2", "reload"), 1);
+    assert.equal(cache.get("a"), null);
+    assert.deepEqual(cache.get("b"), { text: "new" });
+  });
+
+  test("evicts the least recently used entry past maxEntries", () => {
+    const cache = new ResponseCache({ ttlMs: 1000, maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+    assert.equal(cache.get("b"), null);
+    assert.equal(cache.get("a"), 1);
+  });
+});
+
+describe("FileCacheStore", () => {
+  test("entries survive a restart", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-cache-"));
+    const file = path.join(dir, "cache.json");
+    try {
+      const first = new ResponseCache({ ttlMs: 60_000, maxEntries: 10, store: new FileCacheStore(file) });
+      first.set("k", { text: "approved" }, { knowledgeHash: "k1" });
+      await first.flush();
+
+      const second = new ResponseCache({ ttlMs: 60_000, maxEntries: 10, store: new FileCacheStore(file) });
+      await second.load();
+      assert.deepEqual(second.get("k"), { text: "approved" });
+      assert.equal(second.stats().store, "file");
+      assert.deepEqual(await fs.readdir(dir), ["cache.json"]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("a failed write is retried by the next flush", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-cache-"));
+    const blocker = path.join(dir, "data");
+    const file = path.join(blocker, "cache.json");
+    try {
+      await fs.writeFile(blocker, ""); // a file where the directory should be: the write fails
+      const store = new FileCacheStore(file);
+      store.set("k", { entry: 1 });
+      await assert.rejects(store.flush());
+
+      await fs.rm(blocker);
+      await store.flush(); // nothing changed since, but the failed change is still unsaved
+      assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")).entries, [["k", { entry: 1 }]]);
+
+      store.set("k2", { entry: 2 });
+      await store.flush();
+      assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")).entries, [
+        ["k", { entry: 1 }],
+        ["k2", { entry: 2 }],
+      ]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("an unreadable file starts an empty cache", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-cache-"));
+    const file = path.join(dir, "cache.json");
+    try {
+      await fs.writeFile(file, "{ not json");
+      const store = new FileCacheStore(file);
+      await store.load();
+      assert.equal(store.size, 0);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("unknown store names are a configuration error", () => {
+    assert.throws(() => createCacheStore({ name: "redis" }), CacheConfigError);
+  });
+});
@@ -0,0 +1,140 @@
+// test/campuses.test.js — campuses.json validation, the campus overlay in /chat, and /api/campuses
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { campusKnowledgeItems, validateCampuses } from "../campuses-schema.js";
+import { validateKnowledge } from "../knowledge-schema.js";
+import { ROOT_DIR } from "../config.js";
+import { startApp } from "./helpers.js";
+
+const shipped = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "campuses.json"), "utf8"));
+const knowledge = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "knowledge.json"), "utf8"));
+const NOW = new Date("2026-10-19T00:00:00Z");
+
+describe("validateCampuses", () => {
+  test("the shipped campuses.json is valid and its items don't shadow knowledge", () => {
+    const r = validateCampuses(shipped, { knowledgeIds: new Set(knowledge.items.map((i) => i.id)), now: NOW });
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.warnings, []);
+  });
+
+  test("reports every problem with a path", () => {
+    const bad = structuredClone(shipped);
+    bad.campuses[0].dso.url = "http://drexel.edu/isss/";
+    bad.campuses[0].dso.fax = "n/a";
+    bad.campuses[1].id = bad.campuses[0].id;
+    bad.campuses[1].local_terms = [];
+    bad.campuses[2].review_by = "2026-09-01";
+
+    const paths = validateCampuses(bad, { now: NOW }).errors.map((e) => e.path);
+    assert.deepEqual(paths.sort(), [
+      "$.campuses[0].dso.fax",
+      "$.campuses[0].dso.url",
+      "$.campuses[1].id",
+      "$.campuses[1].local_terms",
+      "$.campuses[2].review_by",
+    ]);
+  });
+
+  test("a shadowed knowledge item and an overdue review are warnings", () => {
+    const r = validateCampuses(shipped, { knowledgeIds: new Set(["campus-penn-dso"]), now: new Date("2027-05-01T00:00:00Z") });
+    assert.equal(r.ok, true);
+    assert.deepEqual(
+      r.warnings.map((w) => w.path),
+      ["$.campuses[0].review_by", "$.campuses[1].id", "$.campuses[1].review_by", "$.campuses[2].review_by"]
+    );
+  });
+
+  test("generated items are valid knowledge items", () => {
+    const { official, advisory } = campusKnowledgeItems(shipped.campuses[0]);
+    const r = validateKnowledge({ ...knowledge, items: [...knowledge.items, ...official, advisory] }, { now: NOW });
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(official.map((i) => i.id), ["campus-drexel-dso", "campus-drexel-insurance"]);
+    assert.equal(advisory.category, "Advisory");
+  });
+});
+
+describe("/chat with a campus profile", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  test("/api/campuses serves the profiles in camelCase", async () => {
+    const body = await (await fetch(`${ctx.url}/api/campuses`)).json();
+    assert.equal(body.version, shipped.version);
+    assert.deepEqual(body.campuses.map((c) => c.id), ["drexel", "penn", "umich"]);
+    assert.deepEqual(body.campuses[2].dso, {
+      office: "University of Michigan International Center",
+      officeAr: "المركز الدولي في جامعة ميشيغان",
+      url: "https://internationalcenter.umich.edu/",
+      email: null,
+      phone: null,
+    });
+    assert.equal(body.campuses[0].cityAr, "فيلادلفيا، بنسلفانيا");
+  });
+
+  test("the scholar lane retrieves the campus office and names the campus", async () => {
+    const res = await ctx.chat({ message: "How do I contact my DSO about my I-20?", campus: "umich" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.lane, "scholar");
+    assert.ok(res.body.knowledgeItems.includes("campus-umich-dso"));
+    assert.deepEqual(res.body.campus, { id: "umich", university: "University of Michigan", city: "Ann Arbor, MI" });
+    const { system } = ctx.provider.calls.at(-1);
+    assert.match(system, /CAMPUS: University of Michigan \(Ann Arbor, MI\)/);
+    assert.match(system, /University of Michigan International Center/);
+
+    const other = await ctx.chat({ message: "How do I contact my DSO about my I-20?" });
+    assert.equal(other.body.campus, null);
+    assert.ok(!other.body.knowledgeItems.some((id) => id.startsWith("campus-")));
+  });
+
+  test("neighbourhood terms route to the local lane with the campus tips", async () => {
+    const res = await ctx.chat({ message: "Best way to get around Ann Arbor?", campus: "umich" });
+    assert.equal(res.body.lane, "local");
+    assert.deepEqual(res.body.knowledgeItems, ["campus-umich-local", "community-getting-around"]);
+    assert.match(ctx.provider.calls.at(-1).system, /TheRide covers Ann Arbor/);
+
+    // Without a campus every profile's terms apply; with one, only that campus's do
+    assert.equal((await ctx.chat({ message: "Best coffee in Kerrytown?" })).body.lane, "local");
+    assert.equal((await ctx.chat({ message: "Where can I find housing in Kerrytown?", campus: "drexel" })).body.lane, "scholar");
+  });
+
+  test("an unknown campus is rejected", async () => {
+    const res = await ctx.chat({ message: "Where is the library?", campus: "nowhere" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Unknown campus profile.");
+  });
+
+  test("the audit record carries the campus", async () => {
+    await ctx.chat({ message: "What health insurance do I need?", campus: "penn" });
+    const { auditLog } = ctx.app.locals.omanx;
+    await auditLog.flush();
+    const rec = (await auditLog.readAll()).at(-1);
+    assert.equal(rec.campus, "penn");
+    assert.ok(rec.knowledgeItems.includes("campus-penn-insurance"));
+  });
+});
+
+test("an invalid campuses file is rejected and the last good copy keeps serving", async () => {
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), "omanx-campuses-")), "campuses.json");
+  await fs.writeFile(file, JSON.stringify(shipped));
+  const ctx = await startApp({ config: { campusesPath: file } });
+  try {
+    await fs.writeFile(file, JSON.stringify({ ...shipped, campuses: [] }));
+    const res = await ctx.admin("POST", "/admin/campuses/reload", {});
+    assert.equal(res.status, 422);
+    assert.equal((await res.json()).errors[0].path, "$.campuses");
+
+    assert.equal((await ctx.chat({ message: "Where is the library?", campus: "drexel" })).status, 200);
+    const status = await (await ctx.admin("GET", "/admin/status")).json();
+    assert.equal(status.campuses.campuses, shipped.campuses.length);
+    assert.equal(status.campuses.rejected.errors[0].path, "$.campuses");
+  } finally {
+    await ctx.close();
+    await fs.rm(path.dirname(file), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,204 @@
+// test/chat.test.js — /chat integration: lane routing, cache, verification, error mapping
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { ROOT_DIR } from "../config.js";
+import { startApp, stubProvider, apiError, VERIFIED_ANSWER } from "./helpers.js";
+
+describe("lane routing", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  test("compliance questions go to the scholar lane with retrieved knowledge", async () => {
+    const { status, body } = await ctx.chat({ message: "What should I do in my first 72 hours after arrival?" });
+    assert.equal(status, 200);
+    assert.equal(body.lane, "scholar");
+    assert.ok(body.knowledgeItems.includes("arrival-first-72-hours"));
+    assert.match(ctx.provider.calls.at(-1).system, /KNOWLEDGE \(approved sources\)/);
+  });
+
+  test("everyday questions go to the local lane without official knowledge", async () => {
+    const { body } = await ctx.chat({ message: "best coffee near campus" });
+    assert.equal(body.lane, "local");
+    assert.equal(body.tier, "local");
+    assert.deepEqual(body.knowledgeItems, []);
+    assert.doesNotMatch(ctx.provider.calls.at(-1).system, /KNOWLEDGE \(approved sources\)/);
+    assert.match(ctx.provider.calls.at(-1).system, /COMMUNITY KNOWLEDGE: \(no community items match this question\)/);
+  });
+
+  test("high-stakes questions are governed and stay in the scholar lane", async () => {
+    const { body } = await ctx.chat({ message: "Can I work off campus on OPT?" });
+    assert.equal(body.tier, "governed");
+    assert.equal(body.lane, "scholar");
+  });
+
+  test("a governed thread does not drift into the local lane", async () => {
+    const { body } = await ctx.chat({
+      message: "best coffee near campus",
+      history: [
+        { role: "user", content: "My visa expired, what now?" },
+        { role: "assistant", content: "Contact your DSO." },
+      ],
+    });
+    assert.equal(body.lane, "scholar");
+    assert.equal(body.conversation.escalatedByHistory, true);
+  });
+
+  test("Arabic questions are answered in Arabic", async () => {
+    const { body } = await ctx.chat({ message: "ماذا أفعل عند الوصول؟" });
+    assert.equal(body.lang, "ar");
+    assert.match(ctx.provider.calls.at(-1).system, /LANGUAGE: ar/);
+  });
+});
+
+describe("response cache", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  test("an identical question is served from cache without calling the provider", async () => {
+    const message = "How do I keep my I-20 valid?";
+    const first = await ctx.chat({ message });
+    const second = await ctx.chat({ message });
+
+    assert.equal(first.body.cached, false);
+    assert.equal(second.body.cached, true);
+    assert.equal(second.body.text, first.body.text);
+    assert.deepEqual(second.body.sections, first.body.sections);
+    assert.equal(ctx.provider.calls.length, 1);
+  });
+
+  test("case and spacing differences share an entry", async () => {
+    const first = await ctx.chat({ message: "Where do I   get health insurance?" });
+    const second = await ctx.chat({ message: "  where do i get HEALTH insurance? " });
+    assert.equal(first.body.cached, false);
+    assert.equal(second.body.cached, true);
+  });
+
+  test("stats break hits and misses down by lane", async () => {
+    await ctx.chat({ message: "best coffee near campus" });
+    await ctx.chat({ message: "best coffee near campus" });
+    const { cache } = await (await fetch(`${ctx.url}/health`)).json();
+    assert.deepEqual(cache.byLane.local, { hits: 1, misses: 1 });
+    assert.ok(cache.byLane.scholar.hits >= 1);
+    assert.equal(cache.store, "memory");
+  });
+
+  test("different history is a different cache entry", async () => {
+    const message = "And what about health insurance?";
+    await ctx.chat({ message });
+    const { body } = await ctx.chat({ message, history: [{ role: "user", content: "I am on a J-1." }] });
+    assert.equal(body.cached, false);
+  });
+
+  test("admin cache clear empties the cache", async () => {
+    await ctx.admin("POST", "/admin/cache/clear", {});
+    const health = await (await fetch(`${ctx.url}/health`)).json();
+    assert.equal(health.cache.size, 0);
+  });
+});
+
+test("a knowledge reload drops answers built on the old knowledge", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-cache-"));
+  const file = path.join(dir, "knowledge.json");
+  const knowledge = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "knowledge.json"), "utf8"));
+  await fs.writeFile(file, JSON.stringify(knowledge));
+  const ctx = await startApp({ config: { knowledgePath: file } });
+  try {
+    const message = "How do I keep my I-20 valid?";
+    await ctx.chat({ message });
+    assert.equal((await ctx.chat({ message })).body.cached, true);
+
+    knowledge.items[1].summary = "Revised guidance.";
+    await fs.writeFile(file, JSON.stringify({ ...knowledge, version: "2026.11.1" }));
+    assert.equal((await ctx.admin("POST", "/admin/knowledge/reload", {})).status, 200);
+
+    const { cache } = await (await fetch(`${ctx.url}/health`)).json();
+    assert.equal(cache.size, 0);
+    assert.equal(cache.lastInvalidation.removed, 1);
+    assert.equal((await ctx.chat({ message })).body.cached, false);
+  } finally {
+    await ctx.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+describe("citation verification", () => {
+  test("an unverifiable answer is regenerated once, then escalated", async () => {
+    const provider = stubProvider({ reply: VERIFIED_ANSWER.replace(/University Designated School Official \(DSO\)/, "Some Blog") });
+    const ctx = await startApp({ provider });
+    try {
+      const { body } = await ctx.chat({ message: "What should I do in my first 72 hours after arrival?" });
+      assert.equal(provider.calls.length, 2);
+      assert.match(provider.calls[1].system, /CITATION CHECK FAILED/);
+      assert.equal(body.verification.replaced, true);
+      assert.match(body.text, /could not verify/);
+
+      // The escalation isn't cached: asking again goes back to the model
+      const again = await ctx.chat({ message: "What should I do in my first 72 hours after arrival?" });
+      assert.equal(again.body.cached, false);
+      assert.equal(provider.calls.length, 4);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test("a verified answer comes back as four sections", async () => {
+    const ctx = await startApp();
+    try {
+      const { body } = await ctx.chat({ message: "What should I do in my first 72 hours after arrival?" });
+      assert.equal(body.verification.status, "verified");
+      assert.equal(body.format.complete, true);
+      assert.deepEqual(Object.keys(body.sections), ["whatToDo", "whyThisMatters", "sourceAuthority", "whenToEscalate"]);
+    } finally {
+      await ctx.close();
+    }
+  });
+});
+
+describe("request validation and error mapping", () => {
+  const cases = [
+    [401, 500, /authentication/],
+    [429, 429, /rate limit/],
+    [400, 500, /rejected \(400\)/],
+    [503, 500, /^Server error\.$/],
+  ];
+
+  for (const [upstream, expected, message] of cases) {
+    test(`provider HTTP ${upstream} -> ${expected}`, async () => {
+      const ctx = await startApp({
+        provider: stubProvider({
+          reply: () => {
+            throw apiError(upstream);
+          },
+        }),
+      });
+      try {
+        const { status, body } = await ctx.chat({ message: "Where is the library?" });
+        assert.equal(status, expected);
+        assert.match(body.error, message);
+        assert.ok(body.requestId);
+      } finally {
+        await ctx.close();
+      }
+    });
+  }
+
+  test("bad bodies are rejected with 400 before reaching the provider", async () => {
+    const ctx = await startApp();
+    try {
+      assert.equal((await ctx.chat({})).status, 400);
+      assert.equal((await ctx.chat({ message: "x".repeat(10_001) })).status, 400);
+      assert.equal((await ctx.chat({ message: "hi", history: "nope" })).status, 400);
+      assert.equal(ctx.provider.calls.length, 0);
+    } finally {
+      await ctx.close();
+    }
+  });
+});
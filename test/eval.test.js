@@ -0,0 +1,154 @@
+// test/eval.test.js — golden set validation, case scoring, and golden.json against the local provider
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+
+import { ROOT_DIR } from "../config.js";
+import { campusItemIds } from "../campuses-schema.js";
+import { createLocalProvider } from "../providers.js";
+import { formatReport, runEvaluation, scoreCase, validateGoldenSet } from "../evaluation.js";
+import { startApp } from "./helpers.js";
+
+const sections = (overrides = {}) => ({
+  whatToDo: ["Contact your DSO before accepting any off-campus job."],
+  whyThisMatters: ["Unauthorized work can end your status."],
+  sourceAuthority: ["Official — immigration-compliance"],
+  whenToEscalate: ["Before any change to your work or enrollment."],
+  ...overrides,
+});
+const answer = (overrides = {}) => ({
+  status: 200,
+  body: {
+    lane: "scholar",
+    tier: "governed",
+    lang: "en",
+    text: "Contact your DSO before accepting any off-campus job.",
+    knowledgeItems: ["immigration-compliance"],
+    verification: { status: "verified", attempts: 1, replaced: false },
+    sections: sections(),
+    ...overrides,
+  },
+});
+
+describe("golden set validation", () => {
+  test("reports bad cases with paths and unknown knowledge items as warnings", () => {
+    const result = validateGoldenSet(
+      {
+        version: "1",
+        cases: [
+          { id: "ok-case", question: "Q?", expected_lane: "scholar", must_cite: ["missing-item"] },
+          { id: "ok-case", question: "", expected_lane: "local", expected_tier: "urgent", forbidden: ["("], extra: 1 },
+        ],
+      },
+      { knowledgeIds: new Set(["immigration-compliance"]) }
+    );
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors.map((e) => e.path), [
+      "$.cases[1].extra",
+      "$.cases[1].id",
+      "$.cases[1].question",
+      "$.cases[1].expected_tier",
+      "$.cases[1].forbidden[0]",
+    ]);
+    assert.deepEqual(result.warnings.map((w) => w.path), ["$.cases[0].must_cite[0]"]);
+    assert.deepEqual(validateGoldenSet({ version: "1", cases: [] }).errors.map((e) => e.path), ["$.cases"]);
+  });
+
+  test("golden.json is valid against the shipped knowledge, community knowledge and campus profiles", async () => {
+    const read = async (file) => JSON.parse(await fs.readFile(path.join(ROOT_DIR, file), "utf8"));
+    const [golden, knowledge, community, campuses] = await Promise.all(
+      ["golden.json", "knowledge.json", "community.json", "campuses.json"].map(read)
+    );
+    const knowledgeIds = new Set([
+      ...[...knowledge.items, ...community.items].map((i) => i.id),
+      ...campuses.campuses.flatMap((c) => campusItemIds(c.id)),
+    ]);
+    const result = validateGoldenSet(golden, { knowledgeIds });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+  });
+});
+
+describe("scoreCase", () => {
+  const governed = {
+    id: "work-off-campus",
+    question: "Can I work off campus?",
+    expected_lane: "scholar",
+    expected_tier: "governed",
+    must_escalate: true,
+    must_cite: ["immigration-compliance"],
+    forbidden: ["\\byou can work\\b"],
+  };
+
+  test("passes a compliant answer", () => {
+    const result = scoreCase(governed, answer());
+    assert.equal(result.pass, true);
+    assert.deepEqual(result.checks.map((c) => c.check), [
+      "status",
+      "lane",
+      "tier",
+      "format",
+      "escalation",
+      "cite:immigration-compliance",
+      "forbidden:\\byou can work\\b",
+    ]);
+  });
+
+  test("names each policy the answer breaks", () => {
+    const result = scoreCase(
+      governed,
+      answer({
+        tier: "scholar",
+        text: "Yes, you can work anywhere.",
+        knowledgeItems: [],
+        sections: sections({ whatToDo: ["Yes, you can work anywhere."], whenToEscalate: [] }),
+      })
+    );
+    assert.equal(result.pass, false);
+    assert.deepEqual(
+      result.checks.filter((c) => !c.pass).map(({ check, detail }) => ({ check, detail })),
+      [
+        { check: "tier", detail: "expected governed, got scholar" },
+        { check: "format", detail: "missing whenToEscalate" },
+        { check: "escalation", detail: "no official contact in What you should do / When to escalate" },
+        { check: "cite:immigration-compliance", detail: "item not retrieved for the answer" },
+        { check: "forbidden:\\byou can work\\b", detail: 'answer contains "you can work"' },
+      ]
+    );
+  });
+
+  test("replaced citations and error responses fail", () => {
+    const replaced = scoreCase(governed, answer({ verification: { status: "unverified", attempts: 2, replaced: true } }));
+    assert.equal(replaced.checks.find((c) => c.check.startsWith("cite:")).detail, "citations failed verification");
+
+    const limited = scoreCase(governed, { status: 429, body: { error: "Daily token budget reached." } });
+    assert.deepEqual(limited.checks, [{ check: "status", pass: false, detail: "HTTP 429: Daily token budget reached." }]);
+  });
+});
+
+describe("golden.json against the local provider", () => {
+  let ctx;
+  before(async () => {
+    ctx = await startApp({ provider: createLocalProvider() });
+  });
+  after(() => ctx.close());
+
+  test("every case passes, and the report is identical across runs", async () => {
+    const golden = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "golden.json"), "utf8"));
+    const report = await runEvaluation(golden, { chat: ctx.chat, meta: { provider: "local:extractive-v1" } });
+    assert.equal(report.summary.failed, 0, formatReport(report));
+    assert.equal(report.summary.cases, golden.cases.length);
+
+    const again = await runEvaluation(golden, { chat: ctx.chat, meta: { provider: "local:extractive-v1" } });
+    assert.deepEqual(again, report);
+  });
+
+  test("filters by tag", async () => {
+    const golden = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "golden.json"), "utf8"));
+    const report = await runEvaluation(golden, { chat: ctx.chat, tags: ["emergency"] });
+    assert.deepEqual(report.cases.map((c) => c.id), ["emergency-overdose"]);
+    assert.ok(report.cases[0].checks.some((c) => c.check === "emergency" && c.pass));
+  });
+});
@@ -0,0 +1,215 @@
+// test/feedback.test.js — answer feedback validation, store, /feedback and the admin review queue
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { FeedbackError, FeedbackStore, validateFeedback, validateTriage } from "../feedback.js";
+import { hashAdminKey } from "../admin-auth.js";
+import { TEST_ADMIN_CREDENTIALS, startApp } from "./helpers.js";
+
+describe("feedback validation", () => {
+  test("needs a requestId and a rating or a reason", () => {
+    assert.deepEqual(validateFeedback({ requestId: "abc123", rating: "down", comment: "  old  " }).value, {
+      requestId: "abc123",
+      rating: "down",
+      reason: undefined,
+      comment: "old",
+    });
+    assert.deepEqual(validateFeedback({ requestId: "abc123" }).errors.map((e) => e.path), ["$"]);
+    assert.deepEqual(
+      validateFeedback({ requestId: "no spaces", rating: "meh", reason: "rude", comment: "x".repeat(501) }).errors.map((e) => e.path),
+      ["$.requestId", "$.rating", "$.reason", "$.comment"]
+    );
+    assert.equal(validateFeedback([]).ok, false);
+  });
+
+  test("triage updates link only known knowledge items", () => {
+    const knowledgeIds = new Set(["housing-basics"]);
+    assert.deepEqual(validateTriage({ linkedItems: ["housing-basics", "housing-basics"] }, { knowledgeIds }).value.linkedItems, [
+      "housing-basics",
+    ]);
+    assert.deepEqual(
+      validateTriage({ status: "closed", linkedItems: ["nope"] }, { knowledgeIds }).errors.map((e) => e.path),
+      ["$.status", "$.linkedItems[0]"]
+    );
+    assert.deepEqual(validateTriage({}).errors.map((e) => e.path), ["$"]);
+  });
+});
+
+describe("FeedbackStore", () => {
+  const context = { lane: "scholar", knowledgeVersion: "2026.01.1", knowledgeItems: ["housing-basics"], outcome: "answered" };
+
+  test("queues thumbs-down and reports", () => {
+    const store = new FeedbackStore("/unused");
+    assert.equal(store.submit({ requestId: "r1", rating: "up", context }).status, null);
+
+    const reported = store.submit({ requestId: "r2", rating: "up", reason: "outdated", comment: "Email me at amal@example.com", context });
+    assert.equal(reported.status, "open");
+    assert.equal(reported.comment, "Email me at [EMAIL]");
+    assert.deepEqual(reported.redactions, ["EMAIL"]);
+    assert.equal(reported.knowledgeVersion, "2026.01.1");
+
+    store.submit({ requestId: "r3", rating: "down", context });
+    assert.deepEqual(store.list().map((e) => e.requestId), ["r3", "r2"]);
+    store.flush();
+  });
+
+  test("a report can follow a rating, but given feedback is never replaced", () => {
+    const store = new FeedbackStore("/unused");
+    const first = store.submit({ requestId: "r1", rating: "up", context });
+    const reported = store.submit({ requestId: "r1", reason: "wrong", comment: "wrong office", context });
+    assert.equal(reported.id, first.id);
+    assert.equal(reported.status, "open");
+
+    for (const change of [{ rating: "down" }, { reason: "other" }, { rating: "down", comment: "all good" }]) {
+      assert.throws(
+        () => store.submit({ requestId: "r1", ...change, context }),
+        (e) => e instanceof FeedbackError && e.status === 409
+      );
+    }
+    assert.equal(store.entries.length, 1);
+    assert.deepEqual([first.rating, first.reason, first.comment], ["up", "wrong", "wrong office"]);
+    store.flush();
+  });
+
+  test("triage records the reviewer and moves entries through the queue", () => {
+    const store = new FeedbackStore("/unused");
+    const { id } = store.submit({ requestId: "r1", rating: "down", context });
+    store.submit({ requestId: "r2", reason: "wrong", context: { ...context, knowledgeItems: [] } });
+
+    const entry = store.triage(id, { status: "triaged", linkedItems: ["visa-basics"], note: "needs new fee", reviewer: "editor" });
+    assert.deepEqual(entry.history.map(({ by, status, note }) => ({ by, status, note })), [
+      { by: "editor", status: "triaged", note: "needs new fee" },
+    ]);
+    assert.deepEqual(store.list({ item: "visa-basics" }).map((e) => e.id), [id]);
+    assert.deepEqual(store.list({ item: "housing-basics" }).map((e) => e.id), [id]);
+
+    store.triage(id, { status: "resolved", reviewer: "editor" });
+    assert.deepEqual(store.list().map((e) => e.requestId), ["r2"]);
+    assert.deepEqual(store.list({ status: "all" }).map((e) => e.requestId), ["r2", "r1"]);
+    assert.deepEqual(store.summary().byStatus, { open: 1, triaged: 0, resolved: 1, dismissed: 0 });
+
+    assert.throws(() => store.triage("fb_missing", { status: "open", reviewer: "editor" }), (e) => e instanceof FeedbackError && e.status === 404);
+    store.flush();
+  });
+
+  test("drops closed entries first past maxEntries", () => {
+    const store = new FeedbackStore("/unused", { maxEntries: 2 });
+    store.submit({ requestId: "open-1", rating: "down", context });
+    store.submit({ requestId: "closed", rating: "up", context });
+    store.submit({ requestId: "open-2", reason: "other", context });
+    assert.deepEqual(store.entries.map((e) => e.requestId), ["open-1", "open-2"]);
+    store.flush();
+  });
+
+  test("persists across restarts", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-feedback-"));
+    try {
+      const file = path.join(dir, "feedback.json");
+      const first = new FeedbackStore(file);
+      first.submit({ requestId: "r1", reason: "wrong", comment: "Passport A1234567 was rejected", context });
+      await first.flush();
+      assert.ok(!(await fs.readFile(file, "utf8")).includes("A1234567"));
+
+      const second = new FeedbackStore(file);
+      await second.load();
+      assert.equal(second.list()[0].requestId, "r1");
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("/feedback + admin review queue", () => {
+  const READ_ONLY_KEY = "omx_read-only";
+  let ctx;
+  let answer;
+  let reported;
+
+  before(async () => {
+    ctx = await startApp({
+      config: {
+        adminCredentials: [
+          ...TEST_ADMIN_CREDENTIALS,
+          { name: "reader", hash: hashAdminKey(READ_ONLY_KEY), scopes: ["knowledge:read"] },
+        ],
+      },
+    });
+    answer = (await ctx.chat({ message: "What should I do in my first 72 hours after arrival?" })).body;
+    reported = (await ctx.chat({ message: "How do I report my address change?" })).body;
+  });
+  after(() => ctx.close());
+
+  test("records feedback with the lane and knowledge the answer was built from", async () => {
+    const res = await ctx.post("/feedback", { requestId: answer.requestId, rating: "down" });
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.equal(body.status, "open");
+
+    const entry = ctx.app.locals.omanx.feedback.get(body.id);
+    assert.equal(entry.lane, "scholar");
+    assert.equal(entry.knowledgeVersion, ctx.app.locals.omanx.knowledge.getVersion());
+    assert.deepEqual(entry.knowledgeItems, answer.knowledgeItems);
+    assert.equal(entry.outcome, "answered");
+  });
+
+  test("rejects unknown answers and invalid bodies", async () => {
+    assert.equal((await ctx.post("/feedback", { requestId: "0000000000000000", rating: "up" })).status, 404);
+    const res = await ctx.post("/feedback", { requestId: answer.requestId, rating: "sideways" });
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).errors.map((e) => e.path), ["$.rating"]);
+  });
+
+  test("editors triage the queue and link knowledge items", async () => {
+    await ctx.post("/feedback", { requestId: reported.requestId, reason: "outdated", comment: "Call me on +968 9123 4567" });
+
+    let res = await ctx.admin("GET", "/admin/feedback");
+    assert.equal(res.status, 200);
+    const { summary, entries } = await res.json();
+    assert.equal(summary.byStatus.open, 2);
+    assert.equal(entries.length, 2);
+    const [entry] = entries;
+    assert.equal(entry.rating, null);
+    assert.equal(entry.reason, "outdated");
+    assert.equal(entry.comment, "Call me on [PHONE]");
+
+    res = await ctx.admin("PATCH", `/admin/feedback/${entry.id}`, { linkedItems: ["no-such-item"] });
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).errors.map((e) => e.path), ["$.linkedItems[0]"]);
+
+    res = await ctx.admin("PATCH", `/admin/feedback/${entry.id}`, { status: "resolved", linkedItems: answer.knowledgeItems.slice(0, 1), note: "fixed" });
+    assert.equal(res.status, 200);
+    const updated = (await res.json()).entry;
+    assert.deepEqual(updated.linkedItems, answer.knowledgeItems.slice(0, 1));
+    assert.equal(updated.history.at(-1).by, "test-admin");
+
+    const queue = await (await ctx.admin("GET", "/admin/feedback")).json();
+    assert.equal(queue.entries.length, 1);
+    const resolved = await (await ctx.admin("GET", `/admin/feedback?status=resolved&item=${answer.knowledgeItems[0]}`)).json();
+    assert.deepEqual(resolved.entries.map((e) => e.id), [entry.id]);
+
+    assert.equal((await ctx.admin("PATCH", "/admin/feedback/fb_missing", { status: "open" })).status, 404);
+    assert.equal((await ctx.admin("GET", "/admin/feedback?status=everything")).status, 400);
+  });
+
+  test("the review queue needs the feedback scope", async () => {
+    assert.equal((await ctx.admin("GET", "/admin/feedback", undefined, READ_ONLY_KEY)).status, 403);
+    assert.equal((await ctx.admin("GET", "/admin/feedback", undefined, "omx_wrong")).status, 401);
+  });
+
+  test("a report with details can follow a rating; a changed rating is rejected", async () => {
+    const { requestId } = (await ctx.chat({ message: "Where do I renew my I-20?" })).body;
+    const rated = await (await ctx.post("/feedback", { requestId, rating: "down" })).json();
+    const res = await ctx.post("/feedback", { requestId, reason: "wrong", comment: "The office moved" });
+    assert.equal(res.status, 201);
+    assert.equal((await res.json()).id, rated.id);
+    assert.equal((await ctx.post("/feedback", { requestId, rating: "up" })).status, 409);
+    assert.equal((await ctx.post("/feedback", { requestId, reason: "other" })).status, 409);
+
+    const entry = ctx.app.locals.omanx.feedback.get(rated.id);
+    assert.deepEqual([entry.rating, entry.reason, entry.comment], ["down", "wrong", "The office moved"]);
+  });
+});
@@ -0,0 +1,116 @@
+// test/flows.test.js — flows.json validation and /api/flows
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { validateFlows } from "../flows-schema.js";
+import { ROOT_DIR } from "../config.js";
+import { startApp } from "./helpers.js";
+
+const shipped = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "flows.json"), "utf8"));
+const knowledge = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "knowledge.json"), "utf8"));
+
+describe("validateFlows", () => {
+  test("the shipped flows.json is valid and only links to real knowledge items", () => {
+    const r = validateFlows(shipped, { knowledgeIds: new Set(knowledge.items.map((i) => i.id)) });
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.warnings, []);
+  });
+
+  test("reports every problem with a path", () => {
+    const bad = structuredClone(shipped);
+    bad.flows[0].steps[0].category = "Rumour";
+    bad.flows[0].steps[1].id = bad.flows[0].steps[0].id;
+    bad.flows[1].id = "Not A Slug";
+    delete bad.flows[2].prompt;
+    bad.flows[2].steps[0].due = { anchor: "graduation", offset_days: 1.5 };
+    bad.flows[2].steps[1].visa_types = ["B-2"];
+
+    const paths = validateFlows(bad).errors.map((e) => e.path);
+    assert.deepEqual(paths.sort(), [
+      "$.flows[0].steps[0].category",
+      "$.flows[0].steps[1].id",
+      "$.flows[1].id",
+      "$.flows[2].prompt",
+      "$.flows[2].steps[0].due.anchor",
+      "$.flows[2].steps[0].due.offset_days",
+      "$.flows[2].steps[1].visa_types",
+    ]);
+  });
+
+  test("a step linked to an unknown knowledge item is a warning", () => {
+    const r = validateFlows(shipped, { knowledgeIds: new Set(["arrival-first-72-hours"]) });
+    assert.equal(r.ok, true);
+    assert.ok(r.warnings.some((w) => /unknown knowledge item "immigration-compliance"/.test(w.message)));
+  });
+});
+
+describe("/api/flows", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  test("serves the flows in camelCase with their knowledge links", async () => {
+    const res = await fetch(`${ctx.url}/api/flows`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.version, shipped.version);
+    assert.deepEqual(body.flows.map((f) => f.id), shipped.flows.map((f) => f.id));
+
+    const step = body.flows[0].steps[0];
+    assert.deepEqual(Object.keys(step), [
+      "id",
+      "text",
+      "textAr",
+      "category",
+      "knowledgeId",
+      "knowledgeVersion",
+      "authorities",
+      "due",
+      "visaTypes",
+    ]);
+    assert.equal(step.knowledgeId, "arrival-first-72-hours");
+    assert.equal(step.knowledgeVersion, 1);
+    assert.ok(step.authorities.some((a) => a.name === "University Designated School Official (DSO)"));
+    assert.deepEqual(step.due, { anchor: "arrival", offsetDays: 0 });
+    assert.equal(step.visaTypes, null);
+    assert.ok(body.flows[0].promptAr);
+  });
+
+  test("health reports the flows status", async () => {
+    const health = await (await fetch(`${ctx.url}/health`)).json();
+    assert.equal(health.flows.loaded, true);
+    assert.equal(health.flows.flows, shipped.flows.length);
+  });
+});
+
+test("an invalid flows file is rejected and the last good copy keeps serving", async () => {
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), "omanx-flows-")), "flows.json");
+  await fs.writeFile(file, JSON.stringify(shipped));
+  const ctx = await startApp({ config: { flowsPath: file } });
+  try {
+    await fs.writeFile(file, JSON.stringify({ ...shipped, flows: [] }));
+    const res = await ctx.admin("POST", "/admin/flows/reload", {});
+    assert.equal(res.status, 422);
+    assert.equal((await res.json()).errors[0].path, "$.flows");
+
+    const served = await (await fetch(`${ctx.url}/api/flows`)).json();
+    assert.equal(served.flows.length, shipped.flows.length);
+  } finally {
+    await ctx.close();
+    await fs.rm(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test("/api/flows is 503 when no flows file could be loaded", async () => {
+  const ctx = await startApp({ config: { flowsPath: "/nonexistent/flows.json" } });
+  try {
+    assert.equal((await fetch(`${ctx.url}/api/flows`)).status, 503);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,140 @@
+// test/helpers.js — shared fixtures for the integration suite
+// - stubProvider(): a scriptable model provider that records every request
+// - startApp(): createApp() on an ephemeral port with knowledge + classifier loaded
+// - TEST_ADMIN_KEY: an all-scope admin credential every test app accepts (ctx.admin sends it)
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { createApp } from "../create-app.js";
+import { ADMIN_SCOPES, hashAdminKey } from "../admin-auth.js";
+
+export const TEST_ADMIN_KEY = "omx_test-admin-key";
+export const TEST_ADMIN_CREDENTIALS = [{ name: "test-admin", hash: hashAdminKey(TEST_ADMIN_KEY), scopes: ADMIN_SCOPES }];
+
+export const VERIFIED_ANSWER = [
+  "What you should do:",
+  "- Check in with your international office.",
+  "Why this matters:",
+  "- Your status depends on it.",
+  "Source / Authority:",
+  "- Official — University Designated School Official (DSO)",
+  "When to escalate:",
+  "- If anything is unclear, contact your DSO.",
+].join("\n");
+
+/**
+ * stubProvider
+ * `reply` is a string or a function(request, callIndex) returning a string or throwing.
+ * Streams the reply in fixed-size chunks (`delayMs` apart); `failAfter` throws after that many chunks.
+ */
+export function stubProvider({ reply = VERIFIED_ANSWER, chunkSize = 16, delayMs = 0, failAfter = null } = {}) {
+  const calls = [];
+  const resolve = (request) => (typeof reply === "function" ? reply(request, calls.length - 1) : reply);
+
+  return {
+    name: "stub",
+    model: "stub-1",
+    configured: true,
+    calls,
+
+    async generate(request) {
+      calls.push(request);
+      return { text: resolve(request), usage: { input_tokens: 1, output_tokens: 1 } };
+    },
+
+    async *stream(request, { signal } = {}) {
+      calls.push(request);
+      const text = resolve(request);
+      for (let i = 0, n = 0; i < text.length; i += chunkSize, n++) {
+        if (delayMs) await new Promise((r) => setTimeout(r, delayMs));
+        if (signal?.aborted) return;
+        if (failAfter !== null && n >= failAfter) throw new Error("upstream dropped");
+        yield text.slice(i, i + chunkSize);
+      }
+    },
+  };
+}
+
+// Errors shaped like the OpenAI SDK's (they carry an HTTP `status`)
+export function apiError(status, message = `HTTP ${status}`) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Each app gets its own scratch dir for runtime files (audit log, knowledge drafts, usage, feedback), removed on close.
+export async function startApp({ provider = stubProvider(), config = {}, ...rest } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "omanx-test-"));
+  const app = createApp({
+    provider,
+    config: {
+      logLevel: "silent",
+      auditLogPath: path.join(dataDir, "audit.jsonl"),
+      auditSalt: "test-salt",
+      knowledgeDataDir: path.join(dataDir, "knowledge"),
+      usagePath: path.join(dataDir, "usage.json"),
+      feedbackPath: path.join(dataDir, "feedback.json"),
+      adminCredentials: TEST_ADMIN_CREDENTIALS,
+      ...config,
+    },
+    ...rest,
+  });
+  await app.locals.omanx.reload(true);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const post = (p, body, headers = {}) =>
+    fetch(url + p, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+
+  // Admin request with the test credential's key (header only, like real clients)
+  const admin = (method, p, body, key = TEST_ADMIN_KEY) =>
+    fetch(url + p, {
+      method,
+      headers: { "content-type": "application/json", authorization: `Bearer ${key}` },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+  return {
+    app,
+    url,
+    provider,
+    post,
+    admin,
+    chat: async (body) => {
+      const res = await post("/chat", body);
+      return { status: res.status, body: await res.json() };
+    },
+    dataDir,
+    close: async () => {
+      await new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+      await app.locals.omanx.auditLog.flush();
+      await app.locals.omanx.usage.flush();
+      await app.locals.omanx.feedback.flush();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * readSse
+ * Splits an SSE body into the JSON payloads of its `data:` frames.
+ */
+export function readSse(raw) {
+  return raw
+    .split("\n\n")
+    .filter(Boolean)
+    .map((frame) => {
+      if (!frame.startsWith("data: ")) throw new Error(`bad SSE frame: ${JSON.stringify(frame)}`);
+      return JSON.parse(frame.slice("data: ".length));
+    });
+}
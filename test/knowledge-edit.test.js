@@ -0,0 +1,160 @@
+// test/knowledge-edit.test.js — knowledge drafts, publish and rollback (knowledge-store.js)
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { ROOT_DIR } from "../config.js";
+import { startApp } from "./helpers.js";
+
+const shipped = await fs.readFile(path.join(ROOT_DIR, "knowledge.json"), "utf8");
+const shippedJson = JSON.parse(shipped);
+
+const NEW_ITEM = {
+  id: "driver-license",
+  title: "Driver's License",
+  category: "Advisory",
+  summary: "How scholars typically obtain a state driver's license.",
+  bullets: ["Check your state DMV's requirements for international students before booking a test."],
+  authorities: [{ name: "State Department of Motor Vehicles (DMV)" }],
+  effective_from: "2026-01-01",
+  review_by: "2027-01-01",
+  reviewed_by: "OmanX content review board",
+  applicability: ["driving"],
+};
+
+describe("knowledge editing", () => {
+  let ctx;
+  let dir;
+  let file;
+  const admin = (method, p, body) =>
+    ctx.admin(method, p, body).then(async (res) => ({ status: res.status, body: await res.json() }));
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-knowledge-"));
+    file = path.join(dir, "knowledge.json");
+    await fs.writeFile(file, shipped);
+    ctx = await startApp({ config: { knowledgePath: file } });
+  });
+  after(async () => {
+    await ctx.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test("the editor defaults to the admin credential, and a given one must be valid", async () => {
+    const r = await admin("POST", "/admin/knowledge/drafts", { editor: "  ", item: NEW_ITEM });
+    assert.equal(r.status, 400);
+    assert.match(r.body.error, /editor/);
+
+    assert.equal((await admin("POST", "/admin/knowledge/drafts", { item: NEW_ITEM })).status, 201);
+    const drafts = (await admin("GET", "/admin/knowledge/drafts")).body.drafts;
+    assert.deepEqual(
+      (({ by, editor }) => ({ by, editor }))(drafts.find((d) => d.id === NEW_ITEM.id)),
+      { by: "test-admin", editor: "test-admin" }
+    );
+    assert.equal((await admin("DELETE", `/admin/knowledge/drafts/${NEW_ITEM.id}`)).status, 200);
+  });
+
+  test("an invalid draft is rejected with every problem", async () => {
+    const r = await admin("POST", "/admin/knowledge/drafts", {
+      editor: "amal",
+      item: { ...NEW_ITEM, category: "Rumour", authorities: [] },
+    });
+    assert.equal(r.status, 422);
+    assert.deepEqual(r.body.errors.map((e) => e.path).sort(), ["$.authorities", "$.category"]);
+  });
+
+  test("ids that aren't item slugs never name a draft", async () => {
+    for (const id of ["constructor", "__proto__", "hasOwnProperty"]) {
+      assert.equal((await admin("DELETE", `/admin/knowledge/drafts/${id}`)).status, 404);
+      assert.equal((await admin("POST", `/admin/knowledge/drafts/${id}/retire`, { editor: "amal" })).status, 404);
+      assert.equal((await admin("PUT", `/admin/knowledge/drafts/${id}`, { editor: "amal", item: { ...NEW_ITEM, id } })).status, 404);
+    }
+    const r = await admin("POST", "/admin/knowledge/drafts", { editor: "amal", item: { ...NEW_ITEM, id: "__proto__" } });
+    assert.equal(r.status, 422);
+    assert.deepEqual(r.body.errors.map((e) => e.path), ["$.id"]);
+    assert.deepEqual((await admin("GET", "/admin/knowledge/drafts")).body.drafts, []);
+  });
+
+  test("drafts are previewed but not served", async () => {
+    assert.equal((await admin("POST", "/admin/knowledge/drafts", { editor: "amal", item: NEW_ITEM })).status, 201);
+    const update = await admin("PUT", "/admin/knowledge/drafts/immigration-compliance", {
+      editor: "salim",
+      item: { ...shippedJson.items.find((i) => i.id === "immigration-compliance"), summary: "Updated compliance summary." },
+    });
+    assert.equal(update.status, 200);
+    assert.equal(update.body.draft.item.version, 2);
+    assert.equal((await admin("POST", "/admin/knowledge/drafts/academic-living-setup/retire", { editor: "amal" })).status, 200);
+
+    const preview = await admin("GET", "/admin/knowledge/preview");
+    assert.equal(preview.body.ok, true);
+    assert.match(preview.body.text, /## Driver's License — Advisory/);
+    assert.match(preview.body.text, /Updated compliance summary\./);
+    assert.doesNotMatch(preview.body.text, /ID: academic-living-setup/);
+
+    const one = await admin("GET", "/admin/knowledge/preview?id=driver-license");
+    assert.match(one.body.text, /^## Driver's License/);
+    assert.doesNotMatch(one.body.text, /Immigration/);
+
+    assert.equal(ctx.app.locals.omanx.knowledge.getVersion(), shippedJson.version);
+    assert.equal(await fs.readFile(file, "utf8"), shipped);
+  });
+
+  test("publish swaps the file atomically and serves the new version at once", async () => {
+    const r = await admin("POST", "/admin/knowledge/publish", { editor: "amal", version: "2026.11.1", note: "DMV item" });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.liveVersion, "2026.11.1");
+    assert.deepEqual(
+      r.body.published.changes.map((c) => `${c.id}:${c.action}:${c.by}:${c.editor}`).sort(),
+      [
+        "academic-living-setup:retire:test-admin:amal",
+        "driver-license:upsert:test-admin:amal",
+        "immigration-compliance:upsert:test-admin:salim",
+      ]
+    );
+
+    const live = JSON.parse(await fs.readFile(file, "utf8"));
+    assert.equal(live.version, "2026.11.1");
+    assert.ok(live.items.some((i) => i.id === "driver-license"));
+    assert.deepEqual(await fs.readdir(dir), ["knowledge.json"]); // no temp files left behind
+
+    const { knowledge } = ctx.app.locals.omanx;
+    assert.ok(knowledge.retrieve("driver's license DMV test").ids.includes("driver-license"));
+    assert.deepEqual((await admin("GET", "/admin/knowledge/drafts")).body.drafts, []);
+  });
+
+  test("versions can't be reused and publishing needs drafts", async () => {
+    await admin("POST", "/admin/knowledge/drafts/driver-license/retire", { editor: "amal" });
+    assert.equal((await admin("POST", "/admin/knowledge/publish", { editor: "amal", version: shippedJson.version })).status, 409);
+    await admin("DELETE", "/admin/knowledge/drafts/driver-license");
+    assert.equal((await admin("POST", "/admin/knowledge/publish", { editor: "amal", version: "2026.11.2" })).status, 409);
+  });
+
+  test("rollback restores any stored version", async () => {
+    const versions = await admin("GET", "/admin/knowledge/versions");
+    assert.deepEqual(versions.body.versions.map((v) => [v.version, v.live]).sort(), [
+      [shippedJson.version, false],
+      ["2026.11.1", true],
+    ]);
+
+    const r = await admin("POST", "/admin/knowledge/rollback", { editor: "salim", version: shippedJson.version });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.rolledBack.previousVersion, "2026.11.1");
+    assert.equal(await fs.readFile(file, "utf8"), `${JSON.stringify(shippedJson, null, 2)}\n`);
+    assert.equal(ctx.app.locals.omanx.knowledge.getVersion(), shippedJson.version);
+
+    assert.equal((await admin("POST", "/admin/knowledge/rollback", { editor: "salim", version: "../knowledge" })).status, 400);
+    assert.equal((await admin("POST", "/admin/knowledge/rollback", { editor: "salim", version: "1999.1.1" })).status, 404);
+
+    // A body `editor` is only a label: history still names the credential that made each change
+    const history = (await fs.readFile(path.join(ctx.dataDir, "knowledge", "history.jsonl"), "utf8")).trim().split("\n");
+    assert.deepEqual(history.map((l) => JSON.parse(l)).map((h) => `${h.action}:${h.version}:${h.by}:${h.editor}`), [
+      "publish:2026.11.1:test-admin:amal",
+      `rollback:${shippedJson.version}:test-admin:salim`,
+    ]);
+    const stored = (await admin("GET", "/admin/knowledge/versions")).body.versions;
+    assert.equal(stored.find((v) => v.version === "2026.11.1").lastAction.by, "test-admin");
+  });
+});
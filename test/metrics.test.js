@@ -0,0 +1,140 @@
+// test/metrics.test.js — Prometheus exposition + what /chat, cache, streams and reloads record
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { MetricsRegistry } from "../metrics.js";
+import { startApp, stubProvider, readSse, VERIFIED_ANSWER } from "./helpers.js";
+
+const ARRIVAL = "What should I do in my first 72 hours after arrival?";
+
+// Value of one series in an exposition, or undefined when it isn't there
+function sample(text, name, labels = {}) {
+  const want = Object.entries(labels).map(([k, v]) => `${k}="${v}"`);
+  for (const line of text.split("\n")) {
+    const m = line.match(/^([a-zA-Z_:][\w:]*)(?:\{(.*)\})? (\S+)$/);
+    if (!m || m[1] !== name) continue;
+    const have = m[2] ? m[2].split(/,(?=[a-z_]+=")/) : [];
+    if (want.every((l) => have.includes(l))) return Number(m[3]);
+  }
+  return undefined;
+}
+
+describe("MetricsRegistry", () => {
+  test("renders counters, gauges and histograms in the text format", () => {
+    const registry = new MetricsRegistry();
+    const c = registry.counter({ name: "t_requests_total", help: "Requests\nseen", labelNames: ["lane"] });
+    const g = registry.gauge({ name: "t_open", help: "Open" });
+    const h = registry.histogram({ name: "t_seconds", help: "Latency", labelNames: ["call"], buckets: [0.1, 1] });
+
+    c.inc({ lane: 'sch"olar' });
+    c.inc({ lane: 'sch"olar' }, 2);
+    g.inc();
+    g.inc();
+    g.dec();
+    h.observe({ call: "generate" }, 0.05);
+    h.observe({ call: "generate" }, 0.5);
+    h.observe({ call: "generate" }, 3);
+
+    assert.equal(
+      registry.render(),
+      [
+        "# HELP t_requests_total Requests\\nseen",
+        "# TYPE t_requests_total counter",
+        't_requests_total{lane="sch\\"olar"} 3',
+        "# HELP t_open Open",
+        "# TYPE t_open gauge",
+        "t_open 1",
+        "# HELP t_seconds Latency",
+        "# TYPE t_seconds histogram",
+        't_seconds_bucket{call="generate",le="0.1"} 1',
+        't_seconds_bucket{call="generate",le="1"} 2',
+        't_seconds_bucket{call="generate",le="+Inf"} 3',
+        't_seconds_sum{call="generate"} 3.55',
+        't_seconds_count{call="generate"} 3',
+        "",
+      ].join("\n")
+    );
+    assert.throws(() => c.inc({}, -1), /cannot decrease/);
+    assert.throws(() => registry.counter({ name: "t_open", help: "dup" }), /already registered/);
+  });
+
+  test("collectors run before every render", () => {
+    const registry = new MetricsRegistry();
+    const g = registry.gauge({ name: "t_value", help: "Value" });
+    let n = 0;
+    registry.collect(() => g.set({}, ++n));
+    assert.equal(sample(registry.render(), "t_value"), 1);
+    assert.equal(sample(registry.render(), "t_value"), 2);
+  });
+});
+
+describe("/metrics", () => {
+  let ctx;
+  const scrape = async () => {
+    const res = await fetch(`${ctx.url}/metrics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    return res.text();
+  };
+
+  before(async () => (ctx = await startApp({ config: { rateLimitMax: 6 } })));
+  after(() => ctx.close());
+
+  test("counts /chat requests, cache lookups, model latency and tokens", async () => {
+    await ctx.chat({ message: ARRIVAL });
+    await ctx.chat({ message: ARRIVAL }); // cache hit
+    await ctx.chat({ message: "" }); // invalid
+
+    const text = await scrape();
+    const answered = { lane: "scholar", mode: "official", outcome: "answered", stream: "false" };
+    assert.equal(sample(text, "omanx_chat_requests_total", answered), 2);
+    assert.equal(sample(text, "omanx_chat_requests_total", { lane: "none", outcome: "invalid" }), 1);
+    assert.equal(sample(text, "omanx_chat_request_duration_seconds_count", { lane: "scholar", outcome: "answered" }), 2);
+    assert.equal(sample(text, "omanx_cache_requests_total", { lane: "scholar", result: "hit" }), 1);
+    assert.equal(sample(text, "omanx_cache_requests_total", { lane: "scholar", result: "miss" }), 1);
+    assert.equal(sample(text, "omanx_cache_entries", { store: "memory" }), 1);
+    assert.equal(sample(text, "omanx_model_latency_seconds_count", { provider: "stub", call: "generate", result: "ok" }), 1);
+    assert.equal(sample(text, "omanx_model_tokens_total", { provider: "stub", type: "input" }), 1);
+    assert.equal(sample(text, "omanx_model_tokens_total", { provider: "stub", type: "output" }), 1);
+    assert.ok(sample(text, "omanx_process_memory_bytes", { type: "rss" }) > 0);
+  });
+
+  test("streams are tracked while open and timed when done", async () => {
+    const res = await ctx.post("/chat", { message: "best coffee near campus", stream: true, mode: "community" });
+    assert.equal(readSse(await res.text()).at(-1).done, true);
+
+    let text = await scrape();
+    for (let i = 0; i < 20 && sample(text, "omanx_sse_streams_active") !== 0; i++) {
+      await new Promise((r) => setTimeout(r, 10));
+      text = await scrape();
+    }
+    assert.equal(sample(text, "omanx_sse_streams_active"), 0);
+    assert.equal(sample(text, "omanx_chat_requests_total", { lane: "local", mode: "community", stream: "true" }), 1);
+    assert.equal(sample(text, "omanx_model_latency_seconds_count", { call: "stream", result: "ok" }), 1);
+  });
+
+  test("knowledge reloads and rate-limit rejections are counted", async () => {
+    assert.equal(sample(await scrape(), "omanx_reloads_total", { resource: "knowledge", result: "success" }), 1);
+    assert.equal((await ctx.admin("POST", "/admin/knowledge/reload", {})).status, 200);
+    assert.equal(sample(await scrape(), "omanx_reloads_total", { resource: "knowledge", result: "success" }), 2);
+
+    let status;
+    for (let i = 0; i < 10 && status !== 429; i++) status = (await ctx.chat({ message: "Where is the gym?" })).status;
+    assert.equal(status, 429);
+    assert.equal(sample(await scrape(), "omanx_rate_limit_rejections_total", { limiter: "api" }), 1);
+  });
+});
+
+test("escalations are counted by reason", async () => {
+  const ctx = await startApp({ provider: stubProvider({ reply: VERIFIED_ANSWER.replace(/University Designated School Official \(DSO\)/, "Some Blog") }) });
+  try {
+    assert.equal((await ctx.chat({ message: ARRIVAL })).body.verification.replaced, true);
+    const text = await (await fetch(`${ctx.url}/metrics`)).text();
+    assert.equal(sample(text, "omanx_escalations_total", { lane: "scholar", reason: "citations" }), 1);
+    assert.equal(sample(text, "omanx_chat_requests_total", { lane: "scholar", outcome: "escalated" }), 1);
+    assert.equal(sample(text, "omanx_model_latency_seconds_count", { call: "generate" }), 2);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,151 @@
+// test/modes.test.js — the mode × tier policy matrix, community.json, and the policy /chat applies
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { RISK_TIERS, resolvePolicy } from "../classifier.js";
+import { validateKnowledge } from "../knowledge-schema.js";
+import { ROOT_DIR } from "../config.js";
+import { readSse, startApp } from "./helpers.js";
+
+const community = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "community.json"), "utf8"));
+
+describe("resolvePolicy", () => {
+  test("only scholar-tier questions follow the requested mode", () => {
+    const matrix = Object.fromEntries(
+      RISK_TIERS.map((tier) => [tier, [resolvePolicy(tier, "official").mode, resolvePolicy(tier, "community").mode]])
+    );
+    assert.deepEqual(matrix, {
+      emergency: ["official", "official"],
+      governed: ["official", "official"],
+      scholar: ["official", "community"],
+      local: ["community", "community"],
+    });
+  });
+
+  test("reports why the requested mode was overridden", () => {
+    assert.deepEqual(resolvePolicy("governed", "community"), {
+      requestedMode: "community",
+      mode: "official",
+      lane: "scholar",
+      authoritative: true,
+      reason: "governed-topic",
+    });
+    assert.equal(resolvePolicy("local", "official").reason, "local-topic");
+    assert.equal(resolvePolicy("scholar", "community").reason, "requested");
+  });
+});
+
+describe("community.json", () => {
+  test("the shipped file is valid and Advisory-only", () => {
+    const r = validateKnowledge(community, { category: "Advisory", now: new Date("2026-10-19T00:00:00Z") });
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.warnings, []);
+  });
+
+  test("an Official item is rejected", () => {
+    const bad = structuredClone(community);
+    bad.items[1].category = "Official";
+    assert.deepEqual(validateKnowledge(bad, { category: "Advisory" }).errors, [
+      { path: "$.items[1].category", message: "must be Advisory in this file" },
+    ]);
+  });
+});
+
+describe("/chat policy", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  test("Community Mode answers from community knowledge, marked non-authoritative", async () => {
+    const { status, body } = await ctx.chat({ message: "How do I open a bank account?", mode: "community" });
+    assert.equal(status, 200);
+    assert.equal(body.tier, "scholar");
+    assert.equal(body.lane, "local");
+    assert.deepEqual(body.knowledgeItems, ["community-bank-phone"]);
+    assert.equal(body.verification, null);
+    assert.equal(body.policy.mode, "community");
+    assert.equal(body.policy.authoritative, false);
+    assert.match(body.policy.notice, /not official guidance/);
+
+    const { system } = ctx.provider.calls.at(-1);
+    assert.match(system, /COMMUNITY KNOWLEDGE \(advisory, not authoritative\):/);
+    assert.doesNotMatch(system, /KNOWLEDGE \(approved sources\)/);
+  });
+
+  test("the same question in Official Mode stays on approved sources", async () => {
+    const { body } = await ctx.chat({ message: "How do I open a bank account?" });
+    assert.equal(body.lane, "scholar");
+    assert.deepEqual(body.policy, {
+      requestedMode: "official",
+      mode: "official",
+      lane: "scholar",
+      authoritative: true,
+      reason: "requested",
+      notice: null,
+    });
+    assert.ok(!body.knowledgeItems.some((id) => id.startsWith("community-")));
+  });
+
+  test("governed topics are answered as Official in Community Mode", async () => {
+    const { body } = await ctx.chat({ message: "Can I work off campus on OPT?", mode: "community", lang: "ar" });
+    assert.equal(body.lane, "scholar");
+    assert.equal(body.policy.mode, "official");
+    assert.equal(body.policy.reason, "governed-topic");
+    assert.ok(body.policy.notice);
+    assert.match(ctx.provider.calls.at(-1).system, /MODE: official\n/);
+  });
+
+  test("an unknown mode is rejected", async () => {
+    const res = await ctx.chat({ message: "Where is the library?", mode: "casual" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "'mode' must be one of official, community.");
+  });
+
+  test("the stream's done event and the audit record carry the effective policy", async () => {
+    const res = await ctx.post("/chat", { message: "Can I work off campus on OPT?", mode: "community", stream: true });
+    const done = readSse(await res.text()).at(-1);
+    assert.equal(done.policy.mode, "official");
+
+    const { auditLog } = ctx.app.locals.omanx;
+    await auditLog.flush();
+    const rec = (await auditLog.readAll()).at(-1);
+    assert.equal(rec.mode, "community");
+    assert.equal(rec.effectiveMode, "official");
+    assert.equal(rec.communityVersion, community.version);
+  });
+
+  test("the classify dry run reports the policy for a mode", async () => {
+    const res = await ctx.admin("POST", "/admin/classify", { message: "How do I open a bank account?", mode: "community" });
+    const body = await res.json();
+    assert.equal(body.lane, "local");
+    assert.equal(body.policy.mode, "community");
+  });
+});
+
+test("an invalid community file is rejected and the last good copy keeps serving", async () => {
+  const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), "omanx-community-")), "community.json");
+  await fs.writeFile(file, JSON.stringify(community));
+  const ctx = await startApp({ config: { communityPath: file } });
+  try {
+    const bad = structuredClone(community);
+    bad.items[0].category = "Official";
+    await fs.writeFile(file, JSON.stringify(bad));
+    const res = await ctx.admin("POST", "/admin/community/reload", {});
+    assert.equal(res.status, 422);
+    const body = await res.json();
+    assert.equal(body.error, "community.json failed validation (1 error)");
+    assert.equal(body.servingVersion, community.version);
+
+    const answer = await ctx.chat({ message: "How do I open a bank account?", mode: "community" });
+    assert.deepEqual(answer.body.knowledgeItems, ["community-bank-phone"]);
+    const status = await (await ctx.admin("GET", "/admin/status")).json();
+    assert.equal(status.community.validation.rejected.errors[0].path, "$.items[0].category");
+  } finally {
+    await ctx.close();
+    await fs.rm(path.dirname(file), { recursive: true, force: true });
+  }
+});
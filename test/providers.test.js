@@ -0,0 +1,41 @@
+// test/providers.test.js — offline provider + provider selection
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createProvider, createLocalProvider, ProviderConfigError } from "../providers.js";
+import { startApp } from "./helpers.js";
+
+test("createProvider rejects unknown names and a keyless openai provider", () => {
+  assert.throws(() => createProvider({ name: "bogus" }), ProviderConfigError);
+  assert.throws(() => createProvider({ name: "openai", openaiApiKey: "" }), ProviderConfigError);
+  assert.equal(createProvider({ name: "local" }).name, "local");
+});
+
+test("the local provider answers deterministically with verified citations", async () => {
+  const ctx = await startApp({ provider: createLocalProvider() });
+  try {
+    const message = "What should I do in my first 72 hours after arrival?";
+    const a = await ctx.chat({ message });
+    await ctx.admin("POST", "/admin/cache/clear", {});
+    const b = await ctx.chat({ message });
+
+    assert.equal(a.body.verification.status, "verified");
+    assert.equal(a.body.format.complete, true);
+    assert.equal(b.body.cached, false);
+    assert.equal(a.body.text, b.body.text);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test("the local provider escalates when no knowledge matches", async () => {
+  const ctx = await startApp({ provider: createLocalProvider() });
+  try {
+    const { body } = await ctx.chat({ message: "zzzz qqqq" });
+    assert.deepEqual(body.knowledgeItems, []);
+    assert.match(body.text, /could not verify/);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,92 @@
+// test/redaction.test.js — identifiers never reach the model, cache, logs or audit
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+
+import { redactPII, redactionNotice } from "../redaction.js";
+import { startApp } from "./helpers.js";
+
+describe("redactPII", () => {
+  const cases = [
+    ["My SEVIS ID is N0012345678", "My SEVIS ID is [SEVIS_ID]", "SEVIS_ID"],
+    ["email me at ali.h@example.com", "email me at [EMAIL]", "EMAIL"],
+    ["I-94 number 12345678901", "I-94 number [I94_NUMBER]", "I94_NUMBER"],
+    ["admission record 123456789A1", "admission record [I94_NUMBER]", "I94_NUMBER"],
+    ["passport no. 09876543 was stolen", "passport no. [PASSPORT_NUMBER] was stolen", "PASSPORT_NUMBER"],
+    ["رقم جواز السفر: K1234567", "رقم جواز السفر: [PASSPORT_NUMBER]", "PASSPORT_NUMBER"],
+    ["call (215) 555-0134", "call [PHONE]", "PHONE"],
+    ["or +968 9123 4567", "or [PHONE]", "PHONE"],
+    ["I live at 3401 Walnut Street, Apt 4B now", "I live at [ADDRESS] now", "ADDRESS"],
+    ["moved to 12 S 40th St. last week", "moved to [ADDRESS] last week", "ADDRESS"],
+  ];
+
+  for (const [input, expected, type] of cases) {
+    test(`${type}: ${input}`, () => {
+      const r = redactPII(input);
+      assert.equal(r.text, expected);
+      assert.equal(r.counts[type], 1);
+    });
+  }
+
+  test("ordinary text is left alone", () => {
+    for (const text of [
+      "Call 911 now",
+      "my passport expired",
+      "CS101 is on 2026-10-19",
+      "rent is 1500 USD",
+      "I will be here for 30 days in a new place",
+      "Within 15 days. What's the right place",
+      "I have 2 dr appointments this week",
+      "Give it 10 more minutes, it's on the way",
+    ]) {
+      assert.deepEqual(redactPII(text), { text, redacted: false, counts: {} });
+    }
+  });
+
+  test("the notice follows the reply language", () => {
+    assert.match(redactionNotice(["PASSPORT_NUMBER"], "en"), /passport number/);
+    assert.match(redactionNotice(["PASSPORT_NUMBER"], "ar"), /رقم جواز السفر/);
+    assert.equal(redactionNotice([], "en"), null);
+  });
+});
+
+describe("/chat redaction", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  test("the model, cache and audit only see placeholders", async () => {
+    const { body } = await ctx.chat({
+      message: "My passport A1234567 expired, my SEVIS ID is N0012345678. What do I do?",
+      history: [{ role: "user", content: "I'm at ali.h@example.com" }],
+    });
+
+    const request = ctx.provider.calls.at(-1);
+    assert.equal(request.message, "My passport [PASSPORT_NUMBER] expired, my SEVIS ID is [SEVIS_ID]. What do I do?");
+    assert.equal(request.history[0].content, "I'm at [EMAIL]");
+
+    assert.equal(body.redaction.applied, true);
+    assert.deepEqual(body.redaction.types.sort(), ["EMAIL", "PASSPORT_NUMBER", "SEVIS_ID"]);
+    assert.match(body.redaction.notice, /For your privacy/);
+
+    const { auditLog } = ctx.app.locals.omanx;
+    await auditLog.flush();
+    const raw = await fs.readFile(auditLog.filePath, "utf8");
+    for (const secret of ["A1234567", "N0012345678", "ali.h@example.com"]) assert.ok(!raw.includes(secret));
+    assert.deepEqual(JSON.parse(raw.trim().split("\n").at(-1)).redactions.sort(), ["EMAIL", "PASSPORT_NUMBER", "SEVIS_ID"]);
+  });
+
+  test("questions that differ only by an identifier share a cache entry", async () => {
+    const first = await ctx.chat({ message: "Is passport no. X7654321 still valid for re-entry?" });
+    const second = await ctx.chat({ message: "Is passport no. Y1111111 still valid for re-entry?" });
+    assert.equal(first.body.cached, false);
+    assert.equal(second.body.cached, true);
+    assert.equal(second.body.redaction.applied, true);
+  });
+
+  test("no redaction reports applied: false", async () => {
+    const { body } = await ctx.chat({ message: "Where is the library?" });
+    assert.deepEqual(body.redaction, { applied: false, types: [], notice: null });
+  });
+});
@@ -0,0 +1,111 @@
+// test/stream.test.js — SSE framing for /chat { stream: true }
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { startApp, stubProvider, readSse, VERIFIED_ANSWER } from "./helpers.js";
+
+const streamChat = async (ctx, body) => {
+  const res = await ctx.post("/chat", { ...body, stream: true });
+  return { res, events: readSse(await res.text()) };
+};
+
+describe("SSE streaming", () => {
+  test("deltas are framed as data events and end with a done event", async () => {
+    const ctx = await startApp();
+    try {
+      const { res, events } = await streamChat(ctx, { message: "What should I do in my first 72 hours after arrival?" });
+      assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+      const deltas = events.filter((e) => e.delta);
+      const done = events.at(-1);
+      assert.ok(deltas.length > 1);
+      assert.equal(deltas.map((e) => e.delta).join(""), VERIFIED_ANSWER);
+      assert.equal(done.done, true);
+      assert.equal(done.lane, "scholar");
+      assert.equal(done.verification.status, "verified");
+      assert.equal(done.replacement, undefined);
+      assert.ok(done.sections.whatToDo.length);
+      assert.equal(events.filter((e) => e.done).length, 1);
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test("an unverified stream carries the escalation replacement in the done event", async () => {
+    const provider = stubProvider({ reply: (_request, n) => (n === 0 ? "Just ask around." : VERIFIED_ANSWER) });
+    const ctx = await startApp({ provider });
+    try {
+      const { events } = await streamChat(ctx, { message: "What should I do in my first 72 hours after arrival?" });
+      const done = events.at(-1);
+      assert.equal(done.verification.replaced, true);
+      assert.match(done.replacement, /could not verify/);
+
+      // Not cached, so the next ask goes back to the model and can get a verified answer
+      const { body } = await ctx.chat({ message: "What should I do in my first 72 hours after arrival?" });
+      assert.equal(body.cached, false);
+      assert.equal(body.verification.status, "verified");
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test("stopping mid-stream aborts the model call and caches nothing", async () => {
+    const provider = stubProvider({ chunkSize: 4, delayMs: 20 });
+    const signals = [];
+    const stream = provider.stream;
+    provider.stream = (request, opts) => {
+      signals.push(opts.signal);
+      return stream(request, opts);
+    };
+    const ctx = await startApp({ provider });
+    const waitFor = async (check) => {
+      for (let i = 0; i < 100 && !(await check()); i++) await new Promise((r) => setTimeout(r, 10));
+      return check();
+    };
+    const activeStreams = async () =>
+      Number((await (await fetch(`${ctx.url}/metrics`)).text()).match(/^omanx_sse_streams_active (\S+)$/m)?.[1]);
+
+    try {
+      const stop = new AbortController();
+      const res = await fetch(`${ctx.url}/chat`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ message: "What should I do in my first 72 hours after arrival?", stream: true }),
+        signal: stop.signal,
+      });
+      const reader = res.body.getReader();
+      assert.match(new TextDecoder().decode((await reader.read()).value), /"delta"/);
+      assert.equal(await activeStreams(), 1);
+      stop.abort(); // the Stop button
+
+      assert.ok(await waitFor(() => signals[0]?.aborted));
+      const { auditLog, cache } = ctx.app.locals.omanx;
+      const stopped = async () => {
+        await auditLog.flush();
+        return (await auditLog.readAll()).at(-1)?.outcome?.status === "stopped";
+      };
+      assert.ok(await waitFor(stopped));
+      assert.equal(cache.stats().size, 0);
+      assert.ok(await waitFor(async () => (await activeStreams()) === 0));
+    } finally {
+      await ctx.close();
+    }
+  });
+
+  test("an upstream failure mid-stream is reported in-band and not cached", async () => {
+    const ctx = await startApp({ provider: stubProvider({ failAfter: 2 }) });
+    try {
+      const { res, events } = await streamChat(ctx, { message: "Where is the library?" });
+      assert.equal(res.status, 200);
+      assert.equal(events.filter((e) => e.delta).length, 2);
+      assert.deepEqual(
+        { error: events.at(-1).error, done: events.at(-1).done },
+        { error: "Stream error.", done: true }
+      );
+      assert.equal(ctx.app.locals.omanx.cache.stats().size, 0);
+    } finally {
+      await ctx.close();
+    }
+  });
+});
@@ -0,0 +1,124 @@
+// test/timeline.test.js — dated onboarding timeline + .ics export
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+
+import { buildTimeline, timelineToIcs, validateTimelineRequest } from "../timeline.js";
+import { toApiFlows } from "../flows-schema.js";
+import { ROOT_DIR } from "../config.js";
+import { startApp } from "./helpers.js";
+
+const shipped = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "flows.json"), "utf8"));
+const knowledge = JSON.parse(await fs.readFile(path.join(ROOT_DIR, "knowledge.json"), "utf8"));
+const flows = toApiFlows(shipped, knowledge.items);
+
+const REQUEST = { arrivalDate: "2027-01-10", programStartDate: "2027-01-20", visaType: "F-1" };
+
+describe("validateTimelineRequest", () => {
+  test("accepts a complete request and defaults lang to en", () => {
+    const r = validateTimelineRequest(REQUEST);
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.value, { ...REQUEST, lang: "en" });
+  });
+
+  test("reports every problem with a path", () => {
+    const r = validateTimelineRequest({ arrivalDate: "2027-02-30", programStartDate: "soon", visaType: "B-2", lang: "fr" });
+    assert.deepEqual(
+      r.errors.map((e) => e.path),
+      ["$.arrivalDate", "$.programStartDate", "$.visaType", "$.lang"]
+    );
+  });
+
+  test("rejects dates more than a year apart", () => {
+    const r = validateTimelineRequest({ ...REQUEST, programStartDate: "2028-06-01" });
+    assert.deepEqual(r.errors.map((e) => e.path), ["$.programStartDate"]);
+  });
+});
+
+describe("buildTimeline", () => {
+  test("dates each step from its anchor, sorted by due date", () => {
+    const t = buildTimeline(flows, { ...REQUEST, lang: "en" });
+    const byStep = Object.fromEntries(t.entries.map((e) => [`${e.flowId}:${e.stepId}`, e.dueDate]));
+
+    assert.equal(byStep["arrival:documents"], "2027-01-10");
+    assert.equal(byStep["arrival:dso"], "2027-01-13");
+    assert.equal(byStep["academic:onboarding"], "2027-01-17");
+    assert.equal(byStep["compliance:sevis"], "2027-01-20");
+    assert.equal(byStep["compliance:scholarship"], "2027-02-03");
+
+    const dates = t.entries.map((e) => e.dueDate);
+    assert.deepEqual(dates, [...dates].sort());
+    assert.equal(t.undated, 0);
+  });
+
+  test("only includes visa-specific steps for that visa type", () => {
+    const ids = (visaType) => buildTimeline(flows, { ...REQUEST, visaType }).entries.map((e) => e.stepId);
+    assert.ok(ids("F-1").includes("enrollment"));
+    assert.ok(!ids("F-1").includes("sponsor"));
+    assert.ok(ids("J-1").includes("sponsor"));
+    assert.ok(!ids("J-1").includes("enrollment"));
+  });
+
+  test("uses Arabic text when asked", () => {
+    const t = buildTimeline(flows, { ...REQUEST, lang: "ar" });
+    assert.equal(t.entries[0].text, shipped.flows[0].steps[0].text_ar);
+  });
+});
+
+describe("timelineToIcs", () => {
+  const ics = timelineToIcs(buildTimeline(flows, { ...REQUEST, lang: "ar" }), { now: new Date("2027-01-01T08:00:00Z") });
+  const unfolded = ics.replace(/\r\n /g, "");
+
+  test("is a CRLF calendar with one all-day event per entry", () => {
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(ics));
+    assert.equal((ics.match(/BEGIN:VEVENT/g) || []).length, buildTimeline(flows, REQUEST).entries.length);
+    assert.match(unfolded, /UID:arrival-documents-20270110@omanx\.org\r\nDTSTAMP:20270101T080000Z\r\nDTSTART;VALUE=DATE:20270110\r\nDTEND;VALUE=DATE:20270111/);
+  });
+
+  test("folds long lines at 75 octets without splitting characters", () => {
+    for (const line of ics.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(unfolded.includes(`SUMMARY:${shipped.flows[0].steps[0].text_ar}`));
+  });
+
+  test("escapes commas and semicolons in text", () => {
+    const t = { lang: "en", entries: [{ ...buildTimeline(flows, REQUEST).entries[0], text: "Passport; visa, I-20" }] };
+    assert.match(timelineToIcs(t), /SUMMARY:Passport\\; visa\\, I-20/);
+  });
+});
+
+describe("/api/timeline", () => {
+  let ctx;
+  before(async () => (ctx = await startApp()));
+  after(() => ctx.close());
+
+  test("returns the dated plan without storing it", async () => {
+    const res = await ctx.post("/api/timeline", REQUEST);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    const body = await res.json();
+    assert.equal(body.flowsVersion, shipped.version);
+    assert.equal(body.entries[0].dueDate, "2027-01-10");
+
+    await ctx.app.locals.omanx.auditLog.flush();
+    assert.equal(ctx.app.locals.omanx.auditLog.status().records, 0);
+  });
+
+  test("400 lists the invalid fields", async () => {
+    const res = await ctx.post("/api/timeline", { ...REQUEST, visaType: "B-2" });
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).errors.map((e) => e.path), ["$.visaType"]);
+  });
+
+  test("exports an .ics attachment", async () => {
+    const res = await ctx.post("/api/timeline.ics", { ...REQUEST, visaType: "J-1" });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/calendar/);
+    assert.match(res.headers.get("content-disposition"), /attachment; filename="omanx-timeline\.ics"/);
+    const ics = await res.text();
+    assert.ok(ics.includes("UID:compliance-sponsor-20270120@omanx.org"));
+  });
+});
@@ -0,0 +1,177 @@
+// test/usage.test.js — usage ledger, daily token budgets, /admin/usage
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+import { UsageLedger, estimateRequestTokens } from "../usage.js";
+import { startApp, stubProvider, readSse } from "./helpers.js";
+
+const NOON = Date.parse("2026-10-19T12:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+
+// A stub whose generate() reports a fixed (large) usage, so budgets run out in a couple of calls
+function costlyProvider(usage = { input_tokens: 40_000, output_tokens: 20_000 }) {
+  const provider = stubProvider();
+  const generate = provider.generate;
+  provider.generate = async (request) => ({ ...(await generate(request)), usage });
+  return provider;
+}
+
+describe("UsageLedger", () => {
+  test("checks client and global budgets for the current UTC day", () => {
+    const ledger = new UsageLedger("/unused", { clientDailyTokens: 100, globalDailyTokens: 150, salt: "s" });
+    const a = ledger.clientKey("10.0.0.1");
+    const b = ledger.clientKey("10.0.0.2");
+    assert.notEqual(a, b);
+    assert.equal(a, new UsageLedger("/unused", { salt: "s" }).clientKey("10.0.0.1"));
+
+    ledger.record({ clientKey: a, lane: "scholar", inputTokens: 60, outputTokens: 30, now: NOON });
+    assert.deepEqual(ledger.check({ clientKey: a, estimate: 5, now: NOON }), { ok: true });
+    assert.deepEqual(ledger.check({ clientKey: a, estimate: 20, now: NOON }), {
+      ok: false,
+      scope: "client",
+      used: 90,
+      limit: 100,
+      resetsAt: "2026-10-20T00:00:00.000Z",
+    });
+
+    ledger.record({ clientKey: b, lane: "local", inputTokens: 40, outputTokens: 10, now: NOON });
+    assert.equal(ledger.check({ clientKey: b, estimate: 20, now: NOON }).scope, "global");
+    assert.deepEqual(ledger.check({ clientKey: a, estimate: 20, now: NOON + DAY }), { ok: true });
+    ledger.flush();
+  });
+
+  test("summarizes spend by day and lane, keeping client ids for today only", () => {
+    const ledger = new UsageLedger("/unused", { prices: { inputPerMTok: 1, outputPerMTok: 2 }, retentionDays: 2 });
+    const key = ledger.clientKey("10.0.0.1");
+    ledger.record({ clientKey: key, lane: "scholar", inputTokens: 1_000_000, outputTokens: 500_000, now: NOON - 2 * DAY });
+    ledger.record({ clientKey: key, lane: "scholar", inputTokens: 1000, outputTokens: 500, now: NOON - DAY });
+    ledger.record({ clientKey: key, lane: "local", inputTokens: 200, outputTokens: 100, estimated: true, now: NOON });
+    ledger.record({ clientKey: key, lane: "local", inputTokens: 200, outputTokens: 100, now: NOON });
+
+    const s = ledger.summary({ now: NOON });
+    assert.deepEqual(s.days.map((d) => d.date), ["2026-10-19", "2026-10-18"]); // 2026-10-17 is past retention
+    assert.deepEqual(s.days[0].byLane.local, { calls: 2, inputTokens: 400, outputTokens: 200, estimatedCalls: 1, costUsd: 0.0008 });
+    assert.equal(s.days[1].costUsd, 0.002);
+    assert.equal(s.days[1].clients, 1);
+    assert.equal(ledger.days["2026-10-18"].clients, undefined);
+    assert.equal(s.today.tokens, 600);
+    ledger.flush();
+  });
+
+  test("persists across restarts", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "omanx-usage-"));
+    try {
+      const file = path.join(dir, "usage.json");
+      const first = new UsageLedger(file, { salt: "s" });
+      first.record({ clientKey: first.clientKey("x"), lane: "scholar", inputTokens: 10, outputTokens: 5 });
+      await first.flush();
+
+      const second = new UsageLedger(file, { salt: "s", clientDailyTokens: 20 });
+      await second.load();
+      assert.equal(second.summary().today.tokens, 15);
+      assert.equal(second.check({ clientKey: second.clientKey("x"), estimate: 10 }).scope, "client");
+      assert.ok(!(await fs.readFile(file, "utf8")).includes('"x"'));
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("estimates request size from system prompt, history and message", () => {
+    const request = { system: "a".repeat(400), history: [{ role: "user", content: "b".repeat(40) }], message: "c".repeat(40) };
+    assert.equal(estimateRequestTokens(request), 121);
+  });
+});
+
+describe("token budgets on /chat", () => {
+  let ctx;
+  const ask = (message, student) => ctx.post("/chat", { message }, { "x-student-id": student }).then((r) => r.json());
+
+  before(async () => {
+    ctx = await startApp({
+      provider: costlyProvider(),
+      config: {
+        budgetClientHeader: "X-Student-Id",
+        budgetClientProxies: ["127.0.0.1", "::1"], // the test client stands in for the proxy
+        tokenBudgetClientDaily: 50_000,
+        tokenBudgetGlobalDaily: 100_000,
+      },
+    });
+  });
+  after(() => ctx.close());
+
+  test("a client over budget gets the budget reply instead of a model call", async () => {
+    assert.equal((await ask("Where is the library?", "amal")).budget, undefined);
+    const calls = ctx.provider.calls.length;
+
+    const body = await ask("Where is the gym?", "amal");
+    assert.deepEqual(body.budget, { exhausted: true, scope: "client", resetsAt: body.budget.resetsAt });
+    assert.match(body.text, /daily usage limit/);
+    assert.ok(body.sections.whatToDo.length);
+    assert.equal(ctx.provider.calls.length, calls);
+  });
+
+  test("cached answers are still served, and other clients are unaffected", async () => {
+    const cached = await ask("Where is the library?", "amal");
+    assert.equal(cached.cached, true);
+    assert.equal(cached.budget, undefined);
+    assert.equal((await ask("Where is the pool?", "salim")).budget, undefined);
+  });
+
+  test("the global budget stops everyone", async () => {
+    const body = await ask("Where is the bookstore?", "noor");
+    assert.equal(body.budget.scope, "global");
+
+    await ctx.app.locals.omanx.auditLog.flush();
+    const records = (await fs.readFile(ctx.app.locals.omanx.config.auditLogPath, "utf8")).trim().split("\n").map(JSON.parse);
+    assert.deepEqual(records.at(-1).outcome, { status: "budget_exhausted", scope: "global" });
+  });
+
+  test("/admin/usage reports spend by day and lane", async () => {
+    const res = await ctx.admin("GET", "/admin/usage?days=7");
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.budgets.clientDailyTokens, 50_000);
+    const [today] = body.days;
+    assert.equal(today.calls, 2);
+    assert.equal(today.inputTokens, 80_000);
+    assert.equal(today.clients, 2);
+    assert.equal(today.clientsAtBudget, 2);
+    assert.equal(today.costUsd, 0.096); // default prices: $0.40 in / $1.60 out per million
+    assert.equal(Object.values(today.byLane).reduce((n, l) => n + l.calls, 0), 2);
+
+    assert.equal((await ctx.admin("GET", "/admin/usage?days=0")).status, 400);
+  });
+});
+
+test("a client header from an untrusted peer can't buy a fresh budget", async () => {
+  const ctx = await startApp({
+    provider: costlyProvider(),
+    config: { budgetClientHeader: "X-Student-Id", tokenBudgetClientDaily: 50_000, tokenBudgetGlobalDaily: 0 },
+  });
+  try {
+    const ask = (message, student) => ctx.post("/chat", { message }, { "x-student-id": student }).then((r) => r.json());
+    assert.equal((await ask("Where is the library?", "spoof-1")).budget, undefined);
+    assert.equal((await ask("Where is the gym?", "spoof-2")).budget?.scope, "client"); // charged to the IP both times
+    assert.equal(ctx.app.locals.omanx.usage.summary().days[0].clients, 1);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test("streamed answers are charged with estimated usage", async () => {
+  const ctx = await startApp();
+  try {
+    const res = await ctx.post("/chat", { message: "best coffee near campus", stream: true });
+    assert.equal(readSse(await res.text()).at(-1).done, true);
+
+    const [today] = ctx.app.locals.omanx.usage.summary().days;
+    assert.equal(today.estimatedCalls, 1);
+    assert.ok(today.inputTokens > 0 && today.outputTokens > 0);
+  } finally {
+    await ctx.close();
+  }
+});
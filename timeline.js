@@ -0,0 +1,191 @@
+// timeline.js — OmanX personal onboarding timeline
+// Goals:
+// - Turn the flows.json steps into a dated plan from the student's arrival date,
+//   program start date and visa type (steps carry `due` offsets relative to either date)
+// - Stateless: the dates arrive with the request and leave in the response; nothing is
+//   stored, cached, logged or audited
+// - .ics export (RFC 5545, all-day events) that any calendar app can import
+//
+// Dates are calendar days (YYYY-MM-DD) with no time zone: "3 days after arrival" is the
+// same day wherever the student's calendar lives.
+
+import { DUE_ANCHORS, VISA_TYPES } from "./flows-schema.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_GAP_DAYS = 365;
+
+const TIMELINE_LANGS = ["en", "ar"];
+
+// Real calendar dates only ("2026-02-30" is rejected, not rolled over to March)
+function parseDay(value) {
+  if (typeof value !== "string" || !DATE_RE.test(value)) return null;
+  const ms = Date.parse(`${value}T00:00:00Z`);
+  if (Number.isNaN(ms) || new Date(ms).toISOString().slice(0, 10) !== value) return null;
+  return ms;
+}
+
+const addDays = (day, n) => new Date(parseDay(day) + n * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * validateTimelineRequest
+ * Returns { ok, errors, value } without throwing; `value` is the normalized request
+ * { arrivalDate, programStartDate, visaType, lang } when ok.
+ */
+export function validateTimelineRequest(body) {
+  const errors = [];
+  const err = (p, message) => errors.push({ path: p, message });
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, errors: [{ path: "$", message: "must be a JSON object" }], value: null };
+  }
+
+  const { arrivalDate, programStartDate, visaType, lang = "en" } = body;
+  const arrival = parseDay(arrivalDate);
+  const start = parseDay(programStartDate);
+
+  if (arrival === null) err("$.arrivalDate", "must be a date (YYYY-MM-DD)");
+  if (start === null) err("$.programStartDate", "must be a date (YYYY-MM-DD)");
+  if (arrival !== null && start !== null && Math.abs(start - arrival) > MAX_GAP_DAYS * DAY_MS) {
+    err("$.programStartDate", `must be within ${MAX_GAP_DAYS} days of the arrival date`);
+  }
+  if (!VISA_TYPES.includes(visaType)) err("$.visaType", `must be one of ${VISA_TYPES.join(", ")}`);
+  if (!TIMELINE_LANGS.includes(lang)) err("$.lang", `must be one of ${TIMELINE_LANGS.join(", ")}`);
+
+  if (errors.length) return { ok: false, errors, value: null };
+  return { ok: true, errors, value: { arrivalDate, programStartDate, visaType, lang } };
+}
+
+/**
+ * buildTimeline
+ * Dates every step of the served flows (toApiFlows shape) that has a `due` offset and
+ * applies to the visa type. Entries are sorted by due date, then flow/step order.
+ * Steps without a `due` are counted in `undated` rather than guessed.
+ */
+export function buildTimeline(flows, { arrivalDate, programStartDate, visaType, lang = "en" }) {
+  const anchors = { arrival: arrivalDate, program_start: programStartDate };
+  const pick = (obj, field) => (lang === "ar" && obj[`${field}Ar`]) || obj[field];
+
+  const entries = [];
+  let undated = 0;
+
+  flows.forEach((flow, flowIndex) => {
+    flow.steps.forEach((step, stepIndex) => {
+      if (step.visaTypes && !step.visaTypes.includes(visaType)) return;
+      if (!step.due || !DUE_ANCHORS.includes(step.due.anchor)) {
+        undated += 1;
+        return;
+      }
+      entries.push({
+        dueDate: addDays(anchors[step.due.anchor], step.due.offsetDays),
+        flowId: flow.id,
+        flowTitle: pick(flow, "title"),
+        stepId: step.id,
+        text: pick(step, "text"),
+        category: step.category,
+        knowledgeId: step.knowledgeId,
+        authorities: step.authorities || [],
+        anchor: step.due.anchor,
+        offsetDays: step.due.offsetDays,
+        order: [flowIndex, stepIndex],
+      });
+    });
+  });
+
+  entries.sort(
+    (a, b) => a.dueDate.localeCompare(b.dueDate) || a.order[0] - b.order[0] || a.order[1] - b.order[1]
+  );
+
+  return {
+    arrivalDate,
+    programStartDate,
+    visaType,
+    lang,
+    entries: entries.map(({ order: _order, ...entry }) => entry),
+    undated,
+  };
+}
+
+// -----------------------------
+// iCalendar (.ics)
+// -----------------------------
+const ICS_TEXT = {
+  en: {
+    calendar: "OmanX onboarding",
+    category: { Official: "Official", Advisory: "Advisory" },
+    verify: "Verify requirements with your DSO and sponsor.",
+  },
+  ar: {
+    calendar: "خطة الاستقرار في OmanX",
+    category: { Official: "رسمي", Advisory: "استشاري" },
+    verify: "تحقق من المتطلبات مع المسؤول المعين (DSO) والجهة الراعية.",
+  },
+};
+
+const icsEscape = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsDate = (day) => day.replace(/-/g, "");
+const icsStamp = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines are folded at 75 octets (UTF-8), never inside a multi-byte character.
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = out.length ? 74 : 75; // continuation lines start with a space
+    if (bytes + size > limit) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * timelineToIcs
+ * One all-day VEVENT per entry. UIDs are derived from the flow/step and due date, so
+ * importing the same plan twice updates events instead of duplicating them.
+ */
+export function timelineToIcs(timeline, { now = new Date() } = {}) {
+  const copy = ICS_TEXT[timeline.lang] || ICS_TEXT.en;
+  const stamp = icsStamp(now);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//OmanX//Onboarding Timeline//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(copy.calendar)}`,
+  ];
+
+  for (const entry of timeline.entries) {
+    const sources = entry.authorities.map((a) => (a.url ? `${a.name} (${a.url})` : a.name));
+    const description = [
+      `${entry.flowTitle} · ${copy.category[entry.category] || entry.category}`,
+      ...sources,
+      copy.verify,
+    ].join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${entry.flowId}-${entry.stepId}-${icsDate(entry.dueDate)}@omanx.org`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(entry.dueDate)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(entry.dueDate, 1))}`,
+      `SUMMARY:${icsEscape(entry.text)}`,
+      `DESCRIPTION:${icsEscape(description)}`,
+      `CATEGORIES:${icsEscape(entry.category)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
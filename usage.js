@@ -0,0 +1,194 @@
+// usage.js — OmanX model usage ledger + daily token budgets
+// Goals:
+// - Account every model call: provider-reported usage when available, otherwise an estimate
+//   (streams, offline provider) from the prompt and answer length
+// - Daily token budgets per client and for the whole service (UTC days; 0 disables a budget)
+// - Spend by day and lane, with an estimated cost from per-million-token prices
+// - Client identifiers (IPs or proxy-supplied ids) are stored only as salted hashes, and only
+//   for the current day; older days keep a client count
+// - Survives restarts: a JSON file written atomically at most once per `writeDelayMs`
+//
+// File shape:
+// { "version": 1, "days": { "YYYY-MM-DD": {
+//     "byLane": { [lane]: { "calls", "inputTokens", "outputTokens", "estimatedCalls" } },
+//     "clients": { [clientKey]: tokens }  // today only; older days: "clientCount": n
+// } } }
+
+import fs from "fs/promises";
+import crypto from "crypto";
+
+import { JsonFileWriter } from "./files.js";
+import { estimateTokens } from "./conversation.js";
+
+const FILE_FORMAT_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayOf = (now) => new Date(now).toISOString().slice(0, 10);
+const nextDayStart = (now) => new Date(Date.parse(`${dayOf(now)}T00:00:00Z`) + DAY_MS).toISOString();
+
+/**
+ * estimateRequestTokens
+ * Rough input size of a provider request (system prompt + history + message), same
+ * chars/4 heuristic the history limit uses.
+ */
+export function estimateRequestTokens(request) {
+  const history = (request.history || []).map((t) => t.content).join("\n");
+  return estimateTokens([request.system || "", history, request.message || ""].join("\n"));
+}
+
+export class UsageLedger {
+  constructor(
+    filePath,
+    { clientDailyTokens = 0, globalDailyTokens = 0, prices = {}, salt = "", retentionDays = 90, writeDelayMs = 1000, logger } = {}
+  ) {
+    this.filePath = filePath;
+    this.budgets = { clientDailyTokens, globalDailyTokens };
+    this.prices = { inputPerMTok: prices.inputPerMTok || 0, outputPerMTok: prices.outputPerMTok || 0 };
+    this.salt = salt || crypto.randomBytes(16).toString("hex"); // without one, keys change on restart
+    this.retentionDays = retentionDays;
+    this.logger = logger;
+    this.days = {};
+    this.writer = new JsonFileWriter(filePath, () => ({ version: FILE_FORMAT_VERSION, days: this.days }), {
+      delayMs: writeDelayMs,
+      logger,
+      label: "Usage ledger",
+    });
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+
+    try {
+      const json = JSON.parse(raw);
+      if (json?.version !== FILE_FORMAT_VERSION || !json.days || typeof json.days !== "object") throw new Error("unknown format");
+      this.days = json.days;
+      this.logger?.info("Usage ledger loaded", { path: this.filePath, days: Object.keys(this.days).length });
+    } catch (e) {
+      this.logger?.warn("Usage ledger file ignored", { path: this.filePath, error: e?.message || String(e) });
+    }
+  }
+
+  clientKey(clientId) {
+    return crypto.createHmac("sha256", this.salt).update(String(clientId)).digest("hex").slice(0, 16);
+  }
+
+  dayEntry(date) {
+    return (this.days[date] ||= { byLane: {}, clients: {} });
+  }
+
+  dayTokens(date) {
+    return Object.values(this.days[date]?.byLane || {}).reduce((n, l) => n + l.inputTokens + l.outputTokens, 0);
+  }
+
+  /**
+   * check
+   * Whether a call estimated at `estimate` input tokens still fits today's budgets.
+   * Returns { ok: true } or { ok: false, scope: "client" | "global", used, limit, resetsAt }.
+   */
+  check({ clientKey, estimate = 0, now = Date.now() }) {
+    const date = dayOf(now);
+    const resetsAt = nextDayStart(now);
+    const { clientDailyTokens, globalDailyTokens } = this.budgets;
+
+    const clientUsed = this.days[date]?.clients?.[clientKey] || 0;
+    if (clientDailyTokens && clientUsed + estimate > clientDailyTokens) {
+      return { ok: false, scope: "client", used: clientUsed, limit: clientDailyTokens, resetsAt };
+    }
+    const globalUsed = this.dayTokens(date);
+    if (globalDailyTokens && globalUsed + estimate > globalDailyTokens) {
+      return { ok: false, scope: "global", used: globalUsed, limit: globalDailyTokens, resetsAt };
+    }
+    return { ok: true };
+  }
+
+  record({ clientKey, lane = "unknown", inputTokens = 0, outputTokens = 0, estimated = false, now = Date.now() }) {
+    const date = dayOf(now);
+    const day = this.dayEntry(date);
+    const l = (day.byLane[lane] ||= { calls: 0, inputTokens: 0, outputTokens: 0, estimatedCalls: 0 });
+    l.calls += 1;
+    l.inputTokens += inputTokens;
+    l.outputTokens += outputTokens;
+    if (estimated) l.estimatedCalls += 1;
+    if (clientKey) day.clients[clientKey] = (day.clients[clientKey] || 0) + inputTokens + outputTokens;
+
+    this.prune(date);
+    this.scheduleWrite();
+  }
+
+  // Past days keep only a client count; days beyond the retention window are dropped.
+  prune(today) {
+    const oldest = new Date(Date.parse(`${today}T00:00:00Z`) - (this.retentionDays - 1) * DAY_MS).toISOString().slice(0, 10);
+    for (const [date, day] of Object.entries(this.days)) {
+      if (date < oldest) delete this.days[date];
+      else if (date < today && day.clients) {
+        day.clientCount = Object.keys(day.clients).length;
+        delete day.clients;
+      }
+    }
+  }
+
+  cost(inputTokens, outputTokens) {
+    const usd = (inputTokens * this.prices.inputPerMTok + outputTokens * this.prices.outputPerMTok) / 1e6;
+    return Number(usd.toFixed(4));
+  }
+
+  /**
+   * summary
+   * Budgets, today's standing and the last `days` days (newest first) with spend by lane.
+   */
+  summary({ days = 14, now = Date.now() } = {}) {
+    const today = dayOf(now);
+    const { clientDailyTokens } = this.budgets;
+
+    const list = Object.keys(this.days)
+      .filter((d) => d <= today)
+      .sort()
+      .reverse()
+      .slice(0, days)
+      .map((date) => {
+        const day = this.days[date];
+        const byLane = Object.fromEntries(
+          Object.entries(day.byLane).map(([lane, l]) => [lane, { ...l, costUsd: this.cost(l.inputTokens, l.outputTokens) }])
+        );
+        const totals = Object.values(byLane).reduce(
+          (t, l) => ({
+            calls: t.calls + l.calls,
+            inputTokens: t.inputTokens + l.inputTokens,
+            outputTokens: t.outputTokens + l.outputTokens,
+            estimatedCalls: t.estimatedCalls + l.estimatedCalls,
+          }),
+          { calls: 0, inputTokens: 0, outputTokens: 0, estimatedCalls: 0 }
+        );
+        const clients = day.clients ? Object.values(day.clients) : null;
+        return {
+          date,
+          ...totals,
+          costUsd: this.cost(totals.inputTokens, totals.outputTokens),
+          clients: clients ? clients.length : day.clientCount || 0,
+          clientsAtBudget: clients && clientDailyTokens ? clients.filter((n) => n >= clientDailyTokens).length : null,
+          byLane,
+        };
+      });
+
+    return {
+      budgets: this.budgets,
+      prices: this.prices,
+      today: { date: today, tokens: this.dayTokens(today), resetsAt: nextDayStart(now) },
+      days: list,
+    };
+  }
+
+  scheduleWrite() {
+    this.writer.schedule();
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+}